@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const signatureVerifier = require('./signatureVerifier');
 const registryService = require('./registryService');
 const logger = require('../utils/logger');
+const config = require('../utils/config');
 const { ApiError } = require('../utils/errorHandler');
 
 /**
@@ -151,6 +153,41 @@ const parseAuthHeader = (authHeader) => {
   }
 };
 
+/**
+ * Middleware to protect internal merchant/logistics endpoints with a shared API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyInternalApiKey = (req, res, next) => {
+  const expectedKey = config.server.internalApiKey;
+  const providedKey = req.headers['x-api-key'];
+  
+  if (!expectedKey) {
+    logger.error('INTERNAL_API_KEY is not configured, rejecting internal request', { path: req.path });
+    return res.status(503).json({
+      error: {
+        message: 'Internal API is not configured'
+      }
+    });
+  }
+  
+  const expected = Buffer.from(expectedKey);
+  const provided = Buffer.from(providedKey || '');
+  
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Invalid internal API key', { path: req.path });
+    return res.status(401).json({
+      error: {
+        message: 'Invalid API key'
+      }
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
-  verifyAuthentication
+  verifyAuthentication,
+  verifyInternalApiKey
 };
\ No newline at end of file
@@ -44,6 +44,47 @@ const makeAuthenticatedRequest = async (url, payload, options = {}) => {
   }
 };
 
+/**
+ * Make a single attempt at sending an authenticated callback to the BAP
+ * @param {string} url - Callback URL (typically BAP URL)
+ * @param {Object} payload - Callback payload
+ * @param {string} transactionId - ONDC transaction ID for logging
+ * @param {string} type - Callback type (e.g., 'on_init', 'on_confirm')
+ * @returns {Promise<Object>} Result with success status, and whether a failure is worth retrying
+ */
+const attemptCallback = async (url, payload, transactionId, type) => {
+  try {
+    const response = await makeAuthenticatedRequest(url, payload, {
+      timeout: 30000 // 30 seconds timeout
+    });
+    
+    logger.info(`${type} callback successful`, {
+      transactionId,
+      response: typeof response === 'object' ? 'Received object response' : 'Non-object response'
+    });
+    
+    return {
+      success: true,
+      data: response
+    };
+  } catch (error) {
+    const statusCode = error.response?.status;
+    const responseData = error.response?.data;
+    
+    // A NACK with a validation error won't succeed on retry
+    const retryable = !(statusCode === 400 ||
+      (responseData?.error?.code && !['23001', '31001'].includes(responseData.error.code)));
+    
+    return {
+      success: false,
+      status: statusCode,
+      data: responseData,
+      error: error.message,
+      retryable
+    };
+  }
+};
+
 /**
  * Send an authenticated callback to the BAP
  * @param {string} url - Callback URL (typically BAP URL)
@@ -57,66 +98,37 @@ const sendAuthenticatedCallback = async (url, payload, transactionId, type) => {
   const retryDelay = config.ondc?.callbackRetryDelay || 5000; // 5 seconds
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      logger.info(`Sending authenticated ${type} callback (attempt ${attempt}/${maxRetries})`, {
-        transactionId,
-        url
-      });
-      
-      const response = await makeAuthenticatedRequest(url, payload, {
-        timeout: 30000 // 30 seconds timeout
-      });
-      
-      logger.info(`${type} callback successful`, {
-        transactionId,
-        response: typeof response === 'object' ? 'Received object response' : 'Non-object response'
-      });
-      
-      return {
-        success: true,
-        data: response
-      };
-    } catch (error) {
-      const statusCode = error.response?.status;
-      const responseData = error.response?.data;
-      
-      logger.error(`${type} callback failed (attempt ${attempt}/${maxRetries})`, {
-        transactionId,
-        error: error.message,
-        statusCode,
-        responseData
-      });
-      
-      // If this is a NACK with validation error, don't retry
-      if (statusCode === 400 || 
-          (responseData?.error?.code && !['23001', '31001'].includes(responseData.error.code))) {
-        return {
-          success: false,
-          status: statusCode,
-          data: responseData,
-          error: error.message,
-          retryable: false
-        };
-      }
-      
-      // If we haven't reached max retries, wait and try again
-      if (attempt < maxRetries) {
-        logger.info(`Waiting ${retryDelay/1000}s before retrying...`, { transactionId });
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-      } else {
-        return {
-          success: false,
-          status: statusCode,
-          data: responseData,
-          error: error.message,
-          retryable: true
-        };
-      }
+    logger.info(`Sending authenticated ${type} callback (attempt ${attempt}/${maxRetries})`, {
+      transactionId,
+      url
+    });
+    
+    const result = await attemptCallback(url, payload, transactionId, type);
+    
+    if (result.success) {
+      return result;
     }
+    
+    logger.error(`${type} callback failed (attempt ${attempt}/${maxRetries})`, {
+      transactionId,
+      error: result.error,
+      statusCode: result.status,
+      responseData: result.data
+    });
+    
+    // If this is a NACK with validation error, don't retry
+    if (!result.retryable || attempt === maxRetries) {
+      return result;
+    }
+    
+    // If we haven't reached max retries, wait and try again
+    logger.info(`Waiting ${retryDelay/1000}s before retrying...`, { transactionId });
+    await new Promise(resolve => setTimeout(resolve, retryDelay));
   }
 };
 
 module.exports = {
   makeAuthenticatedRequest,
+  attemptCallback,
   sendAuthenticatedCallback
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Verify a WooCommerce webhook signature.
+ * WooCommerce signs the raw body with HMAC-SHA256 using the webhook secret and sends it base64 encoded.
+ * @param {string} rawBody - Raw request body
+ * @param {string} signature - Value of the X-WC-Webhook-Signature header
+ * @param {string} secret - Webhook secret (defaults to the configured secret)
+ * @returns {boolean} Verification result
+ */
+const verifyWebhookSignature = (rawBody, signature, secret = config.woocommerce.webhookSecret) => {
+  try {
+    if (!secret) {
+      logger.error('WooCommerce webhook secret is not configured, rejecting webhook');
+      return false;
+    }
+
+    if (!signature) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody || '', 'utf8')
+      .digest();
+    const provided = Buffer.from(signature, 'base64');
+
+    // timingSafeEqual throws on length mismatch, so check that first
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  } catch (error) {
+    logger.error('Error verifying WooCommerce webhook signature', { error: error.message });
+    return false;
+  }
+};
+
+module.exports = {
+  verifyWebhookSignature
+};
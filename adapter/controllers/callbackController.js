@@ -0,0 +1,128 @@
+const callbackHandler = require('../utils/callbackHandler');
+const callbackOutbox = require('../utils/callbackOutbox');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+
+/**
+ * List dead-lettered callbacks, optionally filtered by transaction_id, type or provider_id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listDeadLetters = async (req, res) => {
+  try {
+    const callbacks = callbackOutbox.listDeadLetters({
+      transaction_id: req.query.transaction_id,
+      type: req.query.type,
+      provider_id: req.query.provider_id
+    });
+
+    res.status(200).json({ callbacks });
+  } catch (error) {
+    logger.error('Error listing dead-lettered callbacks', {
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Send a dead-lettered callback again
+ * Responds once the callback is back in the outbox; a callback that fails again goes back to the
+ * dead-letter queue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const replayDeadLetter = async (req, res) => {
+  const callbackId = req.params.callbackId;
+
+  try {
+    const record = callbackHandler.replayDeadLetter(callbackId);
+
+    if (!record) {
+      throw new ApiError(`Dead-lettered callback ${callbackId} not found`, 404);
+    }
+
+    res.status(202).json({
+      status: 'queued',
+      callback_id: record.id,
+      expires_at: record.expires_at
+    });
+  } catch (error) {
+    logger.error('Error replaying dead-lettered callback', {
+      callbackId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Purge one dead-lettered callback
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const purgeDeadLetter = async (req, res) => {
+  const callbackId = req.params.callbackId;
+
+  try {
+    if (!callbackOutbox.getDeadLetter(callbackId)) {
+      throw new ApiError(`Dead-lettered callback ${callbackId} not found`, 404);
+    }
+
+    res.status(200).json({ purged: callbackOutbox.purgeDeadLetters({ id: callbackId }) });
+  } catch (error) {
+    logger.error('Error purging dead-lettered callback', {
+      callbackId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Purge dead-lettered callbacks, all of them or those dead-lettered before a time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const purgeDeadLetters = async (req, res) => {
+  try {
+    const before = req.query.before;
+    if (before && Number.isNaN(Date.parse(before))) {
+      throw new ApiError('Validation error: before must be an ISO 8601 timestamp', 400);
+    }
+
+    res.status(200).json({ purged: callbackOutbox.purgeDeadLetters({ before }) });
+  } catch (error) {
+    logger.error('Error purging dead-lettered callbacks', {
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  listDeadLetters,
+  replayDeadLetter,
+  purgeDeadLetter,
+  purgeDeadLetters
+};
@@ -0,0 +1,29 @@
+const categoryService = require('../services/categoryService');
+const logger = require('../utils/logger');
+
+/**
+ * List WooCommerce categories with no ONDC category mapped, so the merchant can complete the mapping
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listUnmappedCategories = async (req, res) => {
+  try {
+    const categories = await categoryService.listUnmappedCategories();
+
+    res.status(200).json({ categories });
+  } catch (error) {
+    logger.error('Error listing unmapped categories', {
+      error: error.message
+    });
+
+    res.status(error.status || error.response?.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  listUnmappedCategories
+};
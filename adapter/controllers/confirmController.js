@@ -1,5 +1,6 @@
 const confirmService = require('../services/confirmService');
 const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
 const { ApiError } = require('../utils/errorHandler');
 const { confirmRequestSchema } = require('../models/confirm');
 
@@ -107,6 +108,11 @@ const processConfirmAsync = async (request) => {
     if (error.message.includes('validation')) {
       await confirmService.cancelOrder(context, '999', 'Order cancelled because of order confirmation failure');
     }
+    
+    // Tell the buyer app why the confirm was rejected
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_confirm', error);
+    }
   }
 };
 
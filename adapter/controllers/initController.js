@@ -1,60 +1,10 @@
 const initService = require('../services/initService');
 const onInitService = require('../services/onInitService');
 const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
 const { ApiError } = require('../utils/errorHandler');
 const { initRequestSchema } = require('../models/initModel');
 
-// Mock helper functions (you'll need to implement these)
-const checkItemAvailability = async (items) => {
-  // Implement actual item availability check
-  return items.map(item => ({
-    ...item,
-    price: {
-      currency: 'INR',
-      value: '500.00'
-    }
-  }));
-};
-
-const calculateQuote = (availableItems) => {
-  const itemTotal = availableItems.reduce((sum, item) => 
-    sum + parseFloat(item.price.value), 0);
-  
-  return {
-    price: {
-      currency: 'INR',
-      value: (itemTotal + 50).toFixed(2)
-    },
-    breakup: [
-      {
-        title: 'Item Price',
-        price: {
-          currency: 'INR',
-          value: itemTotal.toFixed(2)
-        }
-      },
-      {
-        title: 'Delivery Charges',
-        price: {
-          currency: 'INR',
-          value: '50.00'
-        }
-      }
-    ]
-  };
-};
-
-const sendOnInitCallback = async (onInitResponse) => {
-  try {
-    // Implement actual callback logic
-    logger.info('Sending on_init callback', { response: onInitResponse });
-    // Example: use axios to send callback to BAP
-    // await axios.post(context.bap_uri, onInitResponse);
-  } catch (error) {
-    logger.error('Error sending on_init callback', error);
-  }
-};
-
 /**
  * Process ONDC init request
  * @param {Object} req - Express request object
@@ -122,57 +72,14 @@ const processInitRequest = async (req, res, next) => {
     });
     
     // Process the init request asynchronously
-    setTimeout(async () => {
-      try {
-        // Validate items availability
-        const availableItems = await checkItemAvailability(message.order.items);
-
-        // Generate response
-        const onInitResponse = {
-          context: {
-            ...context,
-            action: "on_init",
-            timestamp: new Date().toISOString()
-          },
-          message: {
-            order: {
-              provider: {
-                id: context.bpp_id,
-                descriptor: {
-                  name: "WooCommerce Store"
-                }
-              },
-              items: availableItems,
-              quote: calculateQuote(availableItems),
-              fulfillments: [
-                {
-                  id: "fulfillment-1",
-                  type: "Delivery",
-                  "@ondc/org/TAT": "PT1H",
-                  state: {
-                    descriptor: {
-                      code: "Serviceable"
-                    }
-                  }
-                }
-              ],
-              payments: [
-                {
-                  type: "ON-ORDER",
-                  status: "NOT-PAID",
-                  collected_by: "BAP"
-                }
-              ]
-            }
-          }
-        };
-
-        // Send callback to BAP
-        await sendOnInitCallback(onInitResponse);
-      } catch (asyncError) {
-        logger.error('Async init processing error', asyncError);
-      }
-    }, 0);
+    processInitAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async init processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
     
   } catch (error) {
     logger.error('Error processing ONDC init request', { 
@@ -192,6 +99,47 @@ const processInitRequest = async (req, res, next) => {
   }
 };
 
+/**
+ * Process init request asynchronously
+ * @param {Object} request - ONDC init request
+ * @returns {Promise<void>}
+ */
+const processInitAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  
+  try {
+    logger.info('Starting async processing of init request', { transactionId });
+    
+    // Create the draft order, priced by the shared quote engine
+    const ondcResponse = await initService.processInit(request);
+    
+    logger.info('Successfully processed init request, sending on_init callback', { 
+      transactionId,
+      ondcOrderId: ondcResponse.message.order.id
+    });
+    
+    // Send the on_init callback
+    const callbackResult = await onInitService.sendOnInitCallback(ondcResponse);
+    
+    logger.info('Completed async processing of init request', { 
+      transactionId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of init request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    // Tell the buyer app why the init was rejected (e.g. items out of stock)
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_init', error);
+    }
+  }
+};
+
 module.exports = {
   processInitRequest
 };
\ No newline at end of file
@@ -0,0 +1,267 @@
+const issueService = require('../services/issueService');
+const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
+const { ApiError } = require('../utils/errorHandler');
+const { getRequestedProvider } = require('../utils/providerRegistry');
+const { issueRequestSchema, issueStatusRequestSchema, respondentActionSchema } = require('../models/issue');
+
+/**
+ * Process ONDC issue request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processIssueRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC issue request', {
+      transactionId,
+      messageId,
+      issueId: req.body?.message?.issue?.id
+    });
+
+    // Validate request body using Joi schema
+    const { error } = issueRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in issue request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Issue request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the issue request asynchronously
+    processIssueAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async issue processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC issue request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process issue request asynchronously
+ * @param {Object} request - ONDC issue request
+ * @returns {Promise<void>}
+ */
+const processIssueAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  const issueId = request.message.issue.id;
+
+  try {
+    logger.info('Starting async processing of issue request', { transactionId, issueId });
+
+    const ondcResponse = await issueService.processIssue(request);
+
+    // Send the on_issue callback
+    const callbackResult = await issueService.sendIssueCallback(ondcResponse);
+
+    logger.info('Completed async processing of issue request', {
+      transactionId,
+      issueId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of issue request', {
+      transactionId,
+      issueId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_issue', error);
+    }
+  }
+};
+
+/**
+ * Process ONDC issue_status request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processIssueStatusRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC issue_status request', {
+      transactionId,
+      messageId,
+      issueId: req.body?.message?.issue_id
+    });
+
+    // Validate request body using Joi schema
+    const { error } = issueStatusRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in issue_status request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Issue status request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the issue_status request asynchronously
+    processIssueStatusAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async issue_status processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC issue_status request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process issue_status request asynchronously
+ * @param {Object} request - ONDC issue_status request
+ * @returns {Promise<void>}
+ */
+const processIssueStatusAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  const issueId = request.message.issue_id;
+
+  try {
+    logger.info('Starting async processing of issue_status request', { transactionId, issueId });
+
+    const ondcResponse = await issueService.processIssueStatus(request);
+
+    // Send the on_issue_status callback
+    const callbackResult = await issueService.sendIssueCallback(ondcResponse);
+
+    logger.info('Completed async processing of issue_status request', {
+      transactionId,
+      issueId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of issue_status request', {
+      transactionId,
+      issueId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_issue_status', error);
+    }
+  }
+};
+
+/**
+ * List issues for the merchant, optionally filtered by status or overdue flag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listIssues = async (req, res) => {
+  const filters = {
+    ...(req.query.status && { status: req.query.status }),
+    ...(req.query.overdue !== undefined && { overdue: req.query.overdue === 'true' })
+  };
+
+  res.status(200).json({ issues: issueService.listIssues(filters) });
+};
+
+/**
+ * Record a respondent action (processing, more info, resolution, cascade) on behalf of the merchant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addRespondentAction = async (req, res) => {
+  const issueId = req.params.issueId;
+
+  try {
+    const { error, value } = respondentActionSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    const result = await issueService.recordRespondentAction(issueId, value, getRequestedProvider(req));
+
+    res.status(200).json({
+      status: 'updated',
+      issue: result.issue,
+      callback_sent: result.callbackSuccess
+    });
+  } catch (error) {
+    logger.error('Error recording respondent action', {
+      issueId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  processIssueRequest,
+  processIssueStatusRequest,
+  listIssues,
+  addRespondentAction
+};
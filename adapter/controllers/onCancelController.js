@@ -1,9 +1,9 @@
 const cancelService = require('../services/cancelService');
 const onCancelService = require('../services/onCancelService');
+const transactionService = require('../services/transactionService');
 const logger = require('../utils/logger');
 const { ApiError } = require('../utils/errorHandler');
 const { onCancelRequestSchema } = require('../models/cancel');
-const wooCommerceAPI = require('../utils/wooCommerceAPI');
 
 /**
  * Process ONDC on_cancel request
@@ -42,17 +42,12 @@ const processOnCancelRequest = async (req, res, next) => {
     const ondcOrderId = message.order.id;
     
     // Find order by ONDC order ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_order_id',
-      meta_value: ondcOrderId
-    });
+    const order = await transactionService.findOrderByOndcId(ondcOrderId);
     
-    if (!orders || orders.length === 0) {
+    if (!order) {
       throw new ApiError(`No order found with ID: ${ondcOrderId}`, 404);
     }
     
-    const order = orders[0];
-    
     // Validate order state for cancellation
     await onCancelService.validateOrderForCancellation(order, transactionId);
     
@@ -1,7 +1,7 @@
 const confirmService = require('../services/confirmService');
 const logger = require('../utils/logger');
 const { ApiError } = require('../utils/errorHandler');
-const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const transactionService = require('../services/transactionService');
 
 /**
  * Handle ONDC on_confirm request
@@ -25,17 +25,12 @@ const handleOnConfirmRequest = async (req, res, next) => {
     });
     
     // Look up the order by transaction ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
+    const order = await transactionService.findOrderByTransactionId(transactionId);
     
-    if (!orders || orders.length === 0) {
+    if (!order) {
       throw new ApiError(`No order found for transaction ID: ${transactionId}`, 404);
     }
     
-    const order = orders[0];
-    
     // Map WooCommerce order to ONDC on_confirm format
     const ondcResponse = confirmService.mapWooCommerceToOnConfirm(order, req.body.context);
     
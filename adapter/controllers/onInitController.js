@@ -1,4 +1,5 @@
 const initService = require('../services/initService');
+const transactionService = require('../services/transactionService');
 const logger = require('../utils/logger');
 const { ApiError } = require('../utils/errorHandler');
 
@@ -59,10 +60,8 @@ const handleOnInitRequest = async (req, res, next) => {
  */
 const lookupOrderByTransactionId = async (transactionId) => {
   try {
-    // Implement logic to look up order by transaction ID
-    // This could use wooCommerceAPI.getOrders() with meta_data filtering
-    // For this example, we'll return a placeholder
-    return null;
+    // on_init describes the draft order created at init
+    return await transactionService.findInitOrder(transactionId);
   } catch (error) {
     logger.error('Error looking up order by transaction ID', {
       transactionId,
@@ -0,0 +1,134 @@
+const ratingService = require('../services/ratingService');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { ratingRequestSchema } = require('../models/rating');
+
+/**
+ * Process ONDC rating request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processRatingRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC rating request', {
+      transactionId,
+      messageId,
+      ratings: req.body?.message?.ratings?.length
+    });
+
+    // Validate request body using Joi schema
+    const { error } = ratingRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in rating request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    // Ratings for orders or items we don't know are refused outright rather than in the callback
+    let order;
+    try {
+      order = await ratingService.validateRating(req.body);
+    } catch (validationError) {
+      if (!validationError.code) {
+        throw validationError;
+      }
+
+      logger.warn('Rating refers to an unknown order or entity', {
+        transactionId,
+        code: validationError.code,
+        error: validationError.message
+      });
+
+      return res.status(validationError.status).json({
+        message: {
+          ack: {
+            status: "NACK"
+          }
+        },
+        error: {
+          type: 'DOMAIN-ERROR',
+          code: validationError.code,
+          message: validationError.message
+        }
+      });
+    }
+
+    logger.info('Rating request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the rating request asynchronously
+    processRatingAsync(req.body, order)
+      .catch(error => {
+        logger.error('Unhandled error in async rating processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC rating request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process rating request asynchronously
+ * @param {Object} request - ONDC rating request
+ * @param {Object} order - WooCommerce order the ratings belong to
+ * @returns {Promise<void>}
+ */
+const processRatingAsync = async (request, order) => {
+  const transactionId = request.context.transaction_id;
+
+  try {
+    logger.info('Starting async processing of rating request', { transactionId, orderId: order.id });
+
+    const ondcResponse = await ratingService.processRating(request, order);
+
+    // Send the on_rating callback
+    const callbackResult = await ratingService.sendOnRatingCallback(ondcResponse);
+
+    logger.info('Completed async processing of rating request', {
+      transactionId,
+      orderId: order.id,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of rating request', {
+      transactionId,
+      orderId: order.id,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+};
+
+module.exports = {
+  processRatingRequest
+};
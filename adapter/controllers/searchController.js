@@ -1,32 +1,249 @@
 const searchService = require("../services/searchService");
+const catalogService = require("../services/catalogService");
+const serviceabilityService = require("../services/serviceabilityService");
 const catalogModel = require("../models/catalougeModel");
-const handleError = require("../utils/errorHandler");
+const callbackHandler = require("../utils/callbackHandler");
+const config = require("../utils/config");
+const logger = require("../utils/logger");
+const registry = require("../utils/providerRegistry");
+const { ApiError } = require("../utils/errorHandler");
+const { parseDuration } = require("../utils/duration");
+const { searchRequestSchema } = require("../models/search");
 
-const handleSearchRequest = async (req, res) => {
-  const { context, message } = req.body;
+/**
+ * Process ONDC search request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleSearchRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || "unknown";
+  const messageId = req.body?.context?.message_id || "unknown";
+
+  try {
+    logger.info("Received ONDC search request", {
+      transactionId,
+      messageId,
+      bapId: req.body?.context?.bap_id,
+      ttl: req.body?.context?.ttl,
+    });
+
+    // Validate request body using Joi schema
+    const { error } = searchRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map((detail) => detail.message).join(", ");
+      logger.warn("Validation error in search request", {
+        transactionId,
+        error: errorMessages,
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    const catalogInc = catalogService.parseCatalogInc(req.body.message.intent);
+    if (catalogInc && !catalogInc.startTime && !["start", "stop"].includes(catalogInc.mode)) {
+      throw new ApiError("Validation error: catalog_inc needs a start_time or a mode of start or stop", 400);
+    }
+
+    // Nobody is waiting for the catalog any more
+    if (isExpired(req.body.context)) {
+      logger.warn("Dropping search request, TTL already expired", {
+        transactionId,
+        timestamp: req.body.context.timestamp,
+        ttl: req.body.context.ttl,
+      });
+
+      return res.status(400).json({
+        message: {
+          ack: {
+            status: "NACK",
+          },
+        },
+        error: {
+          type: "CONTEXT-ERROR",
+          code: "30022",
+          message: "Stale request, TTL has expired",
+        },
+      });
+    }
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK",
+        },
+      },
+    });
+
+    // Build the catalog and send it as an on_search callback
+    processSearchAsync(req.body)
+      .catch((error) => {
+        logger.error("Unhandled error in async search processing", {
+          transactionId,
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+  } catch (error) {
+    logger.error("Error processing ONDC search request", {
+      transactionId,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process search request asynchronously
+ * @param {Object} request - ONDC search request
+ * @returns {Promise<void>}
+ */
+const processSearchAsync = async (request) => {
+  const { context, message } = request;
   const intent = message.intent;
-  const city = context.city;
+  const transactionId = context.transaction_id;
 
   try {
-    if (intent.category?.id && city) {
-      const products = await searchService.searchByCity({
-        category: intent.category,
-        city: city,
+    const providerId = intent.provider?.id;
+    const catalogInc = catalogService.parseCatalogInc(intent);
+
+    // Push mode has no on_search of its own, changes follow as unsolicited on_search
+    if (catalogInc?.mode) {
+      catalogService.setPushMode(context, catalogInc.mode);
+      return;
+    }
+
+    // Each hosted provider answers from its own store, unless the buyer asked for one of them
+    const providers = registry.listProviders()
+      .filter((provider) => !providerId || provider.id === providerId);
+    const catalogs = [];
+
+    for (const provider of providers) {
+      try {
+        catalogs.push(await registry.runWithProvider(provider.id, () =>
+          buildProviderCatalog(intent, catalogInc, transactionId)));
+      } catch (error) {
+        // One unreachable store shouldn't keep the other providers out of the catalog
+        logger.error("Error building provider catalog", {
+          transactionId,
+          providerId: provider.id,
+          error: error.message,
+        });
+      }
+    }
+
+    const catalog = {
+      ...(catalogs[0] || catalogModel.mapToONDC([], [])),
+      "bpp/providers": catalogs.flatMap((providerCatalog) => providerCatalog["bpp/providers"]),
+    };
+
+    // The catalog may have taken a while to build
+    if (isExpired(context)) {
+      logger.warn("Dropping on_search callback, TTL expired while building catalog", {
+        transactionId,
+        ttl: context.ttl,
       });
-      const catalog = catalogModel.mapToONDC(products);
-      return res.status(200).json(createResponse(context, catalog));
-    } else {
-      throw new Error("Unsupported search type");
+      return;
     }
+
+    // Retries stop when the search's ttl runs out, the BAP no longer takes on_search after that
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_search`,
+      createResponse(context, catalog),
+      transactionId,
+      "on_search",
+      { expiresAt: getExpiry(context) }
+    );
+
+    logger.info("Completed async processing of search request", {
+      transactionId,
+      callbackSuccess: result.success,
+    });
   } catch (error) {
-    handleError(res, error, "Error processing /search request");
+    logger.error("Error in async processing of search request", {
+      transactionId,
+      error: error.message,
+      stack: error.stack,
+    });
   }
 };
 
+/**
+ * Build the catalog of the current provider for a search
+ * @param {Object} intent - ONDC search intent
+ * @param {Object|null} catalogInc - Incremental pull window from the intent
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Object>} ONDC catalog with the provider, or none if it can't serve the buyer
+ */
+const buildProviderCatalog = async (intent, catalogInc, transactionId) => {
+  const itemName = intent.item?.descriptor?.name;
+  const providerId = intent.provider?.id;
+  const categoryId = intent.category?.id;
+  const endLocation = intent.fulfillment?.end?.location;
+
+  // Only search the catalog if some store location can deliver to the buyer
+  const serviceableLocationIds = serviceabilityService.getServiceableLocationIds(endLocation);
+  let products = [];
+
+  if (serviceableLocationIds.length === 0) {
+    products = [];
+  } else if (catalogInc) {
+    products = await catalogService.getChangedProducts(catalogInc.startTime, catalogInc.endTime);
+  } else if (itemName || providerId || categoryId) {
+    products = await searchService.searchByItem(itemName, providerId, categoryId);
+  } else {
+    // A search with no criteria is a full catalog pull
+    products = (await catalogService.generateDownloadableCatalog()).products;
+  }
+
+  logger.info("Search matched products", {
+    transactionId,
+    providerId: registry.getCurrentProvider().id,
+    itemName,
+    categoryId,
+    catalogInc,
+    areaCode: endLocation?.address?.area_code || endLocation?.area_code,
+    serviceable: serviceableLocationIds.length > 0,
+    count: products.length,
+  });
+
+  return catalogModel.mapToONDC(await catalogService.attachVariations(products), serviceableLocationIds);
+};
+
+/**
+ * Work out when a request's TTL runs out
+ * @param {Object} context - ONDC context
+ * @returns {number|null} Expiry in ms, or null without a ttl
+ */
+const getExpiry = (context) => {
+  const ttl = context.ttl ? parseDuration(context.ttl) : null;
+  return ttl ? Date.parse(context.timestamp) + ttl : null;
+};
+
+/**
+ * Check whether a request's TTL has run out
+ * @param {Object} context - ONDC context
+ * @returns {boolean} Whether the request has expired (never, without a ttl)
+ */
+const isExpired = (context) => {
+  const expiry = getExpiry(context);
+  return expiry !== null && Date.now() > expiry;
+};
+
 const createResponse = (context, catalog) => ({
   context: {
     ...context,
     action: "on_search",
+    // Searches arrive through the gateway without our identity in the context
+    bpp_id: config.ondc.bppId,
+    bpp_uri: config.ondc.bppUri,
     timestamp: new Date().toISOString(),
   },
   message: { catalog },
@@ -1,29 +1,110 @@
-const selectProducts = require("../services/selectService");
-const handleError = require("../utils/errorHandler");
-const logger = require("../utils/logger");
-
-const handleSelectRequest = async(req , res) => {
-    const {context,message} = req.body;
-    const order = message.order;
-    const orderId  =  order.id;
-    const transactionId = context.transactionId;
-
-    logger.info("Select request received", {orderId});
-    try{
-        const selectProducts = await selectService.selectProducts(order);
-
-        const response = {};
-
-        logger.info("Select request successful", {transactionId});
-        
-        res.status(200).json(response);
-    } catch (error){
-        logger.error("Select request failed", {transactionId, error: error.message});
-        handleError(error, res);
+const selectService = require('../services/selectService');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { selectRequestSchema } = require('../models/select');
+
+/**
+ * Handle ONDC select request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleSelectRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC select request', {
+      transactionId,
+      messageId,
+      domain: req.body?.context?.domain,
+      city: req.body?.context?.city
+    });
+
+    // Validate request body using Joi schema
+    const { error } = selectRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in select request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Select request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the select request asynchronously
+    processSelectAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async select processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC select request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
     }
 
+    next(error);
+  }
+};
+
+/**
+ * Process select request asynchronously
+ * @param {Object} request - ONDC select request
+ * @returns {Promise<void>}
+ */
+const processSelectAsync = async (request) => {
+  const transactionId = request.context.transaction_id;
+
+  try {
+    logger.info('Starting async processing of select request', { transactionId });
+
+    // Build the quote from live WooCommerce stock and prices
+    const ondcResponse = await selectService.processSelect(request);
+
+    logger.info('Successfully processed select request, sending on_select callback', {
+      transactionId,
+      quoteTotal: ondcResponse.message.order.quote.price.value,
+      errorCode: ondcResponse.error?.code
+    });
+
+    // Send the on_select callback
+    const callbackResult = await selectService.sendOnSelectCallback(ondcResponse);
+
+    logger.info('Completed async processing of select request', {
+      transactionId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of select request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+  }
 };
 
 module.exports = {
-    handleSelectRequest
-}
+  handleSelectRequest
+};
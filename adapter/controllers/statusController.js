@@ -0,0 +1,113 @@
+const statusService = require('../services/statusService');
+const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
+const { ApiError } = require('../utils/errorHandler');
+const { statusRequestSchema } = require('../models/status');
+
+/**
+ * Process ONDC status request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processStatusRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC status request', {
+      transactionId,
+      messageId,
+      orderId: req.body?.message?.order_id
+    });
+
+    // Validate request body using Joi schema
+    const { error } = statusRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in status request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Status request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the status request asynchronously
+    processStatusAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async status processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC status request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process status request asynchronously
+ * @param {Object} request - ONDC status request
+ * @returns {Promise<void>}
+ */
+const processStatusAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  const orderId = request.message.order_id;
+
+  try {
+    logger.info('Starting async processing of status request', { transactionId, orderId });
+
+    // Build the current order and fulfillment state from WooCommerce
+    const ondcResponse = await statusService.processStatus(request);
+
+    // Send the on_status callback
+    const callbackResult = await statusService.sendOnStatusCallback(ondcResponse);
+
+    logger.info('Completed async processing of status request', {
+      transactionId,
+      orderId,
+      orderState: ondcResponse.message.order.state,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of status request', {
+      transactionId,
+      orderId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_status', error);
+    }
+  }
+};
+
+module.exports = {
+  processStatusRequest
+};
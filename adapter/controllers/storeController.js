@@ -0,0 +1,68 @@
+const storeStatusService = require('../services/storeStatusService');
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { storeClosureSchema } = require('../models/store');
+
+/**
+ * Get whether the store and each of its locations is taking orders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStoreStatus = async (req, res) => {
+  try {
+    res.status(200).json(storeStatusService.getStoreStatus());
+  } catch (error) {
+    logger.error('Error getting store status', {
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Close or reopen the store, or one of its locations, and push the change to BAPs in push mode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setStoreClosure = async (req, res) => {
+  try {
+    const { error, value } = storeClosureSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    const status = storeStatusService.setClosure({
+      ...value,
+      ...(value.until && { until: value.until.toISOString() })
+    });
+    const pushResult = await catalogService.pushStoreStatus();
+
+    res.status(200).json({
+      status: 'updated',
+      store: status,
+      catalog_push: pushResult
+    });
+  } catch (error) {
+    logger.error('Error updating store closure', {
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  getStoreStatus,
+  setStoreClosure
+};
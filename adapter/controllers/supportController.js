@@ -0,0 +1,111 @@
+const supportService = require('../services/supportService');
+const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
+const { ApiError } = require('../utils/errorHandler');
+const { supportRequestSchema } = require('../models/support');
+
+/**
+ * Process ONDC support request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processSupportRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC support request', {
+      transactionId,
+      messageId,
+      refId: req.body?.message?.ref_id
+    });
+
+    // Validate request body using Joi schema
+    const { error } = supportRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in support request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Support request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the support request asynchronously
+    processSupportAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async support processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC support request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process support request asynchronously
+ * @param {Object} request - ONDC support request
+ * @returns {Promise<void>}
+ */
+const processSupportAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  const refId = request.message.ref_id;
+
+  try {
+    logger.info('Starting async processing of support request', { transactionId, refId });
+
+    const ondcResponse = await supportService.processSupport(request);
+
+    // Send the on_support callback
+    const callbackResult = await supportService.sendOnSupportCallback(ondcResponse);
+
+    logger.info('Completed async processing of support request', {
+      transactionId,
+      refId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of support request', {
+      transactionId,
+      refId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_support', error);
+    }
+  }
+};
+
+module.exports = {
+  processSupportRequest
+};
@@ -0,0 +1,144 @@
+const trackService = require('../services/trackService');
+const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
+const { ApiError } = require('../utils/errorHandler');
+const { trackRequestSchema, trackingUpdateSchema } = require('../models/track');
+
+/**
+ * Process ONDC track request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processTrackRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC track request', {
+      transactionId,
+      messageId,
+      orderId: req.body?.message?.order_id
+    });
+
+    // Validate request body using Joi schema
+    const { error } = trackRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in track request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Track request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the track request asynchronously
+    processTrackAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async track processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC track request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process track request asynchronously
+ * @param {Object} request - ONDC track request
+ * @returns {Promise<void>}
+ */
+const processTrackAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  const orderId = request.message.order_id;
+
+  try {
+    logger.info('Starting async processing of track request', { transactionId, orderId });
+
+    const ondcResponse = await trackService.processTrack(request);
+
+    // Send the on_track callback
+    const callbackResult = await trackService.sendOnTrackCallback(ondcResponse);
+
+    logger.info('Completed async processing of track request', {
+      transactionId,
+      orderId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of track request', {
+      transactionId,
+      orderId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_track', error);
+    }
+  }
+};
+
+/**
+ * Record tracking details (URL or agent GPS) reported by the merchant or logistics partner
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTrackingInfo = async (req, res) => {
+  const orderId = req.params.orderId;
+
+  try {
+    const { error, value } = trackingUpdateSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    await trackService.updateTracking(orderId, value);
+
+    res.status(200).json({ status: 'updated' });
+  } catch (error) {
+    logger.error('Error updating tracking details', {
+      orderId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  processTrackRequest,
+  updateTrackingInfo
+};
@@ -0,0 +1,219 @@
+const updateService = require('../services/updateService');
+const logger = require('../utils/logger');
+const callbackHandler = require('../utils/callbackHandler');
+const { ApiError } = require('../utils/errorHandler');
+const { updateRequestSchema, returnStateUpdateSchema, partCancelSchema } = require('../models/update');
+
+/**
+ * Process ONDC update request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const processUpdateRequest = async (req, res, next) => {
+  const transactionId = req.body?.context?.transaction_id || 'unknown';
+  const messageId = req.body?.context?.message_id || 'unknown';
+
+  try {
+    logger.info('Received ONDC update request', {
+      transactionId,
+      messageId,
+      orderId: req.body?.message?.order?.id,
+      updateTarget: req.body?.message?.update_target
+    });
+
+    // Validate request body using Joi schema
+    const { error } = updateRequestSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      logger.warn('Validation error in update request', {
+        transactionId,
+        error: errorMessages
+      });
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    logger.info('Track request validation passed, processing request', { transactionId });
+
+    // Send ACK response immediately
+    res.status(202).json({
+      message: {
+        ack: {
+          status: "ACK"
+        }
+      }
+    });
+
+    // Process the update request asynchronously
+    processUpdateAsync(req.body)
+      .catch(error => {
+        logger.error('Unhandled error in async update processing', {
+          transactionId,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+
+  } catch (error) {
+    logger.error('Error processing ONDC update request', {
+      transactionId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // If it's not an ApiError, convert it to one with a 500 status code
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Process update request asynchronously
+ * @param {Object} request - ONDC update request
+ * @returns {Promise<void>}
+ */
+const processUpdateAsync = async (request) => {
+  const { context } = request;
+  const transactionId = context.transaction_id;
+  const orderId = request.message.order.id;
+
+  try {
+    logger.info('Starting async processing of update request', { transactionId, orderId });
+
+    const ondcResponse = await updateService.processUpdate(request);
+
+    // Send the on_update callback
+    const callbackResult = await updateService.sendOnUpdateCallback(ondcResponse);
+
+    logger.info('Completed async processing of update request', {
+      transactionId,
+      orderId,
+      callbackSuccess: callbackResult
+    });
+  } catch (error) {
+    logger.error('Error in async processing of update request', {
+      transactionId,
+      orderId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.code) {
+      await callbackHandler.sendErrorCallback(context, 'on_update', error);
+    }
+  }
+};
+
+/**
+ * Move a return to its next state on behalf of the merchant or logistics partner
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateReturnStatus = async (req, res) => {
+  const { orderId, returnId } = req.params;
+
+  try {
+    const { error, value } = returnStateUpdateSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    const result = await updateService.updateReturnState(orderId, returnId, value);
+
+    res.status(200).json({
+      status: 'updated',
+      return: result.return,
+      callback_sent: result.callbackSuccess
+    });
+  } catch (error) {
+    logger.error('Error updating return state', {
+      orderId,
+      returnId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Cancel some item quantities on behalf of a merchant who can't fulfil them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelOrderItems = async (req, res) => {
+  const orderId = req.params.orderId;
+
+  try {
+    const { error, value } = partCancelSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      const errorMessages = error.details.map(detail => detail.message).join(', ');
+      throw new ApiError(`Validation error: ${errorMessages}`, 400);
+    }
+
+    const result = await updateService.cancelItems(orderId, value);
+
+    res.status(200).json({
+      status: 'cancelled',
+      cancellation: result.cancellation,
+      callback_sent: result.callbackSuccess
+    });
+  } catch (error) {
+    logger.error('Error part-cancelling order items', {
+      orderId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Retry the refund of a part cancellation whose refund failed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryCancellationRefund = async (req, res) => {
+  const { orderId, cancelId } = req.params;
+
+  try {
+    const result = await updateService.retryCancellationRefund(orderId, cancelId);
+
+    res.status(200).json({
+      status: result.cancellation.refund_id ? 'refunded' : 'refund_pending',
+      cancellation: result.cancellation,
+      callback_sent: result.callbackSuccess
+    });
+  } catch (error) {
+    logger.error('Error retrying part cancellation refund', {
+      orderId,
+      cancelId,
+      error: error.message
+    });
+
+    res.status(error.status || 500).json({
+      error: {
+        message: error.message
+      }
+    });
+  }
+};
+
+module.exports = {
+  processUpdateRequest,
+  updateReturnStatus,
+  cancelOrderItems,
+  retryCancellationRefund
+};
@@ -0,0 +1,94 @@
+const webhookService = require('../services/webhookService');
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { verifyWebhookSignature } = require('../auth/webhookVerifier');
+const { listProviders, findProviderByStoreUrl, runWithProvider } = require('../utils/providerRegistry');
+
+// WooCommerce webhook topics we act on
+const TOPIC_HANDLERS = {
+  'order.updated': webhookService.processOrderUpdated,
+  // Product changes are pushed to BAPs that asked for incremental catalog push
+  'product.created': catalogService.pushProductChange,
+  'product.updated': catalogService.pushProductChange,
+  'product.deleted': catalogService.pushProductChange,
+  'product.restored': catalogService.pushProductChange
+};
+
+/**
+ * Handle WooCommerce webhook delivery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleWooWebhook = async (req, res, next) => {
+  const topic = req.headers['x-wc-webhook-topic'];
+  const deliveryId = req.headers['x-wc-webhook-delivery-id'];
+
+  try {
+    // WooCommerce pings a new webhook with a bare webhook_id before sending any topic
+    if (!topic) {
+      logger.info('Received WooCommerce webhook ping', { webhookId: req.body?.webhook_id });
+      return res.status(200).json({ status: 'ok' });
+    }
+
+    // Each provider's store signs with its own secret
+    const source = req.headers['x-wc-webhook-source'];
+    const provider = findProviderByStoreUrl(source) || listProviders()[0];
+
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-wc-webhook-signature'], provider.woocommerce.webhookSecret)) {
+      logger.warn('WooCommerce webhook signature verification failed', { topic, deliveryId, source });
+      return res.status(401).json({
+        error: {
+          message: 'Invalid webhook signature'
+        }
+      });
+    }
+
+    const handler = TOPIC_HANDLERS[topic];
+    if (!handler) {
+      logger.debug('Ignoring unsupported WooCommerce webhook topic', { topic, deliveryId });
+      return res.status(200).json({ status: 'ignored' });
+    }
+
+    logger.info('Received WooCommerce webhook', {
+      topic,
+      deliveryId,
+      providerId: provider.id,
+      resourceId: req.body?.id,
+      status: req.body?.status
+    });
+
+    // Respond straight away, WooCommerce disables webhooks whose deliveries keep timing out
+    res.status(200).json({ status: 'accepted' });
+
+    runWithProvider(provider.id, () => handler(req.body))
+      .then(result => {
+        logger.info('Processed WooCommerce webhook', {
+          topic,
+          deliveryId,
+          resourceId: req.body.id,
+          ...result
+        });
+      })
+      .catch(error => {
+        logger.error('Error processing WooCommerce webhook', {
+          topic,
+          deliveryId,
+          resourceId: req.body?.id,
+          error: error.message,
+          stack: error.stack
+        });
+      });
+  } catch (error) {
+    if (!error.status) {
+      error = new ApiError(`Internal server error: ${error.message}`, 500);
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  handleWooWebhook
+};
@@ -1,25 +1,354 @@
-const mapToONDC = (products) => ({
-  bpp: {
-    providers: [
+const config = require("../utils/config");
+const { buildServiceabilityTags } = require("../services/serviceabilityService");
+const { getAvailableCount } = require("../services/quoteService");
+const { getSupportContacts } = require("../services/supportService");
+const { applyStatutoryRequirements } = require("../services/statutoryService");
+const customizationService = require("../services/customizationService");
+const itemMappingService = require("../services/itemMappingService");
+const { getProductCategory } = require("../services/categoryService");
+const { getCurrentProvider } = require("../utils/providerRegistry");
+const { getClosure } = require("../services/storeStatusService");
+
+// Product meta keys that override the catalog defaults for a single item
+const ITEM_META_KEYS = {
+  returnable: "ondc_returnable",
+  cancellable: "ondc_cancellable",
+  returnWindow: "ondc_return_window",
+  timeToShip: "ondc_time_to_ship",
+  availableOnCod: "ondc_available_on_cod",
+  maximumQuantity: "ondc_max_quantity",
+};
+
+// Providers without a location that can serve the buyer are left out of the catalog
+const mapToONDC = (products, serviceableLocationIds = null) => {
+  const provider = getCurrentProvider();
+  const locations = provider.locations
+    .filter((location) => !serviceableLocationIds || serviceableLocationIds.includes(location.id));
+
+  return {
+    "bpp/descriptor": buildBppDescriptor(),
+    "bpp/fulfillments": [
       {
-        id: "WooCommerce_Store",
-        descriptor: { name: "WooCommerce Store" },
-        items: products.map((product) => ({
-          id: product.id,
-          descriptor: { name: product.name },
-          price: {
-            currency: "INR",
-            value: product.price,
-          },
-          quantity: {
-            available: { count: product.stock_quantity || 0 },
-          },
-        })),
+        id: config.catalog.fulfillmentId,
+        type: config.catalog.fulfillmentType,
+      },
+    ],
+    "bpp/providers": locations.length > 0 ? [buildProvider(provider, products, locations)] : [],
+  };
+};
+
+/**
+ * Build the seller app descriptor
+ * @returns {Object} ONDC descriptor
+ */
+const buildBppDescriptor = () => ({
+  name: config.catalog.bppName,
+  ...(config.catalog.bppSymbol && {
+    symbol: config.catalog.bppSymbol,
+    images: [config.catalog.bppSymbol],
+  }),
+  ...(config.catalog.bppShortDesc && { short_desc: config.catalog.bppShortDesc }),
+  ...(config.catalog.bppLongDesc && { long_desc: config.catalog.bppLongDesc }),
+});
+
+/**
+ * Build a provider entry
+ * @param {Object} provider - Provider from the registry
+ * @param {Array} products - WooCommerce products
+ * @param {Array} locations - Provider locations to list
+ * @returns {Object} ONDC provider
+ */
+const buildProvider = (provider, products, locations) => {
+  const { store } = provider;
+  const listing = {
+    contacts: getSupportContacts(provider.id),
+    storeName: store.name,
+    // Stock isn't tracked per location, so items are listed at the nearest serviceable one
+    locationId: locations[0].id,
+  };
+
+  // One write for all the catalog's new item IDs rather than one per item
+  itemMappingService.assignOndcItemIds(products.flatMap((product) => (product.variations?.length > 0
+    ? product.variations.map((variation) => ({ productId: product.id, variationId: variation.id }))
+    : [{ productId: product.id }])));
+  const variantGroups = products
+    .filter((product) => product.variations?.length > 0)
+    .map(buildVariantGroup);
+  const customGroups = products
+    .filter(isEnabled)
+    .flatMap(customizationService.buildCustomGroups);
+  const categories = [...variantGroups, ...customGroups];
+
+  return {
+    id: provider.id,
+    descriptor: {
+      name: store.name,
+      ...(store.symbol && {
+        symbol: store.symbol,
+        images: [store.symbol],
+      }),
+      short_desc: store.shortDesc || store.name,
+      long_desc: store.longDesc || store.shortDesc || store.name,
+    },
+    // A temporarily closed store stays listed but disabled, so buyers see it can't take orders
+    time: buildClosureTime(getClosure()),
+    locations: locations.map(buildLocation),
+    fulfillments: [
+      {
+        id: config.catalog.fulfillmentId,
+        type: config.catalog.fulfillmentType,
+        contact: {
+          phone: listing.contacts.phone,
+          email: listing.contacts.email,
+        },
       },
     ],
+    ...(categories.length > 0 && { categories }),
+    items: products.flatMap((product) => mapProduct(product, listing)).filter(Boolean),
+    tags: [
+      ...buildServiceabilityTags(locations.map((location) => location.id)),
+      ...locations.map(buildTimingTag),
+    ],
+  };
+};
+
+/**
+ * Build a provider location with its opening hours
+ * @param {Object} location - Provider location
+ * @returns {Object} ONDC location
+ */
+const buildLocation = (location) => ({
+  id: location.id,
+  gps: location.gps,
+  address: {
+    ...(location.street && { street: location.street }),
+    locality: location.locality,
+    city: location.city,
+    state: location.state,
+    area_code: location.areaCode,
+  },
+  time: {
+    ...buildClosureTime(getClosure(location.id)),
+    days: location.days,
+    schedule: {
+      holidays: location.holidays,
+    },
+    range: {
+      start: location.openTime,
+      end: location.closeTime,
+    },
   },
 });
 
+/**
+ * Build the enable/disable time of a provider or location from its closure
+ * @param {Object|null} closure - Closure in force, or null when open
+ * @returns {Object} ONDC time label and timestamp
+ */
+const buildClosureTime = (closure) => ({
+  label: closure ? "disable" : "enable",
+  timestamp: closure ? closure.closed_at : new Date().toISOString(),
+});
+
+/**
+ * Build the timing tag of a location from its opening hours
+ * @param {Object} location - Provider location
+ * @returns {Object} ONDC tag
+ */
+const buildTimingTag = (location) => {
+  const days = location.days.split(",").map((day) => parseInt(day)).filter(Boolean);
+
+  return {
+    code: "timing",
+    list: [
+      { code: "type", value: "All" },
+      { code: "location", value: location.id },
+      { code: "day_from", value: String(Math.min(...days)) },
+      { code: "day_to", value: String(Math.max(...days)) },
+      { code: "time_from", value: location.openTime },
+      { code: "time_to", value: location.closeTime },
+    ],
+  };
+};
+
+/**
+ * Map a WooCommerce product to ONDC items, one per variation for variable products
+ * @param {Object} product - WooCommerce product, variable ones with their variations attached
+ * @param {Object} listing - Provider details shared by its items (contacts, store name, location)
+ * @returns {Array} ONDC items (null for items that can't be listed)
+ */
+const mapProduct = (product, listing) => {
+  // Add-on options are listed as customization items next to the items they customize
+  const customizations = isEnabled(product)
+    ? customizationService.buildCustomizationItems(product, getProductCategory(product))
+    : [];
+
+  if (product.type !== "variable") {
+    return [mapItem(product, listing), ...customizations];
+  }
+
+  if (!product.variations?.length) {
+    // Only the parent is left to disable, there's nothing to buy without a variation
+    return isEnabled(product) ? [] : [mapItem(product, listing)];
+  }
+
+  return [...product.variations.map((variation) => mapVariant(product, variation, listing)), ...customizations];
+};
+
+/**
+ * Map a variation to an ONDC variant item of its parent's variant group
+ * @param {Object} parent - WooCommerce variable product
+ * @param {Object} variation - WooCommerce product variation
+ * @param {Object} listing - Provider details shared by its items (contacts, store name, location)
+ * @returns {Object|null} ONDC item, or null if it can't be listed
+ */
+const mapVariant = (parent, variation, listing) => {
+  const options = (variation.attributes || []).map((attribute) => attribute.option);
+
+  // Variations carry their own price, stock and image but share the parent's details and meta
+  const item = mapItem({
+    ...parent,
+    name: options.length > 0 ? `${parent.name} - ${options.join(", ")}` : parent.name,
+    description: variation.description || parent.description,
+    price: variation.price,
+    regular_price: variation.regular_price,
+    purchasable: variation.purchasable,
+    manage_stock: variation.manage_stock,
+    stock_quantity: variation.stock_quantity,
+    stock_status: variation.stock_status,
+    images: variation.image ? [variation.image] : parent.images,
+    meta_data: [...(variation.meta_data || []), ...(parent.meta_data || [])],
+    status: parent.status === "publish" ? variation.status : parent.status,
+    date_modified_gmt: variation.date_modified_gmt || parent.date_modified_gmt,
+  }, listing, itemMappingService.getOndcItemId(parent.id, variation.id));
+
+  if (!item) {
+    return null;
+  }
+
+  return {
+    ...item,
+    parent_item_id: `V${parent.id}`,
+    tags: [
+      ...(item.tags || []),
+      {
+        code: "attribute",
+        list: (variation.attributes || []).map((attribute) => ({
+          code: toAttributeCode(attribute.name),
+          value: attribute.option,
+        })),
+      },
+    ],
+  };
+};
+
+/**
+ * Build the variant group category of a variable product from its variation attributes
+ * @param {Object} product - WooCommerce variable product
+ * @returns {Object} ONDC category
+ */
+const buildVariantGroup = (product) => ({
+  id: `V${product.id}`,
+  descriptor: { name: product.name },
+  tags: [
+    {
+      code: "type",
+      list: [{ code: "type", value: "variant_group" }],
+    },
+    ...(product.attributes || [])
+      .filter((attribute) => attribute.variation)
+      .map((attribute, index) => ({
+        code: "attr",
+        list: [
+          { code: "name", value: `item.tags.attribute.${toAttributeCode(attribute.name)}` },
+          { code: "seq", value: String(index + 1) },
+        ],
+      })),
+  ],
+});
+
+/**
+ * Map a WooCommerce product to an ONDC catalog item
+ * @param {Object} product - WooCommerce product
+ * @param {Object} listing - Provider details shared by its items (contacts, store name, location)
+ * @param {string} [ondcItemId] - ONDC item ID, defaults to the product's
+ * @returns {Object|null} ONDC item, or null if it can't be listed
+ */
+const mapItem = (product, listing, ondcItemId = itemMappingService.getOndcItemId(product.id)) => {
+  const enabled = isEnabled(product);
+  const customGroupTags = customizationService.buildItemCustomGroupTags(product);
+  const images = (product.images || []).map((image) => image.src);
+  const available = getAvailableCount(product);
+  const maximum = parseInt(getItemSetting(product, "maximumQuantity")) || config.quote.maxOrderQuantity;
+
+  const item = {
+    id: ondcItemId,
+    descriptor: {
+      name: product.name,
+      ...(images.length > 0 && { symbol: images[0], images }),
+      short_desc: stripHtml(product.short_description || product.description || product.name || ""),
+      long_desc: stripHtml(product.description || product.short_description || product.name || ""),
+    },
+    price: {
+      currency: config.quote.currency,
+      value: String(product.price || 0),
+      // MRP, the sale price is the selling value
+      maximum_value: String(product.regular_price || product.price || 0),
+    },
+    quantity: {
+      available: { count: available },
+      maximum: { count: Math.min(available, maximum) },
+    },
+    category_id: getProductCategory(product),
+    location_id: listing.locationId,
+    fulfillment_id: config.catalog.fulfillmentId,
+    "@ondc/org/returnable": toBoolean(getItemSetting(product, "returnable")),
+    "@ondc/org/cancellable": toBoolean(getItemSetting(product, "cancellable")),
+    "@ondc/org/return_window": getItemSetting(product, "returnWindow"),
+    "@ondc/org/seller_pickup_return": false,
+    "@ondc/org/time_to_ship": getItemSetting(product, "timeToShip"),
+    "@ondc/org/available_on_cod": toBoolean(getItemSetting(product, "availableOnCod")),
+    "@ondc/org/contact_details_consumer_care": `${listing.storeName},${listing.contacts.email},${listing.contacts.phone}`,
+    ...(customGroupTags.length > 0 && { tags: customGroupTags }),
+    // Unpublished or trashed products are sent as disabled in incremental catalogs
+    time: {
+      label: enabled ? "enable" : "disable",
+      timestamp: product.date_modified_gmt ? `${product.date_modified_gmt}Z` : new Date().toISOString(),
+    },
+  };
+
+  // A disabled item only needs to be recognisable, not compliant
+  return enabled ? applyStatutoryRequirements(item, product) : item;
+};
+
+/**
+ * Read an item setting from product meta, falling back to the catalog default
+ * @param {Object} product - WooCommerce product
+ * @param {string} setting - Key of ITEM_META_KEYS
+ * @returns {*} Setting value
+ */
+const getItemSetting = (product, setting) => {
+  const meta = product.meta_data?.find((entry) => entry.key === ITEM_META_KEYS[setting]);
+
+  if (meta && meta.value !== "" && meta.value !== null && meta.value !== undefined) {
+    return meta.value;
+  }
+
+  return config.catalog[setting];
+};
+
+const isEnabled = (product) => !product.status || product.status === "publish";
+
+// ONDC attribute codes are lowercase and use British spelling (colour)
+const toAttributeCode = (name) => {
+  const code = (name || "").replace(/^pa_/, "").toLowerCase().replace(/[^a-z0-9]+/g, "_");
+  return code === "color" ? "colour" : code;
+};
+
+const toBoolean = (value) => value === true || ["true", "yes", "1"].includes(String(value).toLowerCase());
+
+const stripHtml = (html) => html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+
 module.exports = {
   mapToONDC,
 };
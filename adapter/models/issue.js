@@ -0,0 +1,127 @@
+const Joi = require('joi');
+
+// IGM context (core_version 1.0.0 for IGM, independent of the retail version)
+const igmContextSchema = (action) => Joi.object({
+  domain: Joi.string().required(),
+  action: Joi.string().valid(action).required(),
+  core_version: Joi.string().required(),
+  bap_id: Joi.string().required(),
+  bap_uri: Joi.string().uri().required(),
+  bpp_id: Joi.string().required(),
+  bpp_uri: Joi.string().uri().required(),
+  transaction_id: Joi.string().required(),
+  message_id: Joi.string().required(),
+  city: Joi.string(),
+  country: Joi.string(),
+  timestamp: Joi.string().isoDate().required(),
+  ttl: Joi.string()
+}).required();
+
+// Contact details shared by complainants and respondents
+const contactSchema = Joi.object({
+  phone: Joi.string(),
+  email: Joi.string()
+});
+
+// Schema for ONDC IGM issue request validation
+const issueRequestSchema = Joi.object({
+  context: igmContextSchema('issue'),
+  message: Joi.object({
+    issue: Joi.object({
+      id: Joi.string().required(),
+      category: Joi.string().valid('ORDER', 'ITEM', 'FULFILLMENT', 'AGENT', 'PAYMENT', 'TRANSACTION').required(),
+      sub_category: Joi.string().required(),
+      complainant_info: Joi.object({
+        person: Joi.object({
+          name: Joi.string().required()
+        }).required(),
+        contact: contactSchema.required()
+      }).required(),
+      order_details: Joi.object({
+        id: Joi.string().required(),
+        state: Joi.string(),
+        items: Joi.array().items(
+          Joi.object({
+            id: Joi.string().required(),
+            quantity: Joi.number().integer()
+          })
+        ),
+        fulfillments: Joi.array().items(
+          Joi.object({
+            id: Joi.string().required(),
+            state: Joi.string()
+          })
+        ),
+        provider_id: Joi.string()
+      }).required(),
+      description: Joi.object({
+        short_desc: Joi.string().required(),
+        long_desc: Joi.string().allow(''),
+        additional_desc: Joi.object({
+          url: Joi.string().uri(),
+          content_type: Joi.string()
+        }),
+        images: Joi.array().items(Joi.string().uri())
+      }).required(),
+      source: Joi.object({
+        network_participant_id: Joi.string().required(),
+        type: Joi.string().valid('CONSUMER', 'SELLER', 'INTERFACING-NP').required()
+      }).required(),
+      expected_response_time: Joi.object({
+        duration: Joi.string().required()
+      }),
+      expected_resolution_time: Joi.object({
+        duration: Joi.string().required()
+      }),
+      status: Joi.string().valid('OPEN', 'CLOSED').required(),
+      issue_type: Joi.string().valid('ISSUE', 'GRIEVANCE', 'DISPUTE').required(),
+      issue_actions: Joi.object({
+        complainant_actions: Joi.array().items(
+          Joi.object({
+            complainant_action: Joi.string().valid('OPEN', 'ESCALATE', 'CLOSE').required(),
+            short_desc: Joi.string().allow(''),
+            updated_at: Joi.string().isoDate().required(),
+            updated_by: Joi.object().unknown(true)
+          })
+        ).min(1).required()
+      }).required(),
+      rating: Joi.string().valid('THUMBS-UP', 'THUMBS-DOWN'),
+      created_at: Joi.string().isoDate().required(),
+      updated_at: Joi.string().isoDate().required()
+    }).required()
+  }).required()
+});
+
+// Schema for ONDC IGM issue_status request validation
+const issueStatusRequestSchema = Joi.object({
+  context: igmContextSchema('issue_status'),
+  message: Joi.object({
+    issue_id: Joi.string().required()
+  }).required()
+});
+
+// Schema for respondent actions recorded by the merchant
+const respondentActionSchema = Joi.object({
+  respondent_action: Joi.string().valid('PROCESSING', 'NEED-MORE-INFO', 'RESOLVED', 'CASCADED').required(),
+  short_desc: Joi.string().required(),
+  resolution: Joi.when('respondent_action', {
+    is: 'RESOLVED',
+    then: Joi.object({
+      short_desc: Joi.string().required(),
+      long_desc: Joi.string(),
+      action_triggered: Joi.string().valid('REFUND', 'REPLACEMENT', 'CANCEL', 'NO-ACTION').required(),
+      refund_amount: Joi.when('action_triggered', {
+        is: 'REFUND',
+        then: Joi.number().positive().required(),
+        otherwise: Joi.number().positive()
+      })
+    }).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+module.exports = {
+  issueRequestSchema,
+  issueStatusRequestSchema,
+  respondentActionSchema
+};
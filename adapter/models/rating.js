@@ -0,0 +1,40 @@
+const Joi = require('joi');
+
+// Schema for ONDC rating request validation
+const ratingRequestSchema = Joi.object({
+  context: Joi.object({
+    domain: Joi.string().required(),
+    action: Joi.string().valid('rating').required(),
+    core_version: Joi.string().required(),
+    bap_id: Joi.string().required(),
+    bap_uri: Joi.string().uri().required(),
+    bpp_id: Joi.string().required(),
+    bpp_uri: Joi.string().uri().required(),
+    transaction_id: Joi.string().required(),
+    message_id: Joi.string().required(),
+    city: Joi.string(),
+    country: Joi.string(),
+    timestamp: Joi.string().isoDate().required(),
+    ttl: Joi.string()
+  }).required(),
+  message: Joi.object({
+    ratings: Joi.array().items(
+      Joi.object({
+        rating_category: Joi.string().valid('Order', 'Item', 'Fulfillment', 'Provider').required(),
+        id: Joi.string().required(),
+        value: Joi.string().pattern(/^[1-5]$/).required(),
+        feedback_form: Joi.array().items(
+          Joi.object({
+            question: Joi.string().required(),
+            answer: Joi.string().allow('').required()
+          })
+        ),
+        feedback_id: Joi.string()
+      })
+    ).min(1).required()
+  }).required()
+});
+
+module.exports = {
+  ratingRequestSchema
+};
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+
+// Schema for ONDC search request validation (broadcast via the gateway, so no bpp_id/bpp_uri)
+const searchRequestSchema = Joi.object({
+  context: Joi.object({
+    domain: Joi.string().required(),
+    action: Joi.string().valid('search').required(),
+    core_version: Joi.string().required(),
+    bap_id: Joi.string().required(),
+    bap_uri: Joi.string().uri().required(),
+    bpp_id: Joi.string(),
+    bpp_uri: Joi.string().uri(),
+    transaction_id: Joi.string().required(),
+    message_id: Joi.string().required(),
+    city: Joi.string(),
+    country: Joi.string(),
+    timestamp: Joi.string().isoDate().required(),
+    ttl: Joi.string()
+  }).unknown(true).required(),
+  message: Joi.object({
+    intent: Joi.object().required()
+  }).required()
+});
+
+module.exports = {
+  searchRequestSchema
+};
@@ -0,0 +1,74 @@
+const Joi = require('joi');
+
+// Schema for ONDC select request validation
+const selectRequestSchema = Joi.object({
+  context: Joi.object({
+    domain: Joi.string().required(),
+    action: Joi.string().valid('select').required(),
+    core_version: Joi.string().required(),
+    bap_id: Joi.string().required(),
+    bap_uri: Joi.string().uri().required(),
+    bpp_id: Joi.string().required(),
+    bpp_uri: Joi.string().uri().required(),
+    transaction_id: Joi.string().required(),
+    message_id: Joi.string().required(),
+    city: Joi.string(),
+    country: Joi.string(),
+    timestamp: Joi.string().isoDate().required(),
+    ttl: Joi.string()
+  }).required(),
+  message: Joi.object({
+    order: Joi.object({
+      provider: Joi.object({
+        id: Joi.string().required(),
+        locations: Joi.array().items(
+          Joi.object({
+            id: Joi.string().required()
+          })
+        )
+      }).required(),
+      items: Joi.array().items(
+        Joi.object({
+          id: Joi.string().required(),
+          location_id: Joi.string(),
+          fulfillment_id: Joi.string(),
+          parent_item_id: Joi.string(),
+          quantity: Joi.object({
+            count: Joi.number().integer().min(1).required()
+          }).required(),
+          tags: Joi.array().items(
+            Joi.object({
+              code: Joi.string().required(),
+              list: Joi.array().items(
+                Joi.object({
+                  code: Joi.string().required(),
+                  value: Joi.string().required()
+                })
+              )
+            })
+          )
+        })
+      ).min(1).required(),
+      fulfillments: Joi.array().items(
+        Joi.object({
+          id: Joi.string(),
+          type: Joi.string(),
+          end: Joi.object({
+            location: Joi.object({
+              gps: Joi.string(),
+              address: Joi.object({
+                area_code: Joi.string()
+              }).unknown(true)
+            }).unknown(true)
+          }).unknown(true)
+        }).unknown(true)
+      ),
+      payment: Joi.object().unknown(true),
+      offers: Joi.array()
+    }).unknown(true).required()
+  }).required()
+});
+
+module.exports = {
+  selectRequestSchema
+};
@@ -0,0 +1,13 @@
+const Joi = require('joi');
+
+// Schema for closing or reopening a store, or one of its locations, from the merchant side
+const storeClosureSchema = Joi.object({
+  closed: Joi.boolean().required(),
+  location_id: Joi.string(),
+  reason: Joi.string().max(255),
+  until: Joi.date().iso().greater('now')
+});
+
+module.exports = {
+  storeClosureSchema
+};
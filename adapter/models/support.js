@@ -0,0 +1,27 @@
+const Joi = require('joi');
+
+// Schema for ONDC support request validation
+const supportRequestSchema = Joi.object({
+  context: Joi.object({
+    domain: Joi.string().required(),
+    action: Joi.string().valid('support').required(),
+    core_version: Joi.string().required(),
+    bap_id: Joi.string().required(),
+    bap_uri: Joi.string().uri().required(),
+    bpp_id: Joi.string().required(),
+    bpp_uri: Joi.string().uri().required(),
+    transaction_id: Joi.string().required(),
+    message_id: Joi.string().required(),
+    city: Joi.string(),
+    country: Joi.string(),
+    timestamp: Joi.string().isoDate().required(),
+    ttl: Joi.string()
+  }).required(),
+  message: Joi.object({
+    ref_id: Joi.string().required()
+  }).required()
+});
+
+module.exports = {
+  supportRequestSchema
+};
@@ -0,0 +1,38 @@
+const Joi = require('joi');
+
+// Schema for ONDC track request validation
+const trackRequestSchema = Joi.object({
+  context: Joi.object({
+    domain: Joi.string().required(),
+    action: Joi.string().valid('track').required(),
+    core_version: Joi.string().required(),
+    bap_id: Joi.string().required(),
+    bap_uri: Joi.string().uri().required(),
+    bpp_id: Joi.string().required(),
+    bpp_uri: Joi.string().uri().required(),
+    transaction_id: Joi.string().required(),
+    message_id: Joi.string().required(),
+    city: Joi.string(),
+    country: Joi.string(),
+    timestamp: Joi.string().isoDate().required(),
+    ttl: Joi.string()
+  }).required(),
+  message: Joi.object({
+    order_id: Joi.string().required(),
+    callback_url: Joi.string().uri()
+  }).required()
+});
+
+// Schema for tracking updates posted by the merchant or logistics partner
+const trackingUpdateSchema = Joi.object({
+  fulfillment_id: Joi.string().required(),
+  tracking: Joi.boolean(),
+  url: Joi.string().uri(),
+  gps: Joi.string().pattern(/^[-+]?([1-8]?\d(\.\d+)?|90(\.0+)?),\s*[-+]?(180(\.0+)?|((1[0-7]\d)|([1-9]?\d))(\.\d+)?)$/),
+  timestamp: Joi.string().isoDate()
+}).or('tracking', 'url', 'gps');
+
+module.exports = {
+  trackRequestSchema,
+  trackingUpdateSchema
+};
@@ -0,0 +1,73 @@
+const Joi = require('joi');
+
+// Tag group with code/value pairs, as used for return_request details
+const tagSchema = Joi.object({
+  code: Joi.string().required(),
+  list: Joi.array().items(
+    Joi.object({
+      code: Joi.string().required(),
+      value: Joi.string().allow('').required()
+    })
+  ).required()
+});
+
+// Schema for ONDC update request validation
+const updateRequestSchema = Joi.object({
+  context: Joi.object({
+    domain: Joi.string().required(),
+    action: Joi.string().valid('update').required(),
+    core_version: Joi.string().required(),
+    bap_id: Joi.string().required(),
+    bap_uri: Joi.string().uri().required(),
+    bpp_id: Joi.string().required(),
+    bpp_uri: Joi.string().uri().required(),
+    transaction_id: Joi.string().required(),
+    message_id: Joi.string().required(),
+    city: Joi.string(),
+    country: Joi.string(),
+    timestamp: Joi.string().isoDate().required(),
+    ttl: Joi.string()
+  }).required(),
+  message: Joi.object({
+    update_target: Joi.string().valid('item').required(),
+    order: Joi.object({
+      id: Joi.string().required(),
+      state: Joi.string(),
+      provider: Joi.object({
+        id: Joi.string().required()
+      }).unknown(true),
+      items: Joi.array(),
+      fulfillments: Joi.array().items(
+        Joi.object({
+          type: Joi.string().valid('Return').required(),
+          tags: Joi.array().items(tagSchema).has(
+            Joi.object({ code: Joi.string().valid('return_request') }).unknown(true)
+          ).required()
+        }).unknown(true)
+      ).min(1).required()
+    }).unknown(true).required()
+  }).required()
+});
+
+// Schema for return state changes posted by the merchant or logistics partner
+const returnStateUpdateSchema = Joi.object({
+  state: Joi.string().valid('Return_Approved', 'Return_Rejected', 'Return_Picked', 'Return_Delivered').required(),
+  reason: Joi.string()
+});
+
+// Schema for seller-initiated part cancellation of item quantities
+const partCancelSchema = Joi.object({
+  reason_id: Joi.string().pattern(/^\d{3}$/).required(),
+  items: Joi.array().items(
+    Joi.object({
+      id: Joi.string().required(),
+      quantity: Joi.number().integer().min(1).required()
+    })
+  ).min(1).required()
+});
+
+module.exports = {
+  updateRequestSchema,
+  returnStateUpdateSchema,
+  partCancelSchema
+};
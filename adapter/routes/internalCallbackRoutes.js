@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { verifyInternalApiKey } = require('../auth/authMiddleware');
+const callbackController = require('../controllers/callbackController');
+
+// Admin endpoints for callbacks that couldn't be delivered to BAPs
+router.use(verifyInternalApiKey);
+
+router.get('/dead-letters', callbackController.listDeadLetters);
+router.post('/dead-letters/:callbackId/replay', callbackController.replayDeadLetter);
+router.delete('/dead-letters/:callbackId', callbackController.purgeDeadLetter);
+router.delete('/dead-letters', callbackController.purgeDeadLetters);
+
+module.exports = router;
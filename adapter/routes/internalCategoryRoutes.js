@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { verifyInternalApiKey } = require('../auth/authMiddleware');
+const categoryController = require('../controllers/categoryController');
+
+// Merchant endpoints for maintaining the ONDC category mapping
+router.use(verifyInternalApiKey);
+
+router.get('/unmapped', categoryController.listUnmappedCategories);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { verifyInternalApiKey } = require('../auth/authMiddleware');
+const issueController = require('../controllers/issueController');
+
+// Merchant endpoints for responding to IGM issues
+router.use(verifyInternalApiKey);
+
+router.get('/', issueController.listIssues);
+router.post('/:issueId/actions', issueController.addRespondentAction);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { verifyInternalApiKey } = require('../auth/authMiddleware');
+const trackController = require('../controllers/trackController');
+const updateController = require('../controllers/updateController');
+
+// Merchant and logistics partner endpoints, keyed by ONDC order ID
+router.use(verifyInternalApiKey);
+
+router.post('/:orderId/tracking', trackController.updateTrackingInfo);
+router.post('/:orderId/returns/:returnId', updateController.updateReturnStatus);
+router.post('/:orderId/cancellations', updateController.cancelOrderItems);
+router.post('/:orderId/cancellations/:cancelId/refund', updateController.retryCancellationRefund);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { verifyInternalApiKey } = require('../auth/authMiddleware');
+const storeController = require('../controllers/storeController');
+
+// Merchant endpoints for temporarily closing the store
+router.use(verifyInternalApiKey);
+
+router.get('/status', storeController.getStoreStatus);
+router.put('/closure', storeController.setStoreClosure);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const issueController = require('../controllers/issueController');
+
+// ONDC IGM /issue endpoint
+router.post('/', issueController.processIssueRequest);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const ratingController = require('../controllers/ratingController');
+
+// ONDC /rating endpoint
+router.post('/', ratingController.processRatingRequest);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const statusController = require('../controllers/statusController');
+
+// ONDC /status endpoint
+router.post('/', statusController.processStatusRequest);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const supportController = require('../controllers/supportController');
+
+// ONDC /support endpoint
+router.post('/', supportController.processSupportRequest);
+
+module.exports = router;
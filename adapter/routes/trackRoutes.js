@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const trackController = require('../controllers/trackController');
+
+// ONDC /track endpoint
+router.post('/', trackController.processTrackRequest);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const updateController = require('../controllers/updateController');
+
+// ONDC /update endpoint
+router.post('/', updateController.processUpdateRequest);
+
+module.exports = router;
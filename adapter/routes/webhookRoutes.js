@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+// WooCommerce webhook deliveries (signed with X-WC-Webhook-Signature instead of ONDC auth)
+router.post('/', webhookController.handleWooWebhook);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const config = require('./utils/config');
 const logger = require('./utils/logger');
 const { errorHandler } = require('./utils/errorHandler');
 const { verifyAuthentication } = require('./auth/authMiddleware');
+const { providerMiddleware, internalProviderMiddleware, listProviders } = require('./utils/providerRegistry');
+const issueService = require('./services/issueService');
+const callbackHandler = require('./utils/callbackHandler');
+const transactionStore = require('./utils/transactionStore');
 
 // Import routes
 const searchRoutes = require('./routes/searchRoutes');
@@ -19,6 +23,19 @@ const onConfirmRoutes = require('./routes/onConfirmRoutes');
 const productRoutes = require('./routes/productRoutes');
 const cancelRoutes = require('./routes/cancelRoutes');
 const onCancelRoutes = require('./routes/onCancelRoutes');
+const statusRoutes = require('./routes/statusRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const trackRoutes = require('./routes/trackRoutes');
+const updateRoutes = require('./routes/updateRoutes');
+const ratingRoutes = require('./routes/ratingRoutes');
+const supportRoutes = require('./routes/supportRoutes');
+const issueRoutes = require('./routes/issueRoutes');
+const issueStatusRoutes = require('./routes/issueStatusRoutes');
+const internalOrderRoutes = require('./routes/internalOrderRoutes');
+const internalIssueRoutes = require('./routes/internalIssueRoutes');
+const internalCategoryRoutes = require('./routes/internalCategoryRoutes');
+const internalStoreRoutes = require('./routes/internalStoreRoutes');
+const internalCallbackRoutes = require('./routes/internalCallbackRoutes');
 
 // Initialize Express app
 const app = express();
@@ -69,6 +86,9 @@ if (config.server.enableAuthentication) {
   logger.warn('ONDC Authentication middleware is DISABLED - not recommended for production');
 }
 
+// Run every ONDC request against the WooCommerce store of the provider it is for
+app.use('/api/v1', providerMiddleware);
+
 // API routes
 app.use('/api/v1/search', searchRoutes);
 app.use('/api/v1/select', selectRoutes);
@@ -79,6 +99,21 @@ app.use('/api/v1/on_confirm', onConfirmRoutes);
 app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/cancel', cancelRoutes);
 app.use('/api/v1/on_cancel', onCancelRoutes);
+app.use('/api/v1/status', statusRoutes);
+app.use('/api/v1/track', trackRoutes);
+app.use('/api/v1/update', updateRoutes);
+app.use('/api/v1/rating', ratingRoutes);
+app.use('/api/v1/support', supportRoutes);
+app.use('/api/v1/issue', issueRoutes);
+app.use('/api/v1/issue_status', issueStatusRoutes);
+
+// Internal routes (skipped by ONDC authentication)
+app.use('/internal/woo/webhooks', webhookRoutes);
+app.use('/internal/orders', internalProviderMiddleware, internalOrderRoutes);
+app.use('/internal/issues', internalProviderMiddleware, internalIssueRoutes);
+app.use('/internal/categories', internalProviderMiddleware, internalCategoryRoutes);
+app.use('/internal/stores', internalProviderMiddleware, internalStoreRoutes);
+app.use('/internal/callbacks', internalCallbackRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -115,11 +150,46 @@ const server = app.listen(PORT, () => {
   logger.info(`- /api/v1/products`);
   logger.info(`- /api/v1/cancel`);
   logger.info(`- /api/v1/on_cancel`);
+  logger.info(`- /api/v1/status`);
+  logger.info(`- /api/v1/track`);
+  logger.info(`- /api/v1/update`);
+  logger.info(`- /api/v1/rating`);
+  logger.info(`- /api/v1/support`);
+  logger.info(`- /api/v1/issue`);
+  logger.info(`- /api/v1/issue_status`);
+  logger.info(`- /internal/woo/webhooks`);
+  logger.info(`- /internal/orders`);
+  logger.info(`- /internal/issues`);
+  logger.info(`- /internal/categories`);
+  logger.info(`- /internal/stores`);
+  logger.info(`- /internal/callbacks`);
+  logger.info('Hosting providers', { providers: listProviders().map(provider => provider.id) });
+
+  // Callbacks the previous run didn't get to deliver
+  callbackHandler.resumePendingCallbacks();
 });
 
+// Periodically flag IGM issues left unresolved past their expected response time
+const issueOverdueTimer = setInterval(() => {
+  issueService.flagOverdueIssues().catch(error => {
+    logger.error('Error flagging overdue issues', { error: error.message });
+  });
+}, config.igm.overdueCheckInterval);
+
+// Periodically drop transactions that never led to an order
+const purgeStaleTransactions = () => {
+  transactionStore.purgeStaleTransactions().catch(error => {
+    logger.error('Error purging stale transactions', { error: error.message });
+  });
+};
+purgeStaleTransactions();
+const transactionPurgeTimer = setInterval(purgeStaleTransactions, config.transactions.purgeInterval);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
+  clearInterval(issueOverdueTimer);
+  clearInterval(transactionPurgeTimer);
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
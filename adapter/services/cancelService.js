@@ -3,6 +3,11 @@ const { ApiError } = require('../utils/errorHandler');
 const wooCommerceAPI = require('../utils/wooCommerceAPI');
 const callbackHandler = require('../utils/callbackHandler');
 const rtoHandler = require('../utils/rtoHandler');
+const itemMappingService = require('./itemMappingService');
+const reservationService = require('./reservationService');
+const transactionService = require('./transactionService');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+const { parseDuration } = require('../utils/duration');
 
 /**
  * Validate cancellation request
@@ -15,12 +20,9 @@ const rtoHandler = require('../utils/rtoHandler');
 const validateCancellation = async (orderId, cancellationReasonId, fulfillmentId, context) => {
   try {
     // First, find the order
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_order_id',
-      meta_value: orderId
-    });
+    const order = await transactionService.findOrderByOndcId(orderId);
     
-    if (!orders || orders.length === 0) {
+    if (!order) {
       return {
         valid: false,
         reason: `Order ${orderId} not found`,
@@ -28,8 +30,6 @@ const validateCancellation = async (orderId, cancellationReasonId, fulfillmentId
       };
     }
     
-    const order = orders[0];
-    
     // Check if cancellation reason is valid
     const validReasons = ['001', '002', '003', '004', '005', '006', '007', '008', '009'];
     if (!validReasons.includes(cancellationReasonId)) {
@@ -153,49 +153,7 @@ const checkTATBreach = async (order, fulfillmentId) => {
  * @param {string} tatString - TAT duration string (e.g., "PT60M")
  * @returns {number|null} Duration in milliseconds or null if invalid
  */
-const parseTAT = (tatString) => {
-  try {
-    // Simple parser for ISO 8601 duration format
-    // This is a simplified version - a full library might be better for production
-    if (tatString.startsWith('PT')) {
-      // Remove the PT prefix
-      const duration = tatString.substring(2);
-      
-      let totalMilliseconds = 0;
-      
-      // Hours
-      const hoursMatch = duration.match(/(\d+)H/);
-      if (hoursMatch) {
-        totalMilliseconds += parseInt(hoursMatch[1]) * 60 * 60 * 1000;
-      }
-      
-      // Minutes
-      const minutesMatch = duration.match(/(\d+)M/);
-      if (minutesMatch) {
-        totalMilliseconds += parseInt(minutesMatch[1]) * 60 * 1000;
-      }
-      
-      // Seconds
-      const secondsMatch = duration.match(/(\d+)S/);
-      if (secondsMatch) {
-        totalMilliseconds += parseInt(secondsMatch[1]) * 1000;
-      }
-      
-      return totalMilliseconds;
-    }
-    
-    // Handle days (P1D format)
-    if (tatString.startsWith('P') && tatString.endsWith('D')) {
-      const days = parseInt(tatString.substring(1, tatString.length - 1));
-      return days * 24 * 60 * 60 * 1000;
-    }
-    
-    return null;
-  } catch (error) {
-    logger.error('Error parsing TAT', { error: error.message, tatString });
-    return null;
-  }
-};
+const parseTAT = (tatString) => parseDuration(tatString);
 
 /**
  * Extract force parameter from the request
@@ -231,17 +189,12 @@ const getForceParameter = (request) => {
 const processCancellation = async (orderId, cancellationReasonId, fulfillmentId, context) => {
   try {
     // Find the order again (validation already ran)
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_order_id',
-      meta_value: orderId
-    });
+    const order = await transactionService.findOrderByOndcId(orderId);
     
-    if (!orders || orders.length === 0) {
+    if (!order) {
       throw new ApiError(`Order ${orderId} not found`, 404);
     }
     
-    const order = orders[0];
-    
     // Determine if it's a fulfillment cancellation or order cancellation
     const isFulfillmentCancellation = fulfillmentId !== orderId;
     
@@ -358,6 +311,12 @@ const cancelOrder = async (order, reasonId, cancelledBy) => {
       reasonId
     });
     
+    // Stock still held for an order that was never accepted goes back on sale
+    const transactionId = order.meta_data.find(meta => meta.key === 'ondc_transaction_id')?.value;
+    if (transactionId) {
+      reservationService.release(transactionId, 'order cancelled');
+    }
+    
     return updatedOrder;
   } catch (error) {
     logger.error('Error cancelling order', {
@@ -446,6 +405,11 @@ const getCancellationFee = async (order, reasonId) => {
     return 0;
   }
   
+  // Seller-side reasons (items not available, seller rejected) are never charged to the buyer
+  if (reasonId === '002' || reasonId === '009') {
+    return 0;
+  }
+  
   // Get fee percentage based on current state
   const feePercentage = cancellationFees[fulfillmentState] || 0;
   
@@ -458,9 +422,12 @@ const getCancellationFee = async (order, reasonId) => {
  * @param {number} amount - Refund amount
  * @param {string} reasonId - Cancellation reason code
  * @param {Object} context - ONDC context
+ * @param {Object} [options] - Optional refund details
+ * @param {string} [options.reason] - Refund reason text, overriding the cancellation reason mapping
+ * @param {Array} [options.lineItems] - WooCommerce line items being refunded
  * @returns {Promise<Object>} Refund result
  */
-const processRefund = async (orderId, amount, reasonId, context) => {
+const processRefund = async (orderId, amount, reasonId, context, options = {}) => {
     try {
       // Convert reason ID to readable reason
       const reasonMap = {
@@ -480,24 +447,25 @@ const processRefund = async (orderId, amount, reasonId, context) => {
         '013': 'Delivery reattmpt failed'
       };
       
-      const reason = reasonMap[reasonId] || `Cancellation reason ${reasonId}`;
+      const reason = options.reason || reasonMap[reasonId] || `Cancellation reason ${reasonId}`;
       
       // Create refund in WooCommerce
-      const refund = await wooCommerceAPI.post(`orders/${orderId}/refunds`, {
+      const refund = await wooCommerceAPI.createRefund(orderId, {
         amount: amount.toFixed(2),
         reason,
+        ...(options.lineItems && { line_items: options.lineItems }),
         refund_payment: true, // Attempt to refund through payment gateway
         api_refund: true
       });
       
       logger.info('Refund processed successfully', {
         orderId,
-        refundId: refund.data.id,
-        amount: refund.data.amount,
+        refundId: refund.id,
+        amount: refund.amount,
         transactionId: context.transaction_id
       });
       
-      return refund.data;
+      return refund;
     } catch (error) {
       logger.error('Error processing refund', {
         error: error.message,
@@ -605,7 +573,7 @@ const processRefund = async (orderId, amount, reasonId, context) => {
   const buildCancelledItemsArray = (order) => {
     return order.line_items.map(item => {
       // Extract ONDC item ID from metadata
-      const ondcItemId = item.meta_data.find(meta => meta.key === 'ondc_item_id')?.value || `I${item.product_id}`;
+      const ondcItemId = itemMappingService.getLineItemOndcId(item);
       
       // Extract fulfillment ID from metadata
       const fulfillmentId = item.meta_data.find(meta => meta.key === 'ondc_fulfillment_id')?.value || 'F1';
@@ -700,7 +668,7 @@ const processRefund = async (orderId, amount, reasonId, context) => {
     
     // Add item entries with 0 value
     order.line_items.forEach(item => {
-      const ondcItemId = item.meta_data.find(meta => meta.key === 'ondc_item_id')?.value || `I${item.product_id}`;
+      const ondcItemId = itemMappingService.getLineItemOndcId(item);
       
       breakup.push({
         '@ondc/org/item_id': ondcItemId,
@@ -774,13 +742,14 @@ const processRefund = async (orderId, amount, reasonId, context) => {
    * @returns {Object} Provider object
    */
   const buildProvider = (order) => {
-    const providerId = order.meta_data.find(meta => meta.key === 'ondc_provider_id')?.value || 'P1';
+    const provider = getCurrentProvider();
+    const providerId = order.meta_data.find(meta => meta.key === 'ondc_provider_id')?.value || provider.id;
     
     return {
       id: providerId,
       locations: [
         {
-          id: 'L1'
+          id: provider.locations[0].id
         }
       ]
     };
@@ -883,5 +852,10 @@ const processRefund = async (orderId, amount, reasonId, context) => {
     validateCancellation,
     processCancellation,
     sendOnCancelCallback,
-    generateOnCancelResponse
+    generateOnCancelResponse,
+    cancelOrder,
+    calculateRefundAmount,
+    processRefund,
+    isRTOCancellation,
+    parseTAT
   };
\ No newline at end of file
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const { createJsonStore } = require('../utils/jsonStore');
+const catalogModel = require('../models/catalougeModel');
+
+// WooCommerce caps per_page at 100
+const CATALOG_PAGE_SIZE = 100;
+
+// BAPs that asked for catalog changes to be pushed to them (search with catalog_inc mode start)
+const subscriptionStore = createJsonStore('catalog_subscriptions');
+
+/**
+ * Fetch every product matching the params, page by page
+ * @param {Object} params - WooCommerce product query params
+ * @returns {Promise<Array>} WooCommerce products
+ */
+const fetchAllProducts = async (params = {}) => {
+  const products = [];
+  let page = 1;
+
+  while (true) {
+    const batch = await wooCommerceAPI.getProducts({
+      ...params,
+      per_page: CATALOG_PAGE_SIZE,
+      page
+    });
+
+    products.push(...batch);
+
+    if (batch.length < CATALOG_PAGE_SIZE) {
+      return products;
+    }
+
+    page++;
+  }
+};
+
+/**
+ * Build the full catalog of published products, answered to a search with no criteria
+ * @returns {Promise<Object>} Catalog snapshot
+ */
+const generateDownloadableCatalog = async () => {
+  const products = await fetchAllProducts({ status: 'publish' });
+
+  logger.info('Generated full catalog', { count: products.length });
+
+  return {
+    catalogId: `catalog-${Date.now()}`,
+    products,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Get products changed within a window, including ones unpublished or trashed so they can be disabled
+ * @param {string} startTime - Window start (ISO 8601)
+ * @param {string} [endTime] - Window end (ISO 8601), defaults to now
+ * @returns {Promise<Array>} Changed WooCommerce products
+ */
+const getChangedProducts = async (startTime, endTime) => {
+  const params = {
+    modified_after: startTime,
+    dates_are_gmt: true
+  };
+
+  if (endTime) {
+    params.modified_before = endTime;
+  }
+
+  // status=any leaves out trashed products
+  const [current, trashed] = await Promise.all([
+    fetchAllProducts({ ...params, status: 'any' }),
+    fetchAllProducts({ ...params, status: 'trash' })
+  ]);
+
+  return [...current, ...trashed];
+};
+
+/**
+ * Attach variations to variable products so they can be listed as ONDC variants
+ * @param {Array} products - WooCommerce products
+ * @returns {Promise<Array>} Products, variable ones with a variations array
+ */
+const attachVariations = async (products) => {
+  const expanded = [];
+
+  for (const product of products) {
+    if (product.type !== 'variable') {
+      expanded.push(product);
+      continue;
+    }
+
+    try {
+      const variations = await wooCommerceAPI.getProductVariations(product.id);
+      expanded.push({ ...product, variations });
+    } catch (error) {
+      // A force-deleted product has no variations left to fetch
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+      expanded.push({ ...product, variations: [] });
+    }
+  }
+
+  return expanded;
+};
+
+/**
+ * Read the catalog_inc tag of a search intent
+ * @param {Object} intent - ONDC search intent
+ * @returns {Object|null} { startTime, endTime } for a pull, { mode } for push, or null for a regular search
+ */
+const parseCatalogInc = (intent) => {
+  const tag = intent?.tags?.find(tag => tag.code === 'catalog_inc');
+  if (!tag) {
+    return null;
+  }
+
+  const findValue = (code) => tag.list?.find(item => item.code === code)?.value;
+  const mode = findValue('mode');
+
+  if (mode) {
+    return { mode };
+  }
+
+  return {
+    startTime: findValue('start_time'),
+    endTime: findValue('end_time')
+  };
+};
+
+/**
+ * Start or stop pushing catalog changes to a BAP
+ * @param {Object} context - Context of the search that asked for push mode
+ * @param {string} mode - 'start' or 'stop'
+ * @returns {Object|null} Subscription, or null once stopped
+ */
+const setPushMode = (context, mode) => {
+  if (mode === 'stop') {
+    const removed = subscriptionStore.remove(context.bap_id);
+    logger.info('Stopped catalog push', { bapId: context.bap_id, removed });
+    return null;
+  }
+
+  const subscription = {
+    bap_id: context.bap_id,
+    bap_uri: context.bap_uri,
+    domain: context.domain,
+    country: context.country,
+    city: context.city,
+    core_version: context.core_version,
+    transaction_id: context.transaction_id,
+    subscribed_at: new Date().toISOString()
+  };
+
+  subscriptionStore.set(context.bap_id, subscription);
+  logger.info('Started catalog push', { bapId: context.bap_id, bapUri: context.bap_uri });
+
+  return subscription;
+};
+
+/**
+ * Send a catalog to every BAP in push mode as an unsolicited on_search
+ * @param {Object} catalog - ONDC catalog
+ * @returns {Promise<Object>} Number of BAPs notified
+ */
+const pushCatalog = async (catalog) => {
+  const subscriptions = subscriptionStore.list();
+
+  const results = await Promise.all(subscriptions.map(subscription => {
+    const context = {
+      domain: subscription.domain || config.ondc.domain,
+      country: subscription.country || config.ondc.country,
+      city: subscription.city || config.ondc.city,
+      action: 'on_search',
+      core_version: subscription.core_version || '1.2.0',
+      bap_id: subscription.bap_id,
+      bap_uri: subscription.bap_uri,
+      bpp_id: config.ondc.bppId,
+      bpp_uri: config.ondc.bppUri,
+      transaction_id: subscription.transaction_id,
+      message_id: crypto.randomUUID(),
+      timestamp: new Date().toISOString()
+    };
+
+    return callbackHandler.sendCallback(
+      `${subscription.bap_uri}/on_search`,
+      { context, message: { catalog } },
+      subscription.transaction_id,
+      'on_search'
+    );
+  }));
+
+  return {
+    pushed: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length
+  };
+};
+
+/**
+ * Push a changed product to every BAP in push mode as an unsolicited on_search
+ * @param {Object} product - WooCommerce product from a product webhook
+ * @returns {Promise<Object>} Number of BAPs notified
+ */
+const pushProductChange = async (product) => {
+  if (subscriptionStore.list().length === 0) {
+    return { pushed: 0 };
+  }
+
+  // product.deleted with force=true only carries the ID
+  const changedProduct = product.status ? product : { ...product, status: 'trash' };
+  return pushCatalog(catalogModel.mapToONDC(await attachVariations([changedProduct])));
+};
+
+/**
+ * Push the current provider's open/closed status, with no items, to every BAP in push mode
+ * @returns {Promise<Object>} Number of BAPs notified
+ */
+const pushStoreStatus = async () => {
+  if (subscriptionStore.list().length === 0) {
+    return { pushed: 0 };
+  }
+
+  return pushCatalog(catalogModel.mapToONDC([]));
+};
+
+module.exports = {
+  fetchAllProducts,
+  generateDownloadableCatalog,
+  getChangedProducts,
+  attachVariations,
+  parseCatalogInc,
+  setPushMode,
+  pushProductChange,
+  pushStoreStatus
+};
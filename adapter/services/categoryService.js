@@ -0,0 +1,115 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+
+// WooCommerce caps per_page at 100
+const CATEGORY_PAGE_SIZE = 100;
+
+/**
+ * Look up the ONDC category code mapped to a WooCommerce category, by ID or slug
+ * @param {Object} category - WooCommerce category (or a product's category reference)
+ * @returns {string|null} ONDC category code
+ */
+const getMappedCode = (category) => {
+  const mapping = config.catalog.categoryMapping;
+  return mapping[String(category.id)] || mapping[category.slug] || null;
+};
+
+/**
+ * Get the ONDC category of a product: its ondc_category_id meta, else its first mapped WooCommerce category
+ * @param {Object} product - WooCommerce product
+ * @returns {string} ONDC category code, the configured default when none of its categories is mapped
+ */
+const getProductCategory = (product) => {
+  const override = product.meta_data?.find(meta => meta.key === 'ondc_category_id')?.value;
+  if (override) {
+    return override;
+  }
+
+  for (const category of product.categories || []) {
+    const code = getMappedCode(category);
+    if (code) {
+      return code;
+    }
+  }
+
+  return config.catalog.categoryId;
+};
+
+/**
+ * Fetch every WooCommerce product category, page by page
+ * @returns {Promise<Array>} WooCommerce categories
+ */
+const fetchAllCategories = async () => {
+  const categories = [];
+  let page = 1;
+
+  while (true) {
+    const batch = await wooCommerceAPI.getCategories({
+      per_page: CATEGORY_PAGE_SIZE,
+      page
+    });
+
+    categories.push(...batch);
+
+    if (batch.length < CATEGORY_PAGE_SIZE) {
+      return categories;
+    }
+
+    page++;
+  }
+};
+
+/**
+ * Get the WooCommerce categories mapped to an ONDC category code
+ * Mappings keyed by ID need no lookup; slugs are resolved against the store's categories.
+ * @param {string} ondcCategoryId - ONDC category code from a search intent
+ * @returns {Promise<Array>} WooCommerce category IDs
+ */
+const getWooCategoryIds = async (ondcCategoryId) => {
+  const keys = Object.entries(config.catalog.categoryMapping)
+    .filter(([, code]) => code === ondcCategoryId)
+    .map(([key]) => key);
+
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const ids = keys.filter(key => /^\d+$/.test(key)).map(key => parseInt(key));
+  const slugs = keys.filter(key => !/^\d+$/.test(key));
+
+  if (slugs.length > 0) {
+    const categories = await fetchAllCategories();
+    ids.push(...categories.filter(category => slugs.includes(category.slug)).map(category => category.id));
+  }
+
+  return [...new Set(ids)];
+};
+
+/**
+ * List the WooCommerce categories that have no ONDC category mapped
+ * @returns {Promise<Array>} Unmapped categories
+ */
+const listUnmappedCategories = async () => {
+  const categories = await fetchAllCategories();
+  const unmapped = categories.filter(category => !getMappedCode(category));
+
+  logger.info('Listed unmapped product categories', {
+    total: categories.length,
+    unmapped: unmapped.length
+  });
+
+  return unmapped.map(category => ({
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    parent: category.parent,
+    count: category.count
+  }));
+};
+
+module.exports = {
+  getProductCategory,
+  getWooCategoryIds,
+  listUnmappedCategories
+};
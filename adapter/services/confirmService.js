@@ -4,6 +4,13 @@ const config = require('../utils/config');
 const { ApiError } = require('../utils/errorHandler');
 const wooCommerceAPI = require('../utils/wooCommerceAPI');
 const callbackHandler = require('../utils/callbackHandler');
+const quoteService = require('./quoteService');
+const itemMappingService = require('./itemMappingService');
+const storeStatusService = require('./storeStatusService');
+const reservationService = require('./reservationService');
+const transactionService = require('./transactionService');
+const transactionStore = require('../utils/transactionStore');
+const { getCurrentProvider } = require('../utils/providerRegistry');
 
 /**
  * Process ONDC confirm request
@@ -30,8 +37,10 @@ const processConfirm = async (request) => {
       return mapWooCommerceToOnConfirm(existingOrder, context);
     }
     
-    // Validate order details
-    await validateOrder(message.order, context);
+    storeStatusService.assertAcceptingOrders(message.order);
+    
+    // Validate order details, including the quote we last sent
+    const agreedQuote = await validateOrder(message.order, context);
     
     logger.info('Order validation passed, creating order in WooCommerce', {
       transactionId: context.transaction_id,
@@ -39,7 +48,7 @@ const processConfirm = async (request) => {
     });
     
     // Map ONDC order to WooCommerce format
-    const wooOrderData = mapOndcOrderToWooCommerce(message.order, context);
+    const wooOrderData = mapOndcOrderToWooCommerce(message.order, context, agreedQuote);
     
     // Create order in WooCommerce with pending status
     const wooOrder = await wooCommerceAPI.createOrder(wooOrderData);
@@ -50,6 +59,12 @@ const processConfirm = async (request) => {
       ondcOrderId: message.order.id
     });
     
+    await transactionStore.linkOrder(context.transaction_id, {
+      woo_order_id: wooOrder.id,
+      order_id: message.order.id,
+      state: 'Created'
+    });
+    
     // Add ONDC metadata to order
     await addOndcMetadata(wooOrder.id, context, message.order);
     
@@ -73,7 +88,7 @@ const processConfirm = async (request) => {
       throw new ApiError(`WooCommerce API error: ${error.response.status}`, error.response.status);
     }
     
-    throw new ApiError(error.message, error.status || 500);
+    throw new ApiError(error.message, error.status || 500, error.code);
   }
 };
 
@@ -139,26 +154,12 @@ const sendOnConfirmCallback = async (ondcResponse) => {
 const checkForExistingOrder = async (orderId, transactionId) => {
   try {
     // First try by order ID
-    const ordersByOrderId = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_order_id',
-      meta_value: orderId
-    });
-    
-    if (ordersByOrderId && ordersByOrderId.length > 0) {
-      return ordersByOrderId[0];
+    if (await transactionStore.getTransactionByOrderId(orderId)) {
+      return await transactionService.findOrderByOndcId(orderId);
     }
     
-    // Then try by transaction ID
-    const ordersByTransactionId = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
-    
-    if (ordersByTransactionId && ordersByTransactionId.length > 0) {
-      return ordersByTransactionId[0];
-    }
-    
-    return null;
+    // Then try by transaction ID, ignoring the draft order created at init
+    return await transactionService.findOrderByTransactionId(transactionId);
   } catch (error) {
     logger.warn('Error checking for existing order', {
       error: error.message,
@@ -173,7 +174,7 @@ const checkForExistingOrder = async (orderId, transactionId) => {
  * Validate order details from confirm request
  * @param {Object} order - Order object from confirm request
  * @param {Object} context - ONDC context
- * @returns {Promise<boolean>} Validation result
+ * @returns {Promise<Object>} Agreed quote for the order
  * @throws {ApiError} If validation fails
  */
 const validateOrder = async (order, context) => {
@@ -201,20 +202,68 @@ const validateOrder = async (order, context) => {
     throw new ApiError('Order items are missing', 400);
   }
   
-  // Validate quote matches what was in on_init
-  // NOTE: To do this properly, you'd need to retrieve the on_init response
-  // For this implementation, we're assuming it's valid
+  // Stock held at init covers the order; once the hold lapses it has to still be in stock
+  const { quote: liveQuote, lines, error: quoteError } = await quoteService.computeQuote(order, context.transaction_id);
+  if (!reservationService.coversLines(context.transaction_id, lines) && lines.some(line => line.error === '40002')) {
+    logger.warn('Stock reservation lapsed and items are out of stock', {
+      transactionId: context.transaction_id,
+      itemErrors: quoteError.message
+    });
+    
+    throw new ApiError(`Items out of stock: ${quoteError.message}`, 400, '40002');
+  }
+  
+  // Validate quote matches what we last sent in on_init, or what the engine prices the cart at now
+  const lastSentQuote = await getLastSentQuote(context.transaction_id);
+  const expectedQuote = lastSentQuote || liveQuote;
+  
+  if (!quoteService.quotesMatch(expectedQuote, order.quote)) {
+    logger.warn('Confirm quote differs from the quote we sent', {
+      transactionId: context.transaction_id,
+      expectedTotal: expectedQuote.price.value,
+      receivedTotal: order.quote?.price?.value
+    });
+    
+    // 40007: change in item quote
+    throw new ApiError('Quote validation failed: quote does not match the last quote sent', 400, '40007');
+  }
+  
+  // Only once the confirm is otherwise valid, hold the stock again if the hold from init lapsed, so a
+  // rejected confirm doesn't keep it from other buyers. reserve checks and writes without awaiting, so of
+  // two lapsed confirms racing for the last unit only one gets it.
+  if (!reservationService.coversLines(context.transaction_id, lines)) {
+    reservationService.reserve(context.transaction_id, lines, reservationService.getHoldDuration());
+  }
   
-  return true;
+  return expectedQuote;
+};
+
+/**
+ * Get the quote we last sent for a transaction (stored on the order created at init)
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Object|null>} Last sent quote or null
+ */
+const getLastSentQuote = async (transactionId) => {
+  try {
+    const initOrder = await transactionService.findInitOrder(transactionId);
+    return initOrder ? quoteService.getStoredQuote(initOrder) : null;
+  } catch (error) {
+    logger.warn('Error looking up last sent quote', {
+      error: error.message,
+      transactionId
+    });
+    return null;
+  }
 };
 
 /**
  * Map ONDC order to WooCommerce format
  * @param {Object} ondcOrder - ONDC order from confirm
  * @param {Object} context - ONDC context
+ * @param {Object} quote - Agreed ONDC quote
  * @returns {Object} WooCommerce order data
  */
-const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
+const mapOndcOrderToWooCommerce = (ondcOrder, context, quote) => {
   // Extract billing information
   const billing = {
     first_name: ondcOrder.billing.name.split(' ')[0] || ondcOrder.billing.name,
@@ -245,7 +294,7 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     : billing;
   
   // Map items to WooCommerce line items
-  const line_items = mapLineItems(ondcOrder.items);
+  const line_items = mapLineItems(ondcOrder.items, quote);
   
   // Map offers to coupon lines if present
   const coupon_lines = ondcOrder.offers ? 
@@ -257,14 +306,21 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     { key: 'ondc_message_id', value: context.message_id },
     { key: 'ondc_order_id', value: ondcOrder.id },
     { key: 'ondc_state', value: ondcOrder.state || 'Created' },
-    { key: 'ondc_domain', value: context.domain }
+    { key: 'ondc_domain', value: context.domain },
+    { key: 'ondc_bap_id', value: context.bap_id },
+    { key: 'ondc_bap_uri', value: context.bap_uri },
+    { key: 'ondc_provider_id', value: getCurrentProvider().id },
+    { key: 'ondc_core_version', value: context.core_version },
+    { key: 'ondc_city', value: context.city || config.ondc.city },
+    { key: 'ondc_country', value: context.country || config.ondc.country },
+    quoteService.buildQuoteMeta(quote)
   ];
   
   // Handle shipping lines
   const shipping_lines = ondcOrder.fulfillments.map(fulfillment => ({
     method_id: 'flat_rate',
     method_title: fulfillment.type || 'Delivery',
-    total: ondcOrder.quote?.breakup?.find(item => 
+    total: quote.breakup.find(item => 
       item['@ondc/org/item_id'] === fulfillment.id && 
       item['@ondc/org/title_type'] === 'delivery'
     )?.price?.value || '0',
@@ -273,6 +329,12 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     ]
   }));
   
+  // Carry the packing charge so the WooCommerce total agrees with the quote
+  const fee_lines = [{
+    name: 'Packing charges',
+    total: quoteService.getQuoteCharge(quote, 'packing')
+  }];
+  
   // Prepare complete order data
   return {
     status: 'pending',
@@ -282,6 +344,7 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     coupon_lines,
     meta_data,
     shipping_lines,
+    fee_lines,
     customer_note: `ONDC Order via ${context.bap_id}. Order ID: ${ondcOrder.id}`
   };
 };
@@ -289,44 +352,23 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
 /**
  * Map ONDC items to WooCommerce line items
  * @param {Array} ondcItems - ONDC items array
+ * @param {Object} quote - Agreed ONDC quote, which prices the customizations
  * @returns {Array} WooCommerce line items
  */
-const mapLineItems = (ondcItems) => {
-  // Group items by parent_item_id to handle customizations
-  const itemsByParent = {};
-  
-  ondcItems.forEach(item => {
-    const parentId = item.parent_item_id || 'main';
-    if (!itemsByParent[parentId]) {
-      itemsByParent[parentId] = {
-        main: null,
-        customizations: []
-      };
-    }
-    
-    // Check if item is a customization or main item
-    const isCustomization = item.tags?.some(tag => 
-      tag.code === 'type' && 
-      tag.list?.some(listItem => 
-        listItem.code === 'type' && listItem.value === 'customization'
-      )
-    );
-    
-    if (isCustomization) {
-      itemsByParent[parentId].customizations.push(item);
-    } else {
-      itemsByParent[parentId].main = item;
-    }
-  });
-  
-  // Convert grouped items to WooCommerce line items
-  return Object.entries(itemsByParent)
-    .filter(([_, group]) => group.main !== null)
-    .map(([parentId, group]) => {
-      const mainItem = group.main;
-      
+const mapLineItems = (ondcItems, quote) => {
+  const customizations = ondcItems.filter(item => quoteService.isCustomizationItem(item));
+
+  // Every main item becomes its own line item. Customizations belong to the main item sharing
+  // their parent_item_id, which can't be used as a key since variants of a product share it too.
+  return ondcItems
+    .filter(item => !quoteService.isCustomizationItem(item))
+    .map(mainItem => {
+      const itemCustomizations = mainItem.parent_item_id
+        ? customizations.filter(customization => customization.parent_item_id === mainItem.parent_item_id)
+        : [];
+
       // Collect all customizations as meta data
-      const meta_data = group.customizations.map(customization => {
+      const meta_data = itemCustomizations.map(customization => {
         // Extract customization group if available
         const customizationGroup = customization.tags?.find(tag => 
           tag.code === 'parent'
@@ -364,34 +406,28 @@ const mapLineItems = (ondcItems) => {
         value: mainItem.id
       });
       
+      // Variant items resolve to the WooCommerce variation they were listed from
+      const wooItem = itemMappingService.resolveOndcItemId(mainItem.id);
+      if (!wooItem) {
+        throw new ApiError(`Item not found: ${mainItem.id}`, 400, '30004');
+      }
+      const { productId, variationId } = wooItem;
+
       // Return the line item object
       return {
-        product_id: mapOndcProductIdToWooId(mainItem.id),
+        product_id: productId,
+        ...(variationId && { variation_id: variationId }),
         quantity: mainItem.quantity.count,
+        // WooCommerce only knows the product price, so customizations are charged through the line total
+        ...(itemCustomizations.length > 0 && {
+          subtotal: quoteService.getItemTotal(quote, mainItem),
+          total: quoteService.getItemTotal(quote, mainItem)
+        }),
         meta_data
       };
     });
 };
 
-/**
- * Convert ONDC product ID to WooCommerce product ID
- * @param {string} ondcProductId - ONDC product ID
- * @returns {number} WooCommerce product ID
- */
-const mapOndcProductIdToWooId = (ondcProductId) => {
-  // This is a placeholder, implement your mapping logic
-  if (ondcProductId.startsWith('I')) {
-    const numericPart = ondcProductId.substring(1);
-    const productId = parseInt(numericPart);
-    if (!isNaN(productId)) {
-      return productId;
-    }
-  }
-  
-  // Fallback logic if ID doesn't follow expected format
-  return parseInt(ondcProductId.replace(/\D/g, '')) || 1;
-};
-
 /**
  * Add ONDC specific metadata to WooCommerce order
  * @param {number} orderId - WooCommerce order ID
@@ -459,12 +495,9 @@ const addOndcMetadata = async (orderId, context, ondcOrder) => {
 const updateOrderToAccepted = async (orderId, transactionId) => {
   try {
     // Find WooCommerce order by ONDC order ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_order_id',
-      meta_value: orderId
-    });
+    const wooOrderId = (await transactionStore.getTransactionByOrderId(orderId))?.woo_order_id;
     
-    if (!orders || orders.length === 0) {
+    if (!wooOrderId) {
       logger.warn('Order not found for updating to Accepted status', {
         ondcOrderId: orderId,
         transactionId
@@ -472,8 +505,6 @@ const updateOrderToAccepted = async (orderId, transactionId) => {
       return null;
     }
     
-    const wooOrderId = orders[0].id;
-    
     // Update order status and metadata
     const updatedOrder = await wooCommerceAPI.updateOrder(wooOrderId, {
       status: 'processing', // WooCommerce status equivalent to ONDC "Accepted"
@@ -483,12 +514,17 @@ const updateOrderToAccepted = async (orderId, transactionId) => {
       ]
     });
     
+    await transactionStore.linkOrder(transactionId, { state: 'Accepted' });
+    
     logger.info('Updated order to Accepted status', {
       wooOrderId,
       ondcOrderId: orderId,
       transactionId
     });
     
+    // WooCommerce reduced the stock on processing, so the hold from init is no longer needed
+    reservationService.release(transactionId, 'order accepted');
+    
     return updatedOrder;
   } catch (error) {
     logger.error('Error updating order to Accepted status', {
@@ -512,21 +548,17 @@ const cancelOrder = async (context, reasonCode, reasonDescription) => {
   const transactionId = context.transaction_id;
   
   try {
-    // Find WooCommerce order by transaction ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
+    // Find WooCommerce order by transaction ID, the init draft if confirm failed before placing the order
+    const transaction = await transactionStore.getTransaction(transactionId);
+    const wooOrderId = transaction?.woo_order_id || transaction?.init_order_id;
     
-    if (!orders || orders.length === 0) {
+    if (!wooOrderId) {
       logger.warn('Order not found for cancellation', {
         transactionId
       });
       return false;
     }
     
-    const wooOrderId = orders[0].id;
-    
     // Update order status and metadata
     await wooCommerceAPI.updateOrder(wooOrderId, {
       status: 'cancelled',
@@ -538,6 +570,8 @@ const cancelOrder = async (context, reasonCode, reasonDescription) => {
       ]
     });
     
+    await transactionStore.linkOrder(transactionId, { state: 'Cancelled' });
+    
     logger.info('Order cancelled', {
       wooOrderId,
       transactionId,
@@ -545,6 +579,8 @@ const cancelOrder = async (context, reasonCode, reasonDescription) => {
       reasonDescription
     });
     
+    reservationService.release(transactionId, 'order cancelled');
+    
     return true;
   } catch (error) {
     logger.error('Error cancelling order', {
@@ -564,6 +600,8 @@ const cancelOrder = async (context, reasonCode, reasonDescription) => {
  * @returns {Object} ONDC on_confirm response
  */
 const mapWooCommerceToOnConfirm = (wooOrder, context) => {
+  const provider = getCurrentProvider();
+
   // Extract ONDC order ID from metadata
   const ondcOrderIdMeta = wooOrder.meta_data.find(meta => meta.key === 'ondc_order_id');
   const ondcOrderId = ondcOrderIdMeta ? ondcOrderIdMeta.value : wooOrder.id.toString();
@@ -590,22 +628,7 @@ const mapWooCommerceToOnConfirm = (wooOrder, context) => {
   const payment = buildPayment(wooOrder);
   
   // Build billing information
-  const billing = {
-    name: `${wooOrder.billing.first_name} ${wooOrder.billing.last_name}`.trim(),
-    address: {
-      name: wooOrder.billing.address_1.split(',')[0] || '',
-      building: wooOrder.billing.address_1,
-      locality: wooOrder.billing.address_2 || '',
-      city: wooOrder.billing.city,
-      state: wooOrder.billing.state,
-      country: wooOrder.billing.country,
-      area_code: wooOrder.billing.postcode
-    },
-    email: wooOrder.billing.email,
-    phone: wooOrder.billing.phone,
-    created_at: wooOrder.date_created,
-    updated_at: wooOrder.date_modified
-  };
+  const billing = buildBilling(wooOrder);
   
   // Build cancellation terms
   const cancellationTerms = buildCancellationTerms(wooOrder);
@@ -628,10 +651,10 @@ const mapWooCommerceToOnConfirm = (wooOrder, context) => {
         id: ondcOrderId,
         state: ondcState,
         provider: {
-          id: context.bpp_id,
+          id: provider.id,
           locations: [
             {
-              id: "L1" // Should be dynamically set based on the provider location
+              id: provider.locations[0].id
             }
           ]
         },
@@ -649,6 +672,30 @@ const mapWooCommerceToOnConfirm = (wooOrder, context) => {
   };
 };
 
+/**
+ * Build billing object for on_confirm response
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Object} ONDC billing object
+ */
+const buildBilling = (wooOrder) => {
+  return {
+    name: `${wooOrder.billing.first_name} ${wooOrder.billing.last_name}`.trim(),
+    address: {
+      name: wooOrder.billing.address_1.split(',')[0] || '',
+      building: wooOrder.billing.address_1,
+      locality: wooOrder.billing.address_2 || '',
+      city: wooOrder.billing.city,
+      state: wooOrder.billing.state,
+      country: wooOrder.billing.country,
+      area_code: wooOrder.billing.postcode
+    },
+    email: wooOrder.billing.email,
+    phone: wooOrder.billing.phone,
+    created_at: wooOrder.date_created,
+    updated_at: wooOrder.date_modified
+  };
+};
+
 /**
  * Build items array for on_confirm response
  * @param {Object} wooOrder - WooCommerce order
@@ -657,8 +704,7 @@ const mapWooCommerceToOnConfirm = (wooOrder, context) => {
 const buildItemsArray = (wooOrder) => {
   return wooOrder.line_items.flatMap(item => {
     // Find ONDC item ID from metadata
-    const ondcItemIdMeta = item.meta_data.find(meta => meta.key === 'ondc_item_id');
-    const ondcItemId = ondcItemIdMeta ? ondcItemIdMeta.value : `I${item.product_id}`;
+    const ondcItemId = itemMappingService.getLineItemOndcId(item);
     
     // Find fulfillment ID from metadata
     const fulfillmentIdMeta = item.meta_data.find(meta => meta.key === 'ondc_fulfillment_id');
@@ -759,6 +805,9 @@ const buildItemsArray = (wooOrder) => {
  * @returns {Array} ONDC fulfillments array
  */
 const buildFulfillmentsArray = (wooOrder) => {
+  const provider = getCurrentProvider();
+  const { store } = provider;
+
   // Extract all fulfillment IDs from line items
   const fulfillmentIds = new Set();
   
@@ -778,27 +827,27 @@ const buildFulfillmentsArray = (wooOrder) => {
   return Array.from(fulfillmentIds).map(id => {
     return {
       id,
-      '@ondc/org/provider_name': config.store.name || 'Store',
+      '@ondc/org/provider_name': store.name || 'Store',
       state: {
         descriptor: {
           code: 'Pending'
         }
       },
       type: 'Delivery',
-      tracking: true,
+      tracking: isTrackingEnabled(wooOrder, id),
       '@ondc/org/TAT': 'PT60M',
       start: {
         location: {
-          id: 'L1',
+          id: provider.locations[0].id,
           descriptor: {
-            name: config.store.name || 'Store'
+            name: store.name || 'Store'
           },
-          gps: config.store.gps || '12.956399,77.636803',
+          gps: store.gps || '12.956399,77.636803',
           address: {
-            locality: config.store.locality || 'Locality',
-            city: config.store.city || 'City',
-            area_code: config.store.areaCode || '560076',
-            state: config.store.state || 'State'
+            locality: store.locality || 'Locality',
+            city: store.city || 'City',
+            area_code: store.areaCode || '560076',
+            state: store.state || 'State'
           }
         },
         time: {
@@ -814,8 +863,8 @@ const buildFulfillmentsArray = (wooOrder) => {
           long_desc: 'Order via ONDC network'
         },
         contact: {
-          phone: config.store.phone || '9999999999',
-          email: config.store.email || 'store@example.com'
+          phone: store.phone || '9999999999',
+          email: store.email || 'store@example.com'
         }
       },
       end: {
@@ -850,146 +899,30 @@ const buildFulfillmentsArray = (wooOrder) => {
 };
 
 /**
- * Build quote object with breakup for on_confirm response
+ * Check whether live tracking is available for a fulfillment
  * @param {Object} wooOrder - WooCommerce order
- * @returns {Object} ONDC quote object
+ * @param {string} fulfillmentId - Fulfillment ID
+ * @returns {boolean} Whether the fulfillment can be tracked
  */
-const buildQuote = (wooOrder) => {
-  const breakup = [];
-  
-  // Add line items to breakup
-  wooOrder.line_items.forEach(item => {
-    // Find ONDC item ID from metadata
-    const ondcItemIdMeta = item.meta_data.find(meta => meta.key === 'ondc_item_id');
-    const ondcItemId = ondcItemIdMeta ? ondcItemIdMeta.value : `I${item.product_id}`;
-    
-    // Find parent item ID if it exists
-    const parentItemIdMeta = item.meta_data.find(meta => meta.key === 'ondc_parent_item_id');
-    const parentItemId = parentItemIdMeta ? parentItemIdMeta.value : null;
-    
-    // Create item entry
-    breakup.push({
-      '@ondc/org/item_id': ondcItemId,
-      '@ondc/org/item_quantity': {
-        count: item.quantity
-      },
-      title: item.name,
-      '@ondc/org/title_type': 'item',
-      price: {
-        currency: 'INR',
-        value: String(parseFloat(item.subtotal))
-      },
-      item: {
-        ...(parentItemId && { parent_item_id: parentItemId }),
-        price: {
-          currency: 'INR',
-          value: String(parseFloat(item.price))
-        }
-      }
-    });
-    
-    // Add tax for this item if applicable
-    if (parseFloat(item.total_tax) > 0) {
-      breakup.push({
-        '@ondc/org/item_id': ondcItemId,
-        title: 'Tax',
-        '@ondc/org/title_type': 'tax',
-        price: {
-          currency: 'INR',
-          value: String(parseFloat(item.total_tax))
-        }
-      });
-    }
-  });
+const isTrackingEnabled = (wooOrder, fulfillmentId) => {
+  // Set by the logistics partner/merchant through the internal tracking endpoint
+  const trackingMeta = wooOrder.meta_data.find(meta => meta.key === `ondc_fulfillment_${fulfillmentId}_tracking`);
   
-  // Add shipping charge to breakup
-  wooOrder.shipping_lines.forEach(shipping => {
-    // Find ONDC fulfillment ID from metadata
-    const fulfillmentIdMeta = shipping.meta_data.find(meta => meta.key === 'ondc_fulfillment_id');
-    const fulfillmentId = fulfillmentIdMeta ? fulfillmentIdMeta.value : 'F1';
-    
-    breakup.push({
-      '@ondc/org/item_id': fulfillmentId,
-      title: 'Delivery charges',
-      '@ondc/org/title_type': 'delivery',
-      price: {
-        currency: 'INR',
-        value: String(parseFloat(shipping.total))
-      }
-    });
-    
-    // Add tax on shipping if applicable
-    if (shipping.total_tax && parseFloat(shipping.total_tax) > 0) {
-      breakup.push({
-        '@ondc/org/item_id': fulfillmentId,
-        title: 'Tax',
-        '@ondc/org/title_type': 'tax',
-        price: {
-          currency: 'INR',
-          value: String(parseFloat(shipping.total_tax))
-        },
-        item: {
-          tags: [
-            {
-              code: 'quote',
-              list: [
-                {
-                  code: 'type',
-                  value: 'fulfillment'
-                }
-              ]
-            }
-          ]
-        }
-      });
-    }
-    
-    // Add standard packing charge
-    breakup.push({
-      '@ondc/org/item_id': fulfillmentId,
-      title: 'Packing charges',
-      '@ondc/org/title_type': 'packing',
-      price: {
-        currency: 'INR',
-        value: '25.00'
-      }
-    });
-    
-    // Add convenience fee
-    breakup.push({
-      '@ondc/org/item_id': fulfillmentId,
-      title: 'Convenience Fee',
-      '@ondc/org/title_type': 'misc',
-      price: {
-        currency: 'INR',
-        value: '10.00'
-      }
-    });
-  });
-  
-  // Add discount if applicable
-  if (wooOrder.discount_total && parseFloat(wooOrder.discount_total) > 0) {
-    breakup.push({
-      '@ondc/org/item_id': wooOrder.line_items[0] ? 
-        `I${wooOrder.line_items[0].product_id}` : 'I1',
-      title: 'Discount',
-      '@ondc/org/title_type': 'discount',
-      price: {
-        currency: 'INR',
-        value: String(-parseFloat(wooOrder.discount_total))
-      }
-    });
+  if (trackingMeta) {
+    return trackingMeta.value === 'true';
   }
   
-  // Build the complete quote object
-  return {
-    price: {
-      currency: 'INR',
-      value: String(parseFloat(wooOrder.total))
-    },
-    breakup,
-    ttl: 'PT1H'
-  };
+  return config.fulfillment.trackingEnabled;
+};
+
+/**
+ * Build quote object with breakup for on_confirm response
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Object} ONDC quote object
+ */
+const buildQuote = (wooOrder) => {
+  // The quote agreed at init/confirm is stored on the order by the shared quote engine
+  return quoteService.getOrderQuote(wooOrder);
 };
 
 /**
@@ -998,6 +931,8 @@ const buildQuote = (wooOrder) => {
  * @returns {Object} ONDC payment object
  */
 const buildPayment = (wooOrder) => {
+  const { settlement } = getCurrentProvider();
+
   // Extract payment status from metadata or use default
   const paymentStatusMeta = wooOrder.meta_data.find(meta => meta.key === 'ondc_payment_status');
   const paymentStatus = paymentStatusMeta ? paymentStatusMeta.value : 'PAID';
@@ -1030,13 +965,13 @@ const buildPayment = (wooOrder) => {
       {
         settlement_counterparty: 'seller-app',
         settlement_phase: 'sale-amount',
-        beneficiary_name: config.settlement?.beneficiaryName || 'Store',
+        beneficiary_name: settlement.beneficiaryName || 'Store',
         settlement_type: 'upi',
-        upi_address: config.settlement?.upiAddress || 'store@upi',
-        settlement_bank_account_no: config.settlement?.accountNo || 'XXXXXXXXXX',
-        settlement_ifsc_code: config.settlement?.ifscCode || 'XXXXXXXXX',
-        bank_name: config.settlement?.bankName || 'Bank',
-        branch_name: config.settlement?.branchName || 'Branch'
+        upi_address: settlement.upiAddress || 'store@upi',
+        settlement_bank_account_no: settlement.accountNo || 'XXXXXXXXXX',
+        settlement_ifsc_code: settlement.ifscCode || 'XXXXXXXXX',
+        bank_name: settlement.bankName || 'Bank',
+        branch_name: settlement.branchName || 'Branch'
       }
     ]
   };
@@ -1134,6 +1069,8 @@ const buildCancellationTerms = (wooOrder) => {
  * @returns {Array} ONDC tags array
  */
 const buildTags = (wooOrder) => {
+  const { store } = getCurrentProvider();
+
   // Try to extract BPP terms from metadata
   const bppTermsMeta = wooOrder.meta_data.find(meta => meta.key === 'ondc_bpp_terms');
   let bppTerms = null;
@@ -1176,7 +1113,7 @@ const buildTags = (wooOrder) => {
       },
       {
         code: 'court_jurisdiction',
-        value: config.store?.jurisdiction || 'Bengaluru'
+        value: store.jurisdiction || 'Bengaluru'
       },
       {
         code: 'delay_interest',
@@ -1188,11 +1125,11 @@ const buildTags = (wooOrder) => {
       },
       {
         code: 'tax_number',
-        value: config.store?.gstNumber || 'GST_NUMBER'
+        value: store.gstNumber || 'GST_NUMBER'
       },
       {
         code: 'provider_tax_number',
-        value: config.store?.panNumber || 'PAN_NUMBER'
+        value: store.panNumber || 'PAN_NUMBER'
       },
       {
         code: 'accept_bap_terms',
@@ -1226,5 +1163,13 @@ module.exports = {
   processConfirm,
   sendOnConfirmCallback,
   mapWooCommerceToOnConfirm,
-  cancelOrder
+  cancelOrder,
+  buildBilling,
+  buildItemsArray,
+  buildFulfillmentsArray,
+  isTrackingEnabled,
+  buildQuote,
+  buildPayment,
+  buildCancellationTerms,
+  buildTags
 };
\ No newline at end of file
@@ -0,0 +1,212 @@
+const config = require('../utils/config');
+
+// Product Add-Ons types that offer a fixed set of options, with the ONDC input type they map to
+const ADDON_INPUT_TYPES = {
+  multiple_choice: 'select',
+  checkbox: 'select'
+};
+
+/**
+ * Get the add-on groups of a product that can be offered as ONDC customization groups
+ * Read from the Product Add-Ons `addons` field, or its `_product_addons` meta.
+ * @param {Object} product - WooCommerce product
+ * @returns {Array} Add-on groups with their 1-based position in the product's add-ons
+ */
+const getAddonGroups = (product) => {
+  const addons = product.addons ||
+    product.meta_data?.find(meta => meta.key === '_product_addons')?.value ||
+    [];
+
+  return (Array.isArray(addons) ? addons : [])
+    .map((addon, index) => ({ ...addon, position: index + 1 }))
+    .filter(addon => ADDON_INPUT_TYPES[addon.type] && addon.options?.length > 0);
+};
+
+/**
+ * Build the ID of a customization group
+ * @param {number} productId - WooCommerce product ID
+ * @param {number} groupPosition - Add-on position
+ * @returns {string} ONDC category ID
+ */
+const buildCustomGroupId = (productId, groupPosition) => `CG${productId}-${groupPosition}`;
+
+/**
+ * Build the ID of a customization item
+ * @param {number} productId - WooCommerce product ID
+ * @param {number} groupPosition - Add-on position
+ * @param {number} optionPosition - 1-based option position within the add-on
+ * @returns {string} ONDC item ID
+ */
+const buildCustomizationId = (productId, groupPosition, optionPosition) =>
+  `C${productId}-${groupPosition}-${optionPosition}`;
+
+/**
+ * Split a customization item ID into product, add-on and option positions
+ * @param {string} customizationId - ONDC item ID
+ * @returns {Object|null} Product ID, group and option positions, or null if it isn't a customization ID
+ */
+const parseCustomizationId = (customizationId) => {
+  const match = /^C(\d+)-(\d+)-(\d+)$/.exec(customizationId || '');
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    productId: parseInt(match[1]),
+    groupPosition: parseInt(match[2]),
+    optionPosition: parseInt(match[3])
+  };
+};
+
+/**
+ * Find the add-on option a customization item ID refers to
+ * @param {Object} product - WooCommerce product
+ * @param {string} customizationId - ONDC item ID
+ * @returns {Object|null} Add-on group and option, or null if the product doesn't offer it
+ */
+const findCustomization = (product, customizationId) => {
+  const parsed = parseCustomizationId(customizationId);
+  if (!parsed || parsed.productId !== product.id) {
+    return null;
+  }
+
+  const group = getAddonGroups(product).find(addon => addon.position === parsed.groupPosition);
+  const option = group?.options[parsed.optionPosition - 1];
+
+  return option ? { group, option } : null;
+};
+
+/**
+ * Get the unit price of an add-on option. Percentage prices apply to the product price; flat fees
+ * are charged per unit like quantity based prices, since ONDC prices customizations per unit.
+ * @param {Object} product - WooCommerce product
+ * @param {Object} option - Add-on option
+ * @returns {number} Unit price
+ */
+const getOptionPrice = (product, option) => {
+  const price = parseFloat(option.price) || 0;
+
+  if (option.price_type === 'percentage_based') {
+    return Math.round((parseFloat(product.price) || 0) * price) / 100;
+  }
+
+  return price;
+};
+
+/**
+ * Build the custom_group categories of a product's add-ons
+ * @param {Object} product - WooCommerce product
+ * @returns {Array} ONDC categories
+ */
+const buildCustomGroups = (product) => getAddonGroups(product).map(group => ({
+  id: buildCustomGroupId(product.id, group.position),
+  descriptor: { name: group.name || group.title || `Customization ${group.position}` },
+  tags: [
+    {
+      code: 'type',
+      list: [{ code: 'type', value: 'custom_group' }]
+    },
+    {
+      code: 'config',
+      list: [
+        { code: 'min', value: String(getGroupMin(group)) },
+        { code: 'max', value: String(getGroupMax(group)) },
+        { code: 'input', value: ADDON_INPUT_TYPES[group.type] },
+        { code: 'seq', value: String(group.position) }
+      ]
+    }
+  ]
+}));
+
+/**
+ * Build the tag linking a main item to its customization groups
+ * @param {Object} product - WooCommerce product
+ * @returns {Array} ONDC tags (empty when the product has no add-ons)
+ */
+const buildItemCustomGroupTags = (product) => {
+  const groups = getAddonGroups(product);
+
+  if (groups.length === 0) {
+    return [];
+  }
+
+  return [
+    {
+      code: 'type',
+      list: [{ code: 'type', value: 'item' }]
+    },
+    {
+      code: 'custom_group',
+      list: groups.map(group => ({ code: 'id', value: buildCustomGroupId(product.id, group.position) }))
+    }
+  ];
+};
+
+/**
+ * Build the customization items of a product's add-on options
+ * Add-on groups are flat, so options only carry a parent tag; a child tag would point to a nested group.
+ * @param {Object} product - WooCommerce product
+ * @param {string} categoryId - ONDC category of the main item
+ * @returns {Array} ONDC items
+ */
+const buildCustomizationItems = (product, categoryId) => getAddonGroups(product).flatMap(group =>
+  group.options.map((option, index) => ({
+    id: buildCustomizationId(product.id, group.position, index + 1),
+    descriptor: { name: option.label || `Option ${index + 1}` },
+    quantity: {
+      available: { count: config.quote.maxOrderQuantity },
+      maximum: { count: config.quote.maxOrderQuantity }
+    },
+    price: {
+      currency: config.quote.currency,
+      value: getOptionPrice(product, option).toFixed(2),
+      maximum_value: getOptionPrice(product, option).toFixed(2)
+    },
+    category_id: categoryId,
+    related: true,
+    tags: [
+      {
+        code: 'type',
+        list: [{ code: 'type', value: 'customization' }]
+      },
+      {
+        code: 'parent',
+        list: [
+          { code: 'id', value: buildCustomGroupId(product.id, group.position) },
+          // A required single choice defaults to its first option
+          { code: 'default', value: getGroupMin(group) > 0 && index === 0 ? 'yes' : 'no' }
+        ]
+      }
+    ]
+  }))
+);
+
+/**
+ * Minimum number of options a buyer has to pick from an add-on
+ * @param {Object} group - Add-on group
+ * @returns {number} Minimum selections
+ */
+const getGroupMin = (group) => (Number(group.required) ? 1 : 0);
+
+/**
+ * Maximum number of options a buyer can pick from an add-on
+ * @param {Object} group - Add-on group
+ * @returns {number} Maximum selections
+ */
+const getGroupMax = (group) => {
+  if (group.type === 'multiple_choice') {
+    return 1;
+  }
+
+  return parseInt(group.max) > 0 ? Math.min(parseInt(group.max), group.options.length) : group.options.length;
+};
+
+module.exports = {
+  parseCustomizationId,
+  findCustomization,
+  getOptionPrice,
+  buildCustomGroups,
+  buildItemCustomGroupTags,
+  buildCustomizationItems
+};
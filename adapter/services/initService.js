@@ -2,6 +2,13 @@ const wooCommerceAPI = require('../utils/wooCommerceAPI');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 const { ApiError } = require('../utils/errorHandler');
+const quoteService = require('./quoteService');
+const itemMappingService = require('./itemMappingService');
+const storeStatusService = require('./storeStatusService');
+const reservationService = require('./reservationService');
+const transactionService = require('./transactionService');
+const transactionStore = require('../utils/transactionStore');
+const { getCurrentProvider } = require('../utils/providerRegistry');
 
 /**
  * Process ONDC init request
@@ -34,8 +41,19 @@ const processInit = async (request) => {
       messageId: context.message_id
     });
     
+    storeStatusService.assertAcceptingOrders(message.order);
+    
+    // Price the cart with the shared quote engine so on_init matches on_select
+    const { quote, lines, error: quoteError } = await quoteService.computeQuote(message.order, context.transaction_id);
+    if (quoteError) {
+      throw new ApiError(`Quote unavailable: ${quoteError.message}`, 400, quoteError.code);
+    }
+    
+    // Hold the stock until confirm so another buyer can't take it in the meantime
+    reservationService.reserve(context.transaction_id, lines, reservationService.getHoldDuration());
+    
     // Map ONDC order to WooCommerce order
-    const wooOrderData = mapOndcOrderToWooCommerce(message.order, context);
+    const wooOrderData = mapOndcOrderToWooCommerce(message.order, context, quote);
     
     // Create draft order in WooCommerce
     logger.info('Sending order creation request to WooCommerce', {
@@ -47,7 +65,13 @@ const processInit = async (request) => {
       }
     });
     
-    const wooOrder = await wooCommerceAPI.createOrder(wooOrderData);
+    let wooOrder;
+    try {
+      wooOrder = await wooCommerceAPI.createOrder(wooOrderData);
+    } catch (error) {
+      reservationService.release(context.transaction_id, 'init failed');
+      throw error;
+    }
     
     logger.info('Successfully created WooCommerce order', {
       transactionId: context.transaction_id,
@@ -55,6 +79,8 @@ const processInit = async (request) => {
       wooOrderStatus: wooOrder.status
     });
     
+    await transactionStore.linkOrder(context.transaction_id, { init_order_id: wooOrder.id });
+    
     // Update order status metadata to track ONDC specific status
     await updateOrderOndcStatus(wooOrder.id, 'CREATED', context.transaction_id);
     
@@ -91,7 +117,7 @@ const processInit = async (request) => {
       throw new ApiError('Network error, could not reach WooCommerce', 503);
     }
     
-    throw new ApiError(error.message, error.status || 500);
+    throw new ApiError(error.message, error.status || 500, error.code);
   }
 };
 
@@ -102,21 +128,19 @@ const processInit = async (request) => {
  */
 const checkForExistingTransaction = async (transactionId) => {
   try {
-    // Search for orders with meta_data matching this transaction ID
+    // The confirmed order if there is one, otherwise the draft from an earlier init
     logger.debug('Checking for existing transaction', { transactionId });
     
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
+    const order = await transactionService.findOrderByTransactionId(transactionId) ||
+      await transactionService.findInitOrder(transactionId);
     
-    if (orders && orders.length > 0) {
+    if (order) {
       logger.info('Found existing order for transaction', { 
         transactionId,
-        orderId: orders[0].id,
-        status: orders[0].status
+        orderId: order.id,
+        status: order.status
       });
-      return orders[0];
+      return order;
     }
     
     logger.debug('No existing order found for transaction', { transactionId });
@@ -184,9 +208,10 @@ const updateOrderOndcStatus = async (orderId, ondcStatus, transactionId) => {
  * Map ONDC order to WooCommerce order format
  * @param {Object} ondcOrder - ONDC order object
  * @param {Object} context - ONDC context object
+ * @param {Object} quote - ONDC quote computed for the order
  * @returns {Object} WooCommerce order data
  */
-const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
+const mapOndcOrderToWooCommerce = (ondcOrder, context, quote) => {
   // Extract customer billing information
   const billing = {
     first_name: ondcOrder.billing.name.split(' ')[0] || ondcOrder.billing.name,
@@ -215,7 +240,7 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     : billing;
 
   // Map ONDC items to WooCommerce line items
-  const line_items = mapLineItems(ondcOrder.items);
+  const line_items = mapLineItems(ondcOrder.items, quote);
 
   // Map ONDC offers to WooCommerce coupons
   const coupon_lines = ondcOrder.offers ? 
@@ -226,18 +251,27 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     { key: 'ondc_transaction_id', value: context.transaction_id },
     { key: 'ondc_message_id', value: context.message_id },
     { key: 'ondc_bpp_id', value: context.bpp_id },
-    { key: 'ondc_domain', value: context.domain }
+    { key: 'ondc_provider_id', value: getCurrentProvider().id },
+    { key: 'ondc_domain', value: context.domain },
+    quoteService.buildQuoteMeta(quote)
   ];
 
   // Determine shipping method based on fulfillment type
   const shipping_lines = [{
     method_id: 'flat_rate',
     method_title: ondcOrder.fulfillments[0]?.type || 'Delivery',
+    total: quoteService.getQuoteCharge(quote, 'delivery'),
     meta_data: [
       { key: 'ondc_fulfillment_id', value: ondcOrder.fulfillments[0]?.id || 'F1' }
     ]
   }];
 
+  // Carry the packing charge so the WooCommerce total agrees with the quote
+  const fee_lines = [{
+    name: 'Packing charges',
+    total: quoteService.getQuoteCharge(quote, 'packing')
+  }];
+
   // Prepare the WooCommerce order data
   return {
     status: 'pending',
@@ -247,6 +281,7 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
     coupon_lines,
     meta_data,
     shipping_lines,
+    fee_lines,
     customer_note: `ONDC Order initialized via ${context.bap_id}`
   };
 };
@@ -254,44 +289,23 @@ const mapOndcOrderToWooCommerce = (ondcOrder, context) => {
 /**
  * Map ONDC items to WooCommerce line items with support for parent_item_id and customization
  * @param {Array} ondcItems - Array of ONDC items
+ * @param {Object} quote - Agreed ONDC quote, which prices the customizations
  * @returns {Array} WooCommerce line items
  */
-const mapLineItems = (ondcItems) => {
-  // Group items by parent_item_id to handle customizations
-  const itemsByParent = {};
-  
-  ondcItems.forEach(item => {
-    const parentId = item.parent_item_id || 'main';
-    if (!itemsByParent[parentId]) {
-      itemsByParent[parentId] = {
-        main: null,
-        customizations: []
-      };
-    }
-    
-    // Check if item is a customization or main item
-    const isCustomization = item.tags?.some(tag => 
-      tag.code === 'type' && 
-      tag.list?.some(listItem => 
-        listItem.code === 'type' && listItem.value === 'customization'
-      )
-    );
-    
-    if (isCustomization) {
-      itemsByParent[parentId].customizations.push(item);
-    } else {
-      itemsByParent[parentId].main = item;
-    }
-  });
-  
-  // Convert grouped items to WooCommerce line items
-  return Object.entries(itemsByParent)
-    .filter(([_, group]) => group.main !== null)
-    .map(([parentId, group]) => {
-      const mainItem = group.main;
-      
+const mapLineItems = (ondcItems, quote) => {
+  const customizations = ondcItems.filter(item => quoteService.isCustomizationItem(item));
+
+  // Every main item becomes its own line item. Customizations belong to the main item sharing
+  // their parent_item_id, which can't be used as a key since variants of a product share it too.
+  return ondcItems
+    .filter(item => !quoteService.isCustomizationItem(item))
+    .map(mainItem => {
+      const itemCustomizations = mainItem.parent_item_id
+        ? customizations.filter(customization => customization.parent_item_id === mainItem.parent_item_id)
+        : [];
+
       // Collect all customizations as meta data
-      const meta_data = group.customizations.map(customization => {
+      const meta_data = itemCustomizations.map(customization => {
         // Extract customization group if available
         const customizationGroup = customization.tags?.find(tag => 
           tag.code === 'parent'
@@ -323,26 +337,34 @@ const mapLineItems = (ondcItems) => {
         value: mainItem.fulfillment_id
       });
       
+      // Add product ID mapping
+      meta_data.push({
+        key: 'ondc_item_id',
+        value: mainItem.id
+      });
+      
+      // Variant items resolve to the WooCommerce variation they were listed from
+      const wooItem = itemMappingService.resolveOndcItemId(mainItem.id);
+      if (!wooItem) {
+        throw new ApiError(`Item not found: ${mainItem.id}`, 400, '30004');
+      }
+      const { productId, variationId } = wooItem;
+
       // Return the line item object
       return {
-        product_id: mapOndcProductIdToWooId(mainItem.id),
+        product_id: productId,
+        ...(variationId && { variation_id: variationId }),
         quantity: mainItem.quantity.count,
+        // WooCommerce only knows the product price, so customizations are charged through the line total
+        ...(itemCustomizations.length > 0 && {
+          subtotal: quoteService.getItemTotal(quote, mainItem),
+          total: quoteService.getItemTotal(quote, mainItem)
+        }),
         meta_data
       };
     });
 };
 
-/**
- * Convert ONDC product ID to WooCommerce product ID
- * @param {string} ondcProductId - The ONDC product ID
- * @returns {number} WooCommerce product ID
- */
-const mapOndcProductIdToWooId = (ondcProductId) => {
-  // This should be implemented based on your product mapping logic
-  // This is a placeholder implementation
-  return parseInt(ondcProductId.replace(/\D/g, '')) || 1;
-};
-
 /**
  * Map WooCommerce response back to ONDC format
  * @param {Object} wooOrder - WooCommerce order object
@@ -422,7 +444,7 @@ const mapWooCommerceResponseToOndc = (wooOrder, context) => {
     
     // Check if item has customization tags
     const ondcItem = {
-      id: mapWooProductIdToOndcId(item.product_id, item.id),
+      id: itemMappingService.getLineItemOndcId(item),
       quantity: {
         count: item.quantity
       },
@@ -484,8 +506,8 @@ const mapWooCommerceResponseToOndc = (wooOrder, context) => {
     return ondcItem;
   });
 
-  // Generate price breakup for ONDC quote
-  const breakup = generatePriceBreakup(wooOrder);
+  // Use the quote stored at init so every stage reports the same figures
+  const quote = quoteService.getOrderQuote(wooOrder);
 
   // Generate cancellation terms
   const cancellationTerms = generateCancellationTerms(wooOrder.total);
@@ -503,10 +525,10 @@ const mapWooCommerceResponseToOndc = (wooOrder, context) => {
     message: {
       order: {
         provider: {
-          id: context.bpp_id,
+          id: getCurrentProvider().id,
           locations: [
             {
-              id: "L1" // Should be dynamically set based on the provider location
+              id: getCurrentProvider().locations[0].id
             }
           ]
         },
@@ -528,14 +550,7 @@ const mapWooCommerceResponseToOndc = (wooOrder, context) => {
           created_at: wooOrder.date_created,
           updated_at: wooOrder.date_modified
         },
-        quote: {
-          price: {
-            currency: "INR",
-            value: String(wooOrder.total)
-          },
-          breakup,
-          ttl: "PT1H" // 1 hour time to live for the quote
-        },
+        quote,
         payment: {
           type: "ON-ORDER",
           collected_by: "BPP",
@@ -708,242 +723,7 @@ const generateCancellationTerms = (orderTotal) => {
   return cancellationTerms;
 };
 
-/**
- * Generate price breakup for ONDC quote
- * @param {Object} wooOrder - WooCommerce order object
- * @returns {Array} Price breakup array for ONDC
- */
-const generatePriceBreakup = (wooOrder) => {
-  const breakup = [];
-  
-  // Add item prices
-  wooOrder.line_items.forEach(item => {
-    // Get the parent item ID if it exists
-    const parentItemMeta = item.meta_data.find(meta => meta.key === 'ondc_parent_item_id');
-    const parentItemId = parentItemMeta ? parentItemMeta.value : null;
-    
-    // Find if it's a customization
-    const isCustomization = item.meta_data.some(meta => 
-      meta.key.startsWith('customization_')
-    );
-    
-    // Determine title type
-    const titleType = isCustomization ? "customization" : "item";
-    
-    breakup.push({
-      "@ondc/org/item_id": mapWooProductIdToOndcId(item.product_id, item.id),
-      "@ondc/org/item_quantity": {
-        count: item.quantity
-      },
-      "title": item.name,
-      "@ondc/org/title_type": "item",
-      "price": {
-        "currency": "INR",
-        "value": String(parseFloat(item.subtotal))
-      },
-      "item": {
-        "price": {
-          "currency": "INR",
-          "value": String(parseFloat(item.price))
-        },
-        ...(parentItemId && { "parent_item_id": parentItemId }),
-        "quantity": {
-          "available": {
-            "count": "99" // This should be dynamically determined from inventory
-          },
-          "maximum": {
-            "count": "99" // This should be dynamically determined from inventory
-          }
-        },
-        ...(isCustomization && {
-          "tags": [
-            {
-              "code": "type",
-              "list": [
-                {
-                  "code": "type",
-                  "value": "customization"
-                }
-              ]
-            },
-            {
-              "code": "parent",
-              "list": [
-                {
-                  "code": "id",
-                  "value": item.meta_data.find(meta => 
-                    meta.key.startsWith('customization_')
-                  )?.value.split('_')[1] || "CG1"
-                }
-              ]
-            }
-          ]
-        }),
-        ...(!isCustomization && {
-          "tags": [
-            {
-              "code": "type",
-              "list": [
-                {
-                  "code": "type",
-                  "value": "item"
-                }
-              ]
-            }
-          ]
-        })
-      }
-    });
-    
-    // Add tax for each item
-    if (item.total_tax && parseFloat(item.total_tax) > 0) {
-      breakup.push({
-        "@ondc/org/item_id": mapWooProductIdToOndcId(item.product_id, item.id),
-        "title": "Tax",
-        "@ondc/org/title_type": "tax",
-        "price": {
-          "currency": "INR",
-          "value": String(parseFloat(item.total_tax))
-        },
-        ...(parentItemId && {
-          "item": {
-            "parent_item_id": parentItemId,
-            "tags": isCustomization ? [
-              {
-                "code": "type",
-                "list": [
-                  {
-                    "code": "type",
-                    "value": "customization"
-                  }
-                ]
-              },
-              {
-                "code": "parent",
-                "list": [
-                  {
-                    "code": "id",
-                    "value": item.meta_data.find(meta => 
-                      meta.key.startsWith('customization_')
-                    )?.value.split('_')[1] || "CG1"
-                  }
-                ]
-              }
-            ] : [
-              {
-                "code": "type",
-                "list": [
-                  {
-                    "code": "type",
-                    "value": "item"
-                  }
-                ]
-              }
-            ]
-          }
-        })
-      });
-    }
-  });
-  
-  // Add shipping if present
-  if (wooOrder.shipping_total && parseFloat(wooOrder.shipping_total) > 0) {
-    breakup.push({
-      "@ondc/org/item_id": wooOrder.shipping_lines[0]?.meta_data.find(meta => 
-        meta.key === 'ondc_fulfillment_id'
-      )?.value || "F1",
-      "title": "Delivery charges",
-      "@ondc/org/title_type": "delivery",
-      "price": {
-        "currency": "INR",
-        "value": String(parseFloat(wooOrder.shipping_total))
-      }
-    });
-    
-    // Add tax on shipping
-    if (wooOrder.shipping_tax && parseFloat(wooOrder.shipping_tax) > 0) {
-      breakup.push({
-        "@ondc/org/item_id": wooOrder.shipping_lines[0]?.meta_data.find(meta => 
-          meta.key === 'ondc_fulfillment_id'
-        )?.value || "F1",
-        "title": "Tax",
-        "@ondc/org/title_type": "tax",
-        "price": {
-          "currency": "INR",
-          "value": String(parseFloat(wooOrder.shipping_tax))
-        },
-        "item": {
-          "tags": [
-            {
-              "code": "quote",
-              "list": [
-                {
-                  "code": "type",
-                  "value": "fulfillment"
-                }
-              ]
-            }
-          ]
-        }
-      });
-    }
-  }
-  
-// Add packing charges - You can configure this as needed
-breakup.push({
-  "@ondc/org/item_id": wooOrder.shipping_lines[0]?.meta_data.find(meta => 
-    meta.key === 'ondc_fulfillment_id'
-  )?.value || "F1",
-  "title": "Packing charges",
-  "@ondc/org/title_type": "packing",
-  "price": {
-    "currency": "INR",
-    "value": "25.00" // This should be configurable
-  }
-});
-
-// Add convenience fee if applicable
-breakup.push({
-  "@ondc/org/item_id": wooOrder.shipping_lines[0]?.meta_data.find(meta => 
-    meta.key === 'ondc_fulfillment_id'
-  )?.value || "F1",
-  "title": "Convenience Fee",
-  "@ondc/org/title_type": "misc",
-  "price": {
-    "currency": "INR",
-    "value": "10.00" // This should be configurable
-  }
-});
-
-// Add discount if present
-if (wooOrder.discount_total && parseFloat(wooOrder.discount_total) > 0) {
-  breakup.push({
-    "@ondc/org/item_id": wooOrder.line_items[0]?.product_id ? 
-      mapWooProductIdToOndcId(wooOrder.line_items[0].product_id, wooOrder.line_items[0].id) : "I1",
-    "title": "Discount",
-    "@ondc/org/title_type": "discount",
-    "price": {
-      "currency": "INR",
-      "value": String(-parseFloat(wooOrder.discount_total))
-    }
-  });
-}
-
-return breakup;
-};
-
-/**
-* Map WooCommerce product ID to ONDC product ID
-* @param {number} wooProductId - WooCommerce product ID
-* @param {number} lineItemId - WooCommerce line item ID
-* @returns {string} ONDC product ID
-*/
-const mapWooProductIdToOndcId = (wooProductId, lineItemId) => {
-// This should be implemented based on your product mapping logic
-// This is a placeholder implementation
-return `I${wooProductId}`;
-};
-
 module.exports = {
-processInit
+processInit,
+mapWooCommerceResponseToOndc
 };
\ No newline at end of file
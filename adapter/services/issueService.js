@@ -0,0 +1,572 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { ApiError } = require('../utils/errorHandler');
+const { createJsonStore } = require('../utils/jsonStore');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const { getProvider, getCurrentProvider, runWithProvider } = require('../utils/providerRegistry');
+const statusService = require('./statusService');
+const cancelService = require('./cancelService');
+const supportService = require('./supportService');
+
+const issueStore = createJsonStore('issues');
+
+// Cancellations made to resolve an issue are seller-side, so no fee is charged
+const ISSUE_CANCELLATION_REASON = '009';
+
+/**
+ * Process ONDC IGM issue request, raising a new issue or applying a complainant action to an existing one
+ * @param {Object} request - ONDC issue request payload
+ * @returns {Promise<Object>} ONDC on_issue response
+ * @throws {ApiError} If the issue refers to an unknown order
+ */
+const processIssue = async (request) => {
+  const { context, message } = request;
+  const { issue } = message;
+
+  logger.info('Starting to process issue request', {
+    transactionId: context.transaction_id,
+    messageId: context.message_id,
+    issueId: issue.id,
+    orderId: issue.order_details.id
+  });
+
+  const existing = findBuyerIssue(issue.id, context);
+
+  if (!existing && issueStore.get(issue.id)) {
+    throw new ApiError(`Issue ${issue.id} already exists`, 409);
+  }
+
+  const record = existing
+    ? applyComplainantActions(existing, issue)
+    : await createIssue(issue, context);
+
+  issueStore.set(record.id, record);
+  await linkIssueToOrder(record);
+
+  return buildIssueResponse(record, context, 'on_issue');
+};
+
+/**
+ * Get an issue on behalf of a buyer app, treating issues raised through another buyer app as unknown
+ * @param {string} issueId - Issue ID
+ * @param {Object} context - ONDC context of the request
+ * @returns {Object|null} Issue record or null
+ */
+const findBuyerIssue = (issueId, context) => {
+  const record = issueStore.get(issueId);
+  return record && record.context.bap_id === context.bap_id ? record : null;
+};
+
+/**
+ * Create a new issue against the order it was raised for
+ * @param {Object} issue - ONDC issue
+ * @param {Object} context - ONDC context
+ * @returns {Promise<Object>} Issue record
+ * @throws {ApiError} If the order doesn't exist
+ */
+const createIssue = async (issue, context) => {
+  const order = await statusService.findBuyerOrder(issue.order_details.id, context);
+
+  if (!order) {
+    // 30018: invalid order
+    throw new ApiError(`Order ${issue.order_details.id} not found`, 404, '30018');
+  }
+
+  const now = new Date().toISOString();
+  const expectedResponseTime = issue.expected_response_time?.duration || config.igm.expectedResponseTime;
+  const responseWindow = cancelService.parseTAT(expectedResponseTime) ||
+    cancelService.parseTAT(config.igm.expectedResponseTime);
+
+  const record = {
+    id: issue.id,
+    status: 'OPEN',
+    issue_type: issue.issue_type,
+    category: issue.category,
+    sub_category: issue.sub_category,
+    order_id: issue.order_details.id,
+    woo_order_id: order.id,
+    provider_id: order.meta_data.find(meta => meta.key === 'ondc_provider_id')?.value || getCurrentProvider().id,
+    complainant_info: issue.complainant_info,
+    order_details: issue.order_details,
+    description: issue.description,
+    source: issue.source,
+    expected_response_time: { duration: expectedResponseTime },
+    expected_resolution_time: {
+      duration: issue.expected_resolution_time?.duration || config.igm.expectedResolutionTime
+    },
+    complainant_actions: issue.issue_actions.complainant_actions,
+    respondent_actions: [],
+    resolution: null,
+    // Kept so unsolicited on_issue_status can be sent later in the same IGM transaction
+    context: {
+      domain: context.domain,
+      country: context.country,
+      city: context.city,
+      core_version: context.core_version,
+      bap_id: context.bap_id,
+      bap_uri: context.bap_uri,
+      bpp_id: context.bpp_id,
+      bpp_uri: context.bpp_uri,
+      transaction_id: context.transaction_id
+    },
+    respond_by: new Date(Date.parse(issue.created_at) + responseWindow).toISOString(),
+    overdue: false,
+    created_at: issue.created_at,
+    updated_at: now
+  };
+
+  addRespondentAction(record, 'PROCESSING', 'Complaint is being processed');
+
+  logger.info('Issue raised', {
+    issueId: record.id,
+    orderId: record.order_id,
+    category: record.category,
+    subCategory: record.sub_category,
+    respondBy: record.respond_by
+  });
+
+  return record;
+};
+
+/**
+ * Apply complainant actions (re-open with more info, escalate, close) that aren't recorded yet
+ * @param {Object} record - Issue record
+ * @param {Object} issue - ONDC issue from the request
+ * @returns {Object} Updated issue record
+ */
+const applyComplainantActions = (record, issue) => {
+  const recorded = new Set(record.complainant_actions.map(action => `${action.complainant_action}|${action.updated_at}`));
+  const newActions = issue.issue_actions.complainant_actions
+    .filter(action => !recorded.has(`${action.complainant_action}|${action.updated_at}`));
+
+  newActions.forEach(action => {
+    record.complainant_actions.push(action);
+
+    switch (action.complainant_action) {
+      case 'OPEN':
+        // Complainant answered a NEED-MORE-INFO request
+        record.description = issue.description;
+        addRespondentAction(record, 'PROCESSING', 'Additional information received, complaint is being processed');
+        break;
+      case 'ESCALATE':
+        record.issue_type = issue.issue_type;
+        record.status = 'OPEN';
+        addRespondentAction(record, 'PROCESSING', 'Escalated grievance is being processed');
+        break;
+      case 'CLOSE':
+        record.status = 'CLOSED';
+        record.rating = issue.rating;
+        break;
+    }
+  });
+
+  record.updated_at = new Date().toISOString();
+
+  logger.info('Complainant actions applied to issue', {
+    issueId: record.id,
+    actions: newActions.map(action => action.complainant_action),
+    status: record.status
+  });
+
+  return record;
+};
+
+/**
+ * Process ONDC IGM issue_status request
+ * @param {Object} request - ONDC issue_status request payload
+ * @returns {Promise<Object>} ONDC on_issue_status response
+ * @throws {ApiError} If the issue doesn't exist
+ */
+const processIssueStatus = async (request) => {
+  const { context, message } = request;
+  const record = findBuyerIssue(message.issue_id, context);
+
+  if (!record) {
+    throw new ApiError(`Issue ${message.issue_id} not found`, 404);
+  }
+
+  return buildIssueResponse(record, context, 'on_issue_status');
+};
+
+/**
+ * Record a respondent action from the merchant and push it to the buyer app as on_issue_status
+ * The action runs against the store of the provider the issue was raised with, whichever provider the
+ * internal request was routed to, so a resolution can't cancel or refund another store's order.
+ * @param {string} issueId - Issue ID
+ * @param {Object} action - Respondent action (respondent_action, short_desc, resolution)
+ * @param {string|null} [requestedProviderId] - Provider the request explicitly asked for, if any
+ * @returns {Promise<Object>} Updated issue and whether the callback was delivered
+ * @throws {ApiError} If the issue doesn't exist, belongs to another provider, is closed, or the resolution
+ * couldn't be carried out
+ */
+const recordRespondentAction = async (issueId, action, requestedProviderId = null) => {
+  const record = issueStore.get(issueId);
+
+  if (!record) {
+    throw new ApiError(`Issue ${issueId} not found`, 404);
+  }
+
+  if (requestedProviderId && requestedProviderId !== record.provider_id) {
+    throw new ApiError(`Issue ${issueId} belongs to provider ${record.provider_id}, not ${requestedProviderId}`, 400);
+  }
+
+  if (record.status === 'CLOSED') {
+    throw new ApiError(`Issue ${issueId} is closed`, 409);
+  }
+
+  if (!getProvider(record.provider_id)) {
+    throw new ApiError(`Provider ${record.provider_id} of issue ${issueId} is no longer hosted`, 409);
+  }
+
+  return runWithProvider(record.provider_id, () => respondToIssue(record, action));
+};
+
+/**
+ * Apply a respondent action to an issue and push it to the buyer app, in the issue's provider context
+ * @param {Object} record - Issue record
+ * @param {Object} action - Respondent action (respondent_action, short_desc, resolution)
+ * @returns {Promise<Object>} Updated issue and whether the callback was delivered
+ * @throws {ApiError} If the resolution couldn't be carried out
+ */
+const respondToIssue = async (record, action) => {
+  const context = {
+    ...record.context,
+    action: 'on_issue_status',
+    message_id: crypto.randomUUID(),
+    timestamp: new Date().toISOString()
+  };
+
+  if (action.respondent_action === 'RESOLVED') {
+    record.resolution = await applyResolution(record, action.resolution, context);
+  }
+
+  addRespondentAction(record, action.respondent_action, action.short_desc);
+  record.updated_at = new Date().toISOString();
+
+  issueStore.set(record.id, record);
+  await linkIssueToOrder(record);
+
+  logger.info('Respondent action recorded for issue', {
+    issueId: record.id,
+    action: action.respondent_action,
+    resolution: record.resolution?.action_triggered
+  });
+
+  const callbackSuccess = await sendIssueCallback(buildIssueResponse(record, context, 'on_issue_status'));
+
+  return { issue: record, callbackSuccess };
+};
+
+/**
+ * Carry out the resolution against the order
+ * A CANCEL refunds the order total unless the merchant says otherwise. When the order is cancelled but its
+ * refund fails, the cancellation is kept on the issue as a pending resolution, so resolving the issue again
+ * only retries the refund.
+ * @param {Object} record - Issue record
+ * @param {Object} resolution - Resolution (short_desc, long_desc, action_triggered, refund_amount)
+ * @param {Object} context - ONDC context
+ * @returns {Promise<Object>} Resolution as shared with the buyer app
+ * @throws {ApiError} If the resolution conflicts with a pending one or the refund fails
+ */
+const applyResolution = async (record, resolution, context) => {
+  const { action_triggered: actionTriggered } = resolution;
+  const pending = record.pending_resolution;
+  const result = {
+    short_desc: resolution.short_desc,
+    ...(resolution.long_desc && { long_desc: resolution.long_desc }),
+    action_triggered: actionTriggered
+  };
+
+  if (pending && pending.action_triggered !== actionTriggered) {
+    throw new ApiError(
+      `Issue ${record.id} has a ${pending.action_triggered} resolution awaiting its refund, resolve it with ${pending.action_triggered} again`,
+      409
+    );
+  }
+
+  let refundAmount = resolution.refund_amount || pending?.refund_amount;
+  let cancelledAt = pending?.cancelled_at || null;
+
+  if (actionTriggered === 'CANCEL' && !cancelledAt) {
+    const order = await wooCommerceAPI.getOrder(record.woo_order_id);
+    await cancelService.cancelOrder(order, ISSUE_CANCELLATION_REASON, context.bpp_id);
+
+    cancelledAt = new Date().toISOString();
+    refundAmount = refundAmount || parseFloat(order.total);
+  }
+
+  if (refundAmount > 0 && (actionTriggered === 'REFUND' || actionTriggered === 'CANCEL')) {
+    const refund = await cancelService.processRefund(
+      record.woo_order_id,
+      refundAmount,
+      record.sub_category,
+      context,
+      { reason: `Issue ${record.id}: ${resolution.short_desc}` }
+    );
+
+    if (!refund) {
+      if (cancelledAt) {
+        record.pending_resolution = {
+          action_triggered: actionTriggered,
+          cancelled_at: cancelledAt,
+          refund_amount: refundAmount,
+          refund_failed_at: new Date().toISOString()
+        };
+        record.updated_at = new Date().toISOString();
+        issueStore.set(record.id, record);
+
+        logger.warn('Order cancelled for issue but its refund failed, resolve the issue again to retry the refund', {
+          issueId: record.id,
+          orderId: record.woo_order_id,
+          refundAmount
+        });
+
+        throw new ApiError(`Order cancelled for issue ${record.id} but the refund failed, resolution not recorded`, 502);
+      }
+
+      throw new ApiError(`Refund for issue ${record.id} failed, resolution not recorded`, 502);
+    }
+
+    result.refund_amount = refundAmount.toFixed(2);
+    result.refund_id = refund.id;
+  }
+
+  delete record.pending_resolution;
+
+  return result;
+};
+
+/**
+ * Append a respondent action to the issue trail
+ * @param {Object} record - Issue record
+ * @param {string} respondentAction - PROCESSING, NEED-MORE-INFO, RESOLVED or CASCADED
+ * @param {string} shortDesc - Description shared with the complainant
+ */
+const addRespondentAction = (record, respondentAction, shortDesc) => {
+  const previousLevel = record.respondent_actions[record.respondent_actions.length - 1]?.cascaded_level || 1;
+
+  record.respondent_actions.push({
+    respondent_action: respondentAction,
+    short_desc: shortDesc,
+    updated_at: new Date().toISOString(),
+    updated_by: buildRespondentInfo(record),
+    // Cascading hands the issue to the next respondent (e.g. the logistics partner)
+    cascaded_level: respondentAction === 'CASCADED' ? previousLevel + 1 : previousLevel
+  });
+};
+
+/**
+ * Build respondent organisation details
+ * @param {Object} record - Issue record
+ * @returns {Object} ONDC updated_by / organization object
+ */
+const buildRespondentInfo = (record) => {
+  const contacts = supportService.getSupportContacts(record.provider_id);
+
+  return {
+    org: {
+      name: `${record.context.bpp_id}::${record.context.domain}`
+    },
+    contact: {
+      phone: contacts.phone,
+      email: contacts.email
+    },
+    person: {
+      name: config.igm.respondentName
+    }
+  };
+};
+
+/**
+ * Build on_issue or on_issue_status response
+ * @param {Object} record - Issue record
+ * @param {Object} context - ONDC context
+ * @param {string} action - 'on_issue' or 'on_issue_status'
+ * @returns {Object} ONDC response
+ */
+const buildIssueResponse = (record, context, action) => {
+  const respondent = buildRespondentInfo(record);
+  const issue = {
+    id: record.id,
+    issue_actions: {
+      respondent_actions: record.respondent_actions
+    },
+    created_at: record.created_at,
+    updated_at: record.updated_at
+  };
+
+  if (action === 'on_issue_status') {
+    issue.resolution_provider = {
+      respondent_info: {
+        type: 'TRANSACTION-COUNTERPARTY-NP',
+        organization: respondent,
+        resolution_support: {
+          ...(config.igm.chatLink && { chat_link: config.igm.chatLink }),
+          contact: respondent.contact,
+          gros: [
+            {
+              person: {
+                name: config.igm.groName
+              },
+              contact: {
+                phone: config.igm.groPhone || respondent.contact.phone,
+                email: config.igm.groEmail || respondent.contact.email
+              },
+              gro_type: 'TRANSACTION-COUNTERPARTY-NP-GRO'
+            }
+          ]
+        }
+      }
+    };
+
+    if (record.resolution) {
+      const { refund_id: refundId, ...resolution } = record.resolution;
+      issue.resolution = resolution;
+    }
+  }
+
+  return {
+    context: {
+      ...context,
+      action,
+      timestamp: new Date().toISOString()
+    },
+    message: {
+      issue
+    }
+  };
+};
+
+/**
+ * Mirror the issue state onto its WooCommerce order so merchants see it in the admin
+ * @param {Object} record - Issue record
+ * @returns {Promise<void>}
+ */
+const linkIssueToOrder = async (record) => {
+  try {
+    await wooCommerceAPI.updateOrder(record.woo_order_id, {
+      meta_data: [
+        {
+          key: `ondc_issue_${record.id}`,
+          value: JSON.stringify({
+            status: record.status,
+            issue_type: record.issue_type,
+            category: record.category,
+            sub_category: record.sub_category,
+            last_action: record.respondent_actions[record.respondent_actions.length - 1]?.respondent_action,
+            resolution: record.resolution?.action_triggered || null,
+            overdue: record.overdue,
+            updated_at: record.updated_at
+          })
+        }
+      ]
+    });
+  } catch (error) {
+    // The issue store is the source of truth, the order meta is only a mirror
+    logger.warn('Could not mirror issue onto WooCommerce order', {
+      issueId: record.id,
+      orderId: record.woo_order_id,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Flag open issues that are still unresolved past their expected response time
+ * @returns {Promise<Array>} Issues flagged in this run
+ */
+const flagOverdueIssues = async () => {
+  const now = Date.now();
+
+  const overdue = issueStore.list(record => {
+    const lastAction = record.respondent_actions[record.respondent_actions.length - 1]?.respondent_action;
+
+    return record.status === 'OPEN' &&
+      !record.resolution &&
+      !record.overdue &&
+      // Waiting on the complainant doesn't count against us
+      lastAction !== 'NEED-MORE-INFO' &&
+      Date.parse(record.respond_by) < now;
+  });
+
+  for (const record of overdue) {
+    record.overdue = true;
+    record.overdue_at = new Date(now).toISOString();
+    issueStore.set(record.id, record);
+
+    // Runs on a timer, outside any request, so pick the order's store from the issue
+    if (getProvider(record.provider_id)) {
+      await runWithProvider(record.provider_id, () => linkIssueToOrder(record));
+    } else {
+      await linkIssueToOrder(record);
+    }
+
+    logger.warn('Issue unresolved past expected response time', {
+      issueId: record.id,
+      orderId: record.order_id,
+      respondBy: record.respond_by,
+      issueType: record.issue_type
+    });
+  }
+
+  return overdue;
+};
+
+/**
+ * List stored issues
+ * @param {Object} [filters] - Optional status and overdue filters
+ * @returns {Array} Issue records
+ */
+const listIssues = (filters = {}) => {
+  return issueStore.list(record =>
+    (!filters.status || record.status === filters.status) &&
+    (filters.overdue === undefined || record.overdue === filters.overdue)
+  );
+};
+
+/**
+ * Send on_issue or on_issue_status callback to BAP
+ * @param {Object} ondcResponse - ONDC IGM response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendIssueCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+  const issueId = ondcResponse.message.issue.id;
+
+  try {
+    logger.info(`Sending ${context.action} callback to BAP`, {
+      transactionId,
+      issueId,
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/${context.action}`,
+      ondcResponse,
+      transactionId,
+      context.action
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error(`Error sending ${context.action} callback`, {
+      transactionId,
+      issueId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  processIssue,
+  processIssueStatus,
+  recordRespondentAction,
+  flagOverdueIssues,
+  listIssues,
+  sendIssueCallback
+};
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const { createJsonStore } = require('../utils/jsonStore');
+const { listProviders, getCurrentProvider } = require('../utils/providerRegistry');
+
+// ONDC item IDs handed out in catalogs, keyed by provider and ONDC item ID. Only IDs in here are orderable,
+// so an ID a buyer app made up (or one from another seller) can't be mistaken for a WooCommerce product.
+const itemStore = createJsonStore('item_ids');
+
+/**
+ * Build the store key of an ONDC item ID, scoped to the current provider since every provider's
+ * WooCommerce store numbers its products from 1
+ * @param {string} ondcItemId - ONDC item ID
+ * @returns {string} Store key
+ */
+const buildStoreKey = (ondcItemId) => `${getCurrentProvider().id}/${ondcItemId}`;
+
+/**
+ * Look up the mapping record of an ONDC item ID for the current provider
+ * IDs assigned before providers were scoped belong to the first provider.
+ * @param {string} ondcItemId - ONDC item ID
+ * @returns {Object|null} Mapping record or null
+ */
+const findRecord = (ondcItemId) => {
+  const record = itemStore.get(buildStoreKey(ondcItemId));
+
+  if (record || getCurrentProvider().id !== listProviders()[0].id) {
+    return record;
+  }
+
+  return itemStore.get(ondcItemId);
+};
+
+/**
+ * Build the ONDC item ID for a WooCommerce product or variation
+ * Simple products are listed as `I{productId}` and variations as `I{productId}V{variationId}`.
+ * @param {number} productId - WooCommerce product ID
+ * @param {number} [variationId] - WooCommerce variation ID
+ * @returns {string} ONDC item ID
+ */
+const buildOndcItemId = (productId, variationId) =>
+  (variationId ? `I${productId}V${variationId}` : `I${productId}`);
+
+/**
+ * Build the mapping record for a WooCommerce product or variation
+ * @param {number} productId - WooCommerce product ID
+ * @param {number} [variationId] - WooCommerce variation ID
+ * @returns {Object} Mapping record
+ */
+const buildRecord = (productId, variationId) => ({
+  ondc_item_id: buildOndcItemId(productId, variationId),
+  provider_id: getCurrentProvider().id,
+  product_id: productId,
+  variation_id: variationId || null,
+  created_at: new Date().toISOString()
+});
+
+/**
+ * Get the ONDC item ID of a WooCommerce product or variation, assigning one on first use
+ * @param {number} productId - WooCommerce product ID
+ * @param {number} [variationId] - WooCommerce variation ID
+ * @returns {string} ONDC item ID
+ */
+const getOndcItemId = (productId, variationId) => {
+  const ondcItemId = buildOndcItemId(productId, variationId);
+
+  if (!findRecord(ondcItemId)) {
+    itemStore.set(buildStoreKey(ondcItemId), buildRecord(productId, variationId));
+    logger.debug('Assigned ONDC item ID', { ondcItemId, productId, variationId });
+  }
+
+  return ondcItemId;
+};
+
+/**
+ * Assign ONDC item IDs to many products and variations at once, e.g. before listing a catalog
+ * @param {Array} refs - Objects with productId and optional variationId
+ * @returns {number} Number of newly assigned IDs
+ */
+const assignOndcItemIds = (refs) => {
+  const entries = {};
+
+  refs.forEach(({ productId, variationId }) => {
+    const ondcItemId = buildOndcItemId(productId, variationId);
+    const key = buildStoreKey(ondcItemId);
+    if (!entries[key] && !findRecord(ondcItemId)) {
+      entries[key] = buildRecord(productId, variationId);
+    }
+  });
+
+  return itemStore.setMany(entries);
+};
+
+// Catalogs used to list simple products under their bare WooCommerce ID, which buyer apps may still have cached
+const LEGACY_ITEM_ID_PATTERN = /^\d+$/;
+
+/**
+ * Resolve an ONDC item ID to the current provider's WooCommerce product and variation it was assigned to
+ * A bare product ID from an earlier catalog resolves like the I{productId} ID the product is listed under now.
+ * @param {string} ondcItemId - ONDC item ID
+ * @returns {Object|null} Product and variation IDs (variationId is null for simple products), or null if unknown
+ */
+const resolveOndcItemId = (ondcItemId) => {
+  const legacy = LEGACY_ITEM_ID_PATTERN.test(String(ondcItemId || ''));
+  const record = ondcItemId
+    ? findRecord(ondcItemId) || (legacy ? findRecord(buildOndcItemId(ondcItemId)) : null)
+    : null;
+
+  if (!record) {
+    return null;
+  }
+
+  return {
+    productId: record.product_id,
+    variationId: record.variation_id
+  };
+};
+
+/**
+ * Get the ONDC item ID of a WooCommerce order line item
+ * @param {Object} lineItem - WooCommerce line item
+ * @returns {string} ONDC item ID
+ */
+const getLineItemOndcId = (lineItem) => {
+  return lineItem.meta_data?.find(meta => meta.key === 'ondc_item_id')?.value ||
+    getOndcItemId(lineItem.product_id, lineItem.variation_id);
+};
+
+module.exports = {
+  getOndcItemId,
+  assignOndcItemIds,
+  resolveOndcItemId,
+  getLineItemOndcId
+};
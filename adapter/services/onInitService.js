@@ -3,6 +3,8 @@ const logger = require('../utils/logger');
 const config = require('../utils/config');
 const { ApiError } = require('../utils/errorHandler');
 const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const transactionStore = require('../utils/transactionStore');
+const { getCurrentProvider } = require('../utils/providerRegistry');
 
 /**
  * Send on_init callback to BAP (Buyer App)
@@ -38,6 +40,8 @@ const sendOnInitCallback = async (ondcResponse) => {
       statusCode: response.status
     });
     
+    await transactionStore.recordMessage(ondcResponse, 'sent', getCurrentProvider().id, { success: true });
+    
     // Record the callback success in the order if possible
     await recordCallbackStatus(context.transaction_id, 'on_init', true);
     
@@ -53,6 +57,11 @@ const sendOnInitCallback = async (ondcResponse) => {
       stack: error.stack
     });
     
+    await transactionStore.recordMessage(ondcResponse, 'sent', getCurrentProvider().id, {
+      success: false,
+      error: error.message
+    });
+    
     // Record the callback failure in the order
     await recordCallbackStatus(context.transaction_id, 'on_init', false, error.message);
     
@@ -70,20 +79,16 @@ const sendOnInitCallback = async (ondcResponse) => {
  */
 const recordCallbackStatus = async (transactionId, callbackType, success, errorMessage = '') => {
   try {
-    // Find the order by transaction ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
+    // Find the init draft of the transaction
+    const orderId = (await transactionStore.getTransaction(transactionId))?.init_order_id;
     
-    if (!orders || orders.length === 0) {
+    if (!orderId) {
       logger.warn('Could not find order for transaction ID when recording callback status', {
         transactionId, callbackType
       });
       return;
     }
     
-    const order = orders[0];
     const timestamp = new Date().toISOString();
     
     // Add callback status to order meta_data
@@ -106,11 +111,11 @@ const recordCallbackStatus = async (transactionId, callbackType, success, errorM
     }
     
     // Update the order
-    await wooCommerceAPI.updateOrder(order.id, { meta_data });
+    await wooCommerceAPI.updateOrder(orderId, { meta_data });
     
     logger.info(`Recorded ${callbackType} callback status for order`, {
       transactionId,
-      orderId: order.id,
+      orderId,
       status: success ? 'success' : 'failed'
     });
   } catch (error) {
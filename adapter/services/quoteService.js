@@ -0,0 +1,702 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const customizationService = require('./customizationService');
+const itemMappingService = require('./itemMappingService');
+const reservationService = require('./reservationService');
+
+// WooCommerce stores ISO 3166-1 alpha-2 codes, ONDC addresses use alpha-3
+const COUNTRY_CODES = {
+  IND: 'IN'
+};
+
+/**
+ * Compute the quote for an ONDC cart.
+ * Select, init and confirm all price through here so the same cart always yields the same quote.
+ * @param {Object} order - ONDC order with items and fulfillments
+ * @param {string} [transactionId] - ONDC transaction ID, so the stock it has reserved counts as available to it
+ * @returns {Promise<Object>} Quote, resolved lines, fulfillment ID and ONDC error (if any)
+ */
+const computeQuote = async (order, transactionId) => {
+  // Lookups are cached per computation so a cart with many items doesn't refetch zones and rates
+  const cache = {
+    taxRates: {},
+    shippingZones: null,
+    products: {}
+  };
+
+  const fulfillmentId = order.fulfillments?.[0]?.id || 'F1';
+  const destination = getDestination(order.fulfillments?.[0]);
+
+  // Customizations are charged as lines of their own, next to the item they customize
+  const lines = [];
+  for (const item of order.items) {
+    lines.push(isCustomizationItem(item) ? await resolveCustomization(item, cache) : await resolveItem(item, transactionId));
+  }
+
+  for (const line of lines) {
+    const taxRate = line.taxable ? await getTaxRate(line.taxClass, destination, cache) : 0;
+    line.tax = roundAmount(line.unitPrice * line.count * taxRate / 100);
+  }
+
+  const itemsTotal = lines.reduce((sum, line) => sum + line.unitPrice * line.count, 0);
+  const hasItems = lines.some(line => line.count > 0);
+
+  // Nothing to ship means no delivery or packing charge
+  const deliveryCharge = hasItems ? await getDeliveryCharge(destination, itemsTotal, cache) : 0;
+  const packingCharge = hasItems ? config.quote.packingCharge : 0;
+
+  const quote = assembleQuote(lines, fulfillmentId, deliveryCharge, packingCharge);
+
+  logger.debug('Computed quote', {
+    itemCount: lines.length,
+    total: quote.price.value,
+    deliveryCharge,
+    destination
+  });
+
+  return {
+    quote,
+    lines,
+    fulfillmentId,
+    error: buildQuoteError(lines)
+  };
+};
+
+/**
+ * Check whether an ONDC item is a customization of another item
+ * @param {Object} item - ONDC item
+ * @returns {boolean} Whether the item is a customization
+ */
+const isCustomizationItem = (item) => {
+  return Boolean(item.tags?.some(tag =>
+    tag.code === 'type' &&
+    tag.list?.some(listItem => listItem.code === 'type' && listItem.value === 'customization')
+  ));
+};
+
+/**
+ * Extract the delivery destination from an ONDC fulfillment
+ * @param {Object} fulfillment - ONDC fulfillment
+ * @returns {Object} Destination with country and postcode
+ */
+const getDestination = (fulfillment) => {
+  const address = fulfillment?.end?.location?.address || {};
+  const country = address.country || config.ondc.country;
+
+  return {
+    country: COUNTRY_CODES[country] || country,
+    postcode: address.area_code || ''
+  };
+};
+
+/**
+ * Resolve an ONDC item to live WooCommerce price and stock, less what other transactions have reserved
+ * @param {Object} item - ONDC item
+ * @param {string} [transactionId] - ONDC transaction ID
+ * @returns {Promise<Object>} Resolved quote line
+ */
+const resolveItem = async (item, transactionId) => {
+  const requestedCount = item.quantity.count;
+  const { productId, variationId } = itemMappingService.resolveOndcItemId(item.id) || {};
+
+  const line = {
+    itemId: item.id,
+    parentItemId: item.parent_item_id || null,
+    locationId: item.location_id,
+    productId: productId || null,
+    variationId: variationId || null,
+    title: item.id,
+    requestedCount,
+    count: 0,
+    stock: 0,
+    stockTracked: false,
+    available: 0,
+    maximum: 0,
+    unitPrice: 0,
+    taxable: false,
+    taxClass: '',
+    tax: 0,
+    error: null
+  };
+
+  if (!productId) {
+    return { ...line, error: '30004' };
+  }
+
+  let product;
+  try {
+    product = await wooCommerceAPI.getProductById(productId);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { ...line, error: '30004' };
+    }
+    throw error;
+  }
+
+  // Variations carry their own price, stock and tax class, so read those instead of the parent's
+  let source = product;
+  let title = product.name;
+  if (variationId) {
+    const variations = await wooCommerceAPI.getProductVariations(productId);
+    source = variations.find(variation => variation.id === variationId);
+
+    if (!source) {
+      return { ...line, title, error: '30004' };
+    }
+
+    const attributes = (source.attributes || []).map(attribute => attribute.option).join(', ');
+    title = attributes ? `${product.name} - ${attributes}` : product.name;
+  } else if (product.type === 'variable') {
+    // A variable parent can't be bought on its own, a variation has to be selected
+    return { ...line, title, error: '40002' };
+  }
+
+  const stock = getAvailableCount(source);
+  const stockTracked = isStockTracked(source);
+  const available = stockTracked
+    ? Math.max(0, stock - reservationService.getReservedCount(productId, variationId, transactionId))
+    : stock;
+  const maximum = Math.min(available, config.quote.maxOrderQuantity);
+  const count = Math.min(requestedCount, maximum);
+
+  // Variations report tax_class 'parent' when they inherit it
+  const taxClass = source.tax_class === 'parent' ? product.tax_class : source.tax_class;
+
+  return {
+    ...line,
+    title,
+    count,
+    stock,
+    stockTracked,
+    available,
+    maximum,
+    unitPrice: parseFloat(source.price) || 0,
+    taxable: source.tax_status === 'taxable',
+    taxClass: taxClass || '',
+    error: count < requestedCount ? '40002' : null
+  };
+};
+
+/**
+ * Get the purchasable stock count for a product or variation
+ * @param {Object} source - WooCommerce product or variation
+ * @returns {number} Available count
+ */
+const getAvailableCount = (source) => {
+  if (source.purchasable === false || source.stock_status === 'outofstock') {
+    return 0;
+  }
+
+  if (isStockTracked(source)) {
+    return Math.max(0, parseInt(source.stock_quantity));
+  }
+
+  // Stock isn't tracked, so anything up to the per-order limit can be sold
+  return config.quote.maxOrderQuantity;
+};
+
+/**
+ * Check whether WooCommerce counts the stock of a product or variation
+ * @param {Object} source - WooCommerce product or variation
+ * @returns {boolean} Whether it has a managed stock quantity
+ */
+const isStockTracked = (source) => {
+  return Boolean(source.manage_stock) && source.stock_quantity !== null && source.stock_quantity !== undefined;
+};
+
+/**
+ * Resolve an ONDC customization item to the price of its WooCommerce product add-on option
+ * @param {Object} item - ONDC customization item
+ * @param {Object} cache - Per-computation lookup cache
+ * @returns {Promise<Object>} Resolved quote line
+ */
+const resolveCustomization = async (item, cache) => {
+  const requestedCount = item.quantity.count;
+  const parsed = customizationService.parseCustomizationId(item.id);
+
+  const line = {
+    itemId: item.id,
+    parentItemId: item.parent_item_id || null,
+    customizationGroupId: item.tags?.find(tag => tag.code === 'parent')
+      ?.list?.find(listItem => listItem.code === 'id')?.value || null,
+    locationId: item.location_id,
+    title: item.id,
+    requestedCount,
+    count: 0,
+    available: 0,
+    maximum: 0,
+    unitPrice: 0,
+    taxable: false,
+    taxClass: '',
+    tax: 0,
+    error: null
+  };
+
+  if (!parsed) {
+    return { ...line, error: '30004' };
+  }
+
+  try {
+    if (!cache.products[parsed.productId]) {
+      cache.products[parsed.productId] = await wooCommerceAPI.getProductById(parsed.productId);
+    }
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { ...line, error: '30004' };
+    }
+    throw error;
+  }
+
+  const product = cache.products[parsed.productId];
+  const customization = customizationService.findCustomization(product, item.id);
+
+  if (!customization) {
+    return { ...line, error: '30004' };
+  }
+
+  // Add-ons aren't stocked, they're taxed like the product they customize
+  const maximum = config.quote.maxOrderQuantity;
+  const count = Math.min(requestedCount, maximum);
+
+  return {
+    ...line,
+    title: customization.option.label || item.id,
+    count,
+    available: maximum,
+    maximum,
+    unitPrice: customizationService.getOptionPrice(product, customization.option),
+    taxable: product.tax_status === 'taxable',
+    taxClass: product.tax_class || '',
+    error: count < requestedCount ? '40002' : null
+  };
+};
+
+/**
+ * Get the tax rate percentage for a WooCommerce tax class at the destination
+ * @param {string} taxClass - WooCommerce tax class slug ('' is the standard class)
+ * @param {Object} destination - Delivery destination
+ * @param {Object} cache - Per-computation lookup cache
+ * @returns {Promise<number>} Tax rate percentage
+ */
+const getTaxRate = async (taxClass, destination, cache) => {
+  const classSlug = taxClass || 'standard';
+
+  try {
+    if (!cache.taxRates[classSlug]) {
+      cache.taxRates[classSlug] = await wooCommerceAPI.getTaxRates({
+        class: classSlug,
+        per_page: 100
+      });
+    }
+
+    // WooCommerce applies the first matching rate in priority order
+    const rate = cache.taxRates[classSlug].find(taxRate =>
+      (!taxRate.country || taxRate.country === destination.country) &&
+      (!taxRate.postcodes?.length || taxRate.postcodes.some(code => matchesPostcode(code, destination.postcode)))
+    );
+
+    return rate ? parseFloat(rate.rate) : config.quote.taxRate;
+  } catch (error) {
+    logger.warn('Error reading tax rates, using configured rate', {
+      error: error.message,
+      taxClass: classSlug
+    });
+    return config.quote.taxRate;
+  }
+};
+
+/**
+ * Get the delivery charge for the destination from WooCommerce shipping zones
+ * @param {Object} destination - Delivery destination
+ * @param {number} itemsTotal - Total value of the items (for free shipping thresholds)
+ * @param {Object} cache - Per-computation lookup cache
+ * @returns {Promise<number>} Delivery charge
+ */
+const getDeliveryCharge = async (destination, itemsTotal, cache) => {
+  try {
+    const zone = await findShippingZone(destination, cache);
+
+    if (!zone) {
+      return config.quote.deliveryCharge;
+    }
+
+    const methods = (await wooCommerceAPI.getShippingZoneMethods(zone.id))
+      .filter(method => method.enabled);
+
+    const freeShipping = methods.find(method =>
+      method.method_id === 'free_shipping' &&
+      itemsTotal >= (parseFloat(method.settings?.min_amount?.value) || 0)
+    );
+
+    if (freeShipping) {
+      return 0;
+    }
+
+    const flatRate = methods.find(method => method.method_id === 'flat_rate');
+    if (flatRate) {
+      return parseFloat(flatRate.settings?.cost?.value) || 0;
+    }
+
+    return config.quote.deliveryCharge;
+  } catch (error) {
+    logger.warn('Error reading shipping zones, using configured delivery charge', {
+      error: error.message,
+      destination
+    });
+    return config.quote.deliveryCharge;
+  }
+};
+
+/**
+ * Find the WooCommerce shipping zone covering the destination
+ * @param {Object} destination - Delivery destination
+ * @param {Object} cache - Per-computation lookup cache
+ * @returns {Promise<Object|null>} Matching shipping zone or null
+ */
+const findShippingZone = async (destination, cache) => {
+  if (!cache.shippingZones) {
+    const zones = await wooCommerceAPI.getShippingZones();
+
+    // Zone 0 is "Locations not covered by your other zones" and has no locations of its own
+    cache.shippingZones = [];
+    for (const zone of zones.filter(zone => zone.id !== 0).sort((a, b) => a.order - b.order)) {
+      cache.shippingZones.push({
+        ...zone,
+        locations: await wooCommerceAPI.getShippingZoneLocations(zone.id)
+      });
+    }
+  }
+
+  const postcodeZone = cache.shippingZones.find(zone =>
+    zone.locations.some(location =>
+      location.type === 'postcode' && matchesPostcode(location.code, destination.postcode)
+    )
+  );
+
+  if (postcodeZone) {
+    return postcodeZone;
+  }
+
+  const countryZone = cache.shippingZones.find(zone =>
+    zone.locations.some(location =>
+      (location.type === 'country' && location.code === destination.country) ||
+      (location.type === 'state' && location.code.startsWith(`${destination.country}:`))
+    )
+  );
+
+  return countryZone || null;
+};
+
+/**
+ * Match a postcode against a WooCommerce postcode rule (exact, `560*` wildcard or `560001...560099` range)
+ * @param {string} rule - WooCommerce postcode rule
+ * @param {string} postcode - Destination postcode
+ * @returns {boolean} Whether the postcode matches
+ */
+const matchesPostcode = (rule, postcode) => {
+  if (!rule || !postcode) {
+    return false;
+  }
+
+  if (rule.includes('...')) {
+    const [start, end] = rule.split('...').map(value => parseInt(value));
+    const code = parseInt(postcode);
+    return code >= start && code <= end;
+  }
+
+  if (rule.endsWith('*')) {
+    return postcode.startsWith(rule.slice(0, -1));
+  }
+
+  return rule === postcode;
+};
+
+/**
+ * Assemble the ONDC quote object from resolved lines and charges
+ * @param {Array} lines - Resolved quote lines
+ * @param {string} fulfillmentId - Fulfillment ID for delivery and packing charges
+ * @param {number} deliveryCharge - Delivery charge
+ * @param {number} packingCharge - Packing charge
+ * @returns {Object} ONDC quote object
+ */
+const assembleQuote = (lines, fulfillmentId, deliveryCharge, packingCharge) => {
+  const currency = config.quote.currency;
+  const breakup = [];
+  let total = 0;
+
+  lines.forEach(line => {
+    const itemTotal = line.unitPrice * line.count;
+
+    breakup.push({
+      '@ondc/org/item_id': line.itemId,
+      '@ondc/org/item_quantity': {
+        count: line.count
+      },
+      title: line.title,
+      '@ondc/org/title_type': 'item',
+      price: {
+        currency,
+        value: itemTotal.toFixed(2)
+      },
+      item: {
+        ...(line.parentItemId && { parent_item_id: line.parentItemId }),
+        price: {
+          currency,
+          value: line.unitPrice.toFixed(2)
+        },
+        quantity: {
+          available: {
+            count: String(line.available)
+          },
+          maximum: {
+            count: String(line.maximum)
+          }
+        },
+        ...(line.customizationGroupId && {
+          tags: [
+            {
+              code: 'type',
+              list: [{ code: 'type', value: 'customization' }]
+            },
+            {
+              code: 'parent',
+              list: [{ code: 'id', value: line.customizationGroupId }]
+            }
+          ]
+        })
+      }
+    });
+
+    breakup.push({
+      '@ondc/org/item_id': line.itemId,
+      title: 'Tax',
+      '@ondc/org/title_type': 'tax',
+      price: {
+        currency,
+        value: line.tax.toFixed(2)
+      }
+    });
+
+    total += itemTotal + line.tax;
+  });
+
+  breakup.push({
+    '@ondc/org/item_id': fulfillmentId,
+    title: 'Delivery charges',
+    '@ondc/org/title_type': 'delivery',
+    price: {
+      currency,
+      value: deliveryCharge.toFixed(2)
+    }
+  });
+
+  breakup.push({
+    '@ondc/org/item_id': fulfillmentId,
+    title: 'Packing charges',
+    '@ondc/org/title_type': 'packing',
+    price: {
+      currency,
+      value: packingCharge.toFixed(2)
+    }
+  });
+
+  total += deliveryCharge + packingCharge;
+
+  return {
+    price: {
+      currency,
+      value: total.toFixed(2)
+    },
+    breakup,
+    ttl: config.quote.ttl
+  };
+};
+
+/**
+ * Build ONDC error object for items that could not be fully supplied
+ * @param {Array} lines - Resolved quote lines
+ * @returns {Object|null} ONDC error object or null when every item is available
+ */
+const buildQuoteError = (lines) => {
+  const itemErrors = lines
+    .filter(line => line.error)
+    .map(line => ({ item_id: line.itemId, error: line.error }));
+
+  if (itemErrors.length === 0) {
+    return null;
+  }
+
+  // An unknown item takes precedence over stock shortfalls
+  const code = itemErrors.some(itemError => itemError.error === '30004') ? '30004' : '40002';
+
+  return {
+    type: 'DOMAIN-ERROR',
+    code,
+    message: JSON.stringify(itemErrors)
+  };
+};
+
+/**
+ * Round a monetary amount to two decimal places
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Compare two quotes on total and per-line prices and quantities
+ * @param {Object} expected - Quote we sent
+ * @param {Object} received - Quote echoed back by the buyer app
+ * @returns {boolean} Whether the quotes agree
+ */
+const quotesMatch = (expected, received) => {
+  if (!expected || !received) {
+    return false;
+  }
+
+  const toAmount = (price) => (parseFloat(price?.value) || 0).toFixed(2);
+  const toLines = (quote) => (quote.breakup || [])
+    .map(entry => [
+      entry['@ondc/org/item_id'],
+      entry['@ondc/org/title_type'],
+      entry['@ondc/org/item_quantity']?.count ?? '',
+      toAmount(entry.price)
+    ].join('|'))
+    .sort();
+
+  if (toAmount(expected.price) !== toAmount(received.price)) {
+    return false;
+  }
+
+  const expectedLines = toLines(expected);
+  const receivedLines = toLines(received);
+
+  return expectedLines.length === receivedLines.length &&
+    expectedLines.every((line, index) => line === receivedLines[index]);
+};
+
+/**
+ * Build order meta data entry for storing a quote on a WooCommerce order
+ * @param {Object} quote - ONDC quote
+ * @returns {Object} WooCommerce meta data entry
+ */
+const buildQuoteMeta = (quote) => ({
+  key: 'ondc_quote',
+  value: JSON.stringify(quote)
+});
+
+/**
+ * Get the quote stored on a WooCommerce order
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Object|null} Stored ONDC quote or null
+ */
+const getStoredQuote = (wooOrder) => {
+  const quoteMeta = wooOrder.meta_data?.find(meta => meta.key === 'ondc_quote');
+
+  if (!quoteMeta) {
+    return null;
+  }
+
+  try {
+    return typeof quoteMeta.value === 'string' ? JSON.parse(quoteMeta.value) : quoteMeta.value;
+  } catch (error) {
+    logger.warn('Error parsing stored quote', {
+      orderId: wooOrder.id,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Get the quote for a WooCommerce order, rebuilding it from order totals when none was stored
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Object} ONDC quote object
+ */
+const getOrderQuote = (wooOrder) => {
+  const storedQuote = getStoredQuote(wooOrder);
+  if (storedQuote) {
+    return storedQuote;
+  }
+
+  // Orders created outside the ONDC flow have no stored quote, so mirror WooCommerce's own totals
+  const currency = config.quote.currency;
+  const fulfillmentId = wooOrder.shipping_lines?.[0]?.meta_data
+    ?.find(meta => meta.key === 'ondc_fulfillment_id')?.value || 'F1';
+
+  const lines = wooOrder.line_items.map(item => ({
+    itemId: itemMappingService.getLineItemOndcId(item),
+    title: item.name,
+    count: item.quantity,
+    available: item.quantity,
+    maximum: item.quantity,
+    unitPrice: parseFloat(item.price) || 0,
+    tax: parseFloat(item.total_tax) || 0
+  }));
+
+  const deliveryCharge = (wooOrder.shipping_lines || [])
+    .reduce((sum, shipping) => sum + (parseFloat(shipping.total) || 0), 0);
+  const packingCharge = (wooOrder.fee_lines || [])
+    .filter(fee => fee.name === 'Packing charges')
+    .reduce((sum, fee) => sum + (parseFloat(fee.total) || 0), 0);
+
+  const quote = assembleQuote(lines, fulfillmentId, deliveryCharge, packingCharge);
+
+  return {
+    ...quote,
+    price: {
+      currency,
+      value: (parseFloat(wooOrder.total) || 0).toFixed(2)
+    }
+  };
+};
+
+/**
+ * Get what a WooCommerce line item should cost for a main ONDC item, including its customizations
+ * @param {Object} quote - ONDC quote
+ * @param {Object} mainItem - ONDC main item
+ * @returns {string} Line total
+ */
+const getItemTotal = (quote, mainItem) => {
+  const parentItemId = mainItem.parent_item_id || null;
+
+  const total = (quote?.breakup || [])
+    .filter(entry => entry['@ondc/org/title_type'] === 'item')
+    .filter(entry => {
+      if (isCustomizationItem(entry.item || {})) {
+        return Boolean(parentItemId) && entry.item.parent_item_id === parentItemId;
+      }
+
+      return entry['@ondc/org/item_id'] === mainItem.id && (entry.item?.parent_item_id || null) === parentItemId;
+    })
+    .reduce((sum, entry) => sum + (parseFloat(entry.price?.value) || 0), 0);
+
+  return total.toFixed(2);
+};
+
+/**
+ * Get a charge from a quote breakup by title type
+ * @param {Object} quote - ONDC quote
+ * @param {string} titleType - Breakup title type (e.g. 'delivery', 'packing')
+ * @returns {string} Charge amount
+ */
+const getQuoteCharge = (quote, titleType) => {
+  const total = (quote?.breakup || [])
+    .filter(entry => entry['@ondc/org/title_type'] === titleType)
+    .reduce((sum, entry) => sum + (parseFloat(entry.price?.value) || 0), 0);
+
+  return total.toFixed(2);
+};
+
+module.exports = {
+  computeQuote,
+  getAvailableCount,
+  isCustomizationItem,
+  quotesMatch,
+  buildQuoteMeta,
+  getStoredQuote,
+  getOrderQuote,
+  getItemTotal,
+  getQuoteCharge
+};
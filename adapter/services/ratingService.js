@@ -0,0 +1,211 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { ApiError } = require('../utils/errorHandler');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const confirmService = require('./confirmService');
+const statusService = require('./statusService');
+const updateService = require('./updateService');
+const itemMappingService = require('./itemMappingService');
+const transactionService = require('./transactionService');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+
+/**
+ * Find the confirmed order a rating request belongs to and check every rated entity is part of it
+ * @param {Object} request - ONDC rating request payload
+ * @returns {Promise<Object>} WooCommerce order
+ * @throws {ApiError} If the order or a rated entity is unknown
+ */
+const validateRating = async (request) => {
+  const { context, message } = request;
+
+  // Only the confirmed order can be rated, not the init draft, and only by the buyer app that placed it
+  const order = await transactionService.findOrderByTransactionId(context.transaction_id);
+
+  if (!order || !statusService.isBuyerOrder(order, context)) {
+    // 30018: invalid order
+    throw new ApiError(`No confirmed order for transaction ${context.transaction_id}`, 404, '30018');
+  }
+
+  const findMeta = (key) => order.meta_data.find(meta => meta.key === key)?.value;
+  const fulfillmentIds = confirmService.buildFulfillmentsArray(order).map(fulfillment => fulfillment.id);
+  const providerIds = [findMeta('ondc_provider_id'), context.bpp_id].filter(Boolean);
+
+  message.ratings.forEach(rating => {
+    switch (rating.rating_category) {
+      case 'Order':
+        if (rating.id !== findMeta('ondc_order_id')) {
+          throw new ApiError(`Order ${rating.id} not found`, 404, '30018');
+        }
+        break;
+      case 'Item':
+        if (!updateService.findLineItem(order, rating.id)) {
+          // 30004: item not found
+          throw new ApiError(`Item ${rating.id} is not part of the order`, 400, '30004');
+        }
+        break;
+      case 'Fulfillment':
+        if (!fulfillmentIds.includes(rating.id)) {
+          throw new ApiError(`Fulfillment ${rating.id} is not part of the order`, 400, '30018');
+        }
+        break;
+      case 'Provider':
+        if (!providerIds.includes(rating.id)) {
+          // 30001: provider not found
+          throw new ApiError(`Provider ${rating.id} not found`, 400, '30001');
+        }
+        break;
+    }
+  });
+
+  return order;
+};
+
+/**
+ * Store ratings and build the on_rating response
+ * @param {Object} request - ONDC rating request payload
+ * @param {Object} order - WooCommerce order the ratings belong to
+ * @returns {Promise<Object>} ONDC on_rating response
+ */
+const processRating = async (request, order) => {
+  const { context, message } = request;
+  const ratedAt = new Date().toISOString();
+  const meta_data = [];
+
+  for (const rating of message.ratings) {
+    const metaKey = `ondc_rating_${rating.rating_category.toLowerCase()}_${rating.id}`;
+    const record = {
+      value: rating.value,
+      feedback: rating.feedback_form || [],
+      rated_at: ratedAt
+    };
+
+    if (rating.rating_category === 'Item') {
+      const previous = order.meta_data.find(meta => meta.key === metaKey)?.value;
+      const previousReviewId = previous ? JSON.parse(previous).review_id : null;
+      record.review_id = await saveProductReview(order, rating, previousReviewId);
+    }
+
+    meta_data.push({ key: metaKey, value: JSON.stringify(record) });
+  }
+
+  await wooCommerceAPI.updateOrder(order.id, { meta_data });
+
+  logger.info('Ratings stored for order', {
+    orderId: order.id,
+    transactionId: context.transaction_id,
+    ratings: message.ratings.map(rating => `${rating.rating_category}:${rating.id}=${rating.value}`)
+  });
+
+  return {
+    context: {
+      ...context,
+      action: 'on_rating',
+      timestamp: new Date().toISOString()
+    },
+    message: buildRatingAck(message.ratings)
+  };
+};
+
+/**
+ * Store an item rating as a WooCommerce product review, replacing the buyer's earlier review if any
+ * @param {Object} order - WooCommerce order
+ * @param {Object} rating - ONDC item rating
+ * @param {number|null} previousReviewId - Review created for an earlier rating of the same item
+ * @returns {Promise<number>} WooCommerce review ID
+ */
+const saveProductReview = async (order, rating, previousReviewId) => {
+  const answers = (rating.feedback_form || [])
+    .filter(entry => entry.answer)
+    .map(entry => `${entry.question}: ${entry.answer}`);
+
+  const reviewData = {
+    review: answers.length > 0 ? answers.join('\n') : `Rated ${rating.value}/5 on ONDC`,
+    rating: parseInt(rating.value),
+    verified: true
+  };
+
+  if (previousReviewId) {
+    const review = await wooCommerceAPI.updateProductReview(previousReviewId, reviewData);
+    return review.id;
+  }
+
+  // Reviews belong to the parent product, variations share its reviews
+  const { productId } = itemMappingService.resolveOndcItemId(rating.id) || {};
+  const lineItem = updateService.findLineItem(order, rating.id);
+
+  const review = await wooCommerceAPI.createProductReview({
+    ...reviewData,
+    product_id: productId || lineItem.product_id,
+    reviewer: `${order.billing.first_name} ${order.billing.last_name}`.trim() || 'ONDC buyer',
+    reviewer_email: order.billing.email || getCurrentProvider().store.email
+  });
+
+  return review.id;
+};
+
+/**
+ * Build on_rating message, asking for feedback on low ratings that came without any
+ * @param {Array} ratings - ONDC ratings
+ * @returns {Object} ONDC on_rating message
+ */
+const buildRatingAck = (ratings) => {
+  const needsFeedback = Boolean(config.rating.feedbackFormUrl) && ratings.some(rating =>
+    parseInt(rating.value) <= config.rating.feedbackThreshold &&
+    !(rating.feedback_form && rating.feedback_form.length > 0)
+  );
+
+  return {
+    ...(needsFeedback && {
+      feedback_form: {
+        form: {
+          url: config.rating.feedbackFormUrl,
+          mime_type: 'text/html'
+        },
+        required: false
+      }
+    }),
+    feedback_ack: true,
+    rating_ack: true
+  };
+};
+
+/**
+ * Send on_rating callback to BAP
+ * @param {Object} ondcResponse - ONDC on_rating response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOnRatingCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+
+  try {
+    logger.info('Sending on_rating callback to BAP', {
+      transactionId,
+      feedbackForm: Boolean(ondcResponse.message.feedback_form),
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_rating`,
+      ondcResponse,
+      transactionId,
+      'on_rating'
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error('Error sending on_rating callback', {
+      transactionId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  validateRating,
+  processRating,
+  sendOnRatingCallback
+};
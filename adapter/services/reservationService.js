@@ -0,0 +1,179 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { ApiError } = require('../utils/errorHandler');
+const { createJsonStore } = require('../utils/jsonStore');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+const { parseDuration } = require('../utils/duration');
+
+// Stock held for orders between init and confirm, keyed by provider and transaction. WooCommerce only
+// reduces stock once an order is placed, so without these two buyers could both confirm the last unit.
+const reservationStore = createJsonStore('stock_reservations');
+
+/**
+ * Build the store key of a transaction's reservation for the current provider
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {string} Store key
+ */
+const buildReservationKey = (transactionId) => `${getCurrentProvider().id}/${transactionId}`;
+
+/**
+ * Check whether a reservation still holds stock
+ * @param {Object} reservation - Reservation record
+ * @param {number} [now] - Time to check at, in ms
+ * @returns {boolean} Whether the reservation hasn't expired
+ */
+const isActive = (reservation, now = Date.now()) => Date.parse(reservation.expires_at) > now;
+
+/**
+ * Get how many units of a product or variation the current provider's other transactions have reserved
+ * @param {number} productId - WooCommerce product ID
+ * @param {number} [variationId] - WooCommerce variation ID
+ * @param {string} [transactionId] - Transaction whose own reservation doesn't count against it
+ * @returns {number} Reserved count
+ */
+const getReservedCount = (productId, variationId, transactionId) => {
+  const providerId = getCurrentProvider().id;
+
+  return reservationStore
+    .list(reservation => reservation.provider_id === providerId &&
+      reservation.transaction_id !== transactionId &&
+      isActive(reservation))
+    .flatMap(reservation => reservation.items)
+    .filter(item => item.product_id === productId && (item.variation_id || null) === (variationId || null))
+    .reduce((sum, item) => sum + item.count, 0);
+};
+
+/**
+ * Work out how long to hold stock: the configured window, else the quote's ttl
+ * Not the request's ttl, which only bounds the reply to init (often PT30S) and would let the hold lapse
+ * long before the buyer confirms.
+ * @returns {number} Hold duration in ms
+ */
+const getHoldDuration = () => {
+  return parseDuration(config.inventory.reservationTtl || config.quote.ttl) ||
+    parseDuration(config.quote.ttl);
+};
+
+/**
+ * Hold stock for a transaction's items, replacing anything it held before
+ * Runs without awaiting between the stock check and the write, so concurrent inits can't both take the
+ * last unit. Lines come from quoteService.computeQuote; only stock-tracked ones are held.
+ * @param {string} transactionId - ONDC transaction ID
+ * @param {Array} lines - Resolved quote lines
+ * @param {number} holdMs - How long to hold the stock, in ms
+ * @returns {Object} Reservation record
+ * @throws {ApiError} 40002 when another transaction reserved the stock in the meantime
+ */
+const reserve = (transactionId, lines, holdMs) => {
+  const provider = getCurrentProvider();
+  const items = lines
+    .filter(line => line.stockTracked && line.count > 0)
+    .map(line => ({
+      ondc_item_id: line.itemId,
+      product_id: line.productId,
+      variation_id: line.variationId || null,
+      count: line.count
+    }));
+
+  const shortItems = items.filter(item => {
+    const line = lines.find(candidate => candidate.itemId === item.ondc_item_id);
+    return line.stock - getReservedCount(item.product_id, item.variation_id, transactionId) < item.count;
+  });
+
+  if (shortItems.length > 0) {
+    throw new ApiError(
+      JSON.stringify(shortItems.map(item => ({ item_id: item.ondc_item_id, error: '40002' }))),
+      400,
+      '40002'
+    );
+  }
+
+  purgeExpired();
+
+  const now = Date.now();
+  const reservation = {
+    provider_id: provider.id,
+    transaction_id: transactionId,
+    items,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + holdMs).toISOString()
+  };
+
+  reservationStore.set(buildReservationKey(transactionId), reservation);
+  logger.info('Reserved stock', {
+    transactionId,
+    providerId: provider.id,
+    items: items.length,
+    expiresAt: reservation.expires_at
+  });
+
+  return reservation;
+};
+
+/**
+ * Get a transaction's reservation while it still holds stock
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Object|null} Reservation record, or null if there is none or it lapsed
+ */
+const getActiveReservation = (transactionId) => {
+  const reservation = reservationStore.get(buildReservationKey(transactionId));
+  return reservation && isActive(reservation) ? reservation : null;
+};
+
+/**
+ * Check whether a transaction's reservation still covers every stock-tracked line of an order
+ * @param {string} transactionId - ONDC transaction ID
+ * @param {Array} lines - Resolved quote lines of the order
+ * @returns {boolean} Whether the order's stock is held
+ */
+const coversLines = (transactionId, lines) => {
+  const reservation = getActiveReservation(transactionId);
+
+  if (!reservation) {
+    return false;
+  }
+
+  return lines
+    .filter(line => line.stockTracked)
+    .every(line => reservation.items.some(item => item.ondc_item_id === line.itemId && item.count >= line.count));
+};
+
+/**
+ * Release a transaction's reservation, once its order is placed or cancelled
+ * @param {string} transactionId - ONDC transaction ID
+ * @param {string} reason - Why the stock is released, for the log
+ * @returns {boolean} Whether a reservation was released
+ */
+const release = (transactionId, reason) => {
+  const released = reservationStore.remove(buildReservationKey(transactionId));
+
+  if (released) {
+    logger.info('Released stock reservation', { transactionId, reason });
+  }
+
+  return released;
+};
+
+/**
+ * Drop reservations that have expired, so the store doesn't grow with abandoned carts
+ * @returns {number} Number of reservations dropped
+ */
+const purgeExpired = () => {
+  const now = Date.now();
+  const expired = reservationStore.list(reservation => !isActive(reservation, now));
+
+  expired.forEach(reservation => {
+    reservationStore.remove(`${reservation.provider_id}/${reservation.transaction_id}`);
+  });
+
+  return expired.length;
+};
+
+module.exports = {
+  getHoldDuration,
+  getReservedCount,
+  reserve,
+  getActiveReservation,
+  coversLines,
+  release
+};
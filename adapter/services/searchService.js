@@ -1,66 +1,142 @@
-const axios = require("axios");
-const {
-  WOO_BASE_URL,
-  WOO_CONSUMER_KEY,
-  WOO_CONSUMER_SECRET,
-} = require("../utils/config");
-
-const searchByCity = async ({ category, city }) => {
-  const queryParams = new URLSearchParams({
-    consumer_key: WOO_CONSUMER_KEY,
-    consumer_secret: WOO_CONSUMER_SECRET,
-    city: city,
-    category: category.id,
-  });
-  const url = `${WOO_BASE_URL}/products?${queryParams.toString()}`;
-  return fetchProducts(url);
+const { getCurrentProvider } = require("../utils/providerRegistry");
+const categoryService = require("./categoryService");
+const catalogService = require("./catalogService");
+
+// Stock statuses from most to least orderable
+const STOCK_STATUS_RANK = {
+  instock: 2,
+  onbackorder: 1,
+  outofstock: 0,
 };
 
-const searchByItem = async (searchString, providerId) => {
-  const queryParams = new URLSearchParams({
-    consumer_key: WOO_CONSUMER_KEY,
-    consumer_secret: WOO_CONSUMER_SECRET,
-    search: searchString,
-  });
-  
-  // Add provider filter if provided
-  if (providerId) {
-    queryParams.append('provider', providerId);
+/**
+ * Search products by name, provider and category, any of which may be omitted
+ * @param {string} [searchString] - Item name from intent.item.descriptor.name
+ * @param {string} [providerId] - Provider from intent.provider.id
+ * @param {string} [categoryId] - ONDC category code from intent.category.id
+ * @returns {Promise<Array>} Matching WooCommerce products, most relevant first
+ */
+const searchByItem = async (searchString, providerId, categoryId) => {
+  // Each hosted provider is searched in its own context, a search for another provider finds nothing here
+  if (providerId && providerId !== getCurrentProvider().id) {
+    return [];
+  }
+
+  const params = {
+    status: "publish",
+  };
+
+  if (searchString) {
+    params.search = searchString;
   }
-  
-  const url = `${WOO_BASE_URL}/products?${queryParams.toString()}`;
-  return fetchProducts(url);
+
+  let products;
+  if (categoryId) {
+    // Narrow down to the WooCommerce categories mapped to the ONDC code, then keep the products
+    // that actually list under it (ondc_category_id meta and unmapped defaults included)
+    const wooCategoryIds = await categoryService.getWooCategoryIds(categoryId);
+    if (wooCategoryIds.length > 0) {
+      params.category = wooCategoryIds.join(",");
+    }
+
+    products = (await catalogService.fetchAllProducts(params))
+      .filter((product) => categoryService.getProductCategory(product) === categoryId);
+  } else {
+    products = await catalogService.fetchAllProducts(params);
+  }
+
+  return searchString ? rankProducts(products, searchString) : sortByStock(products);
 };
 
-const generateDownloadableCatalog = async () => {
-  // Simple implementation to generate a downloadable catalog
-  const queryParams = new URLSearchParams({
-    consumer_key: WOO_CONSUMER_KEY,
-    consumer_secret: WOO_CONSUMER_SECRET,
-    per_page: 100, // Get a large number of products
+/**
+ * Score how well a product matches the search, 0 meaning it doesn't match at all
+ * @param {Object} product - WooCommerce product
+ * @param {string} searchString - Search string
+ * @returns {number} Relevance score
+ */
+const scoreProduct = (product, searchString) => {
+  const query = searchString.trim().toLowerCase();
+  const terms = query.split(/\s+/).filter(Boolean);
+  const name = (product.name || "").toLowerCase();
+  const nameWords = name.split(/[^a-z0-9]+/).filter(Boolean);
+  const text = stripHtml(`${product.short_description || ""} ${product.description || ""}`).toLowerCase();
+  const labels = [...(product.tags || []), ...(product.categories || [])]
+    .map((label) => (label.name || "").toLowerCase());
+
+  let score = 0;
+
+  if (name === query) {
+    score += 100;
+  } else if (name.startsWith(query)) {
+    score += 80;
+  } else if (name.includes(query)) {
+    score += 60;
+  }
+
+  terms.forEach((term) => {
+    if (nameWords.includes(term)) {
+      score += 20;
+    } else if (name.includes(term)) {
+      score += 10;
+    }
+
+    if (labels.some((label) => label.includes(term))) {
+      score += 5;
+    }
+
+    if (text.includes(term)) {
+      score += 2;
+    }
   });
-  
-  const url = `${WOO_BASE_URL}/products?${queryParams.toString()}`;
-  const products = await fetchProducts(url);
-  
-  return {
-    catalogId: `catalog-${Date.now()}`,
-    products: products,
-    timestamp: new Date().toISOString()
-  };
+
+  if (product.sku && product.sku.toLowerCase() === query) {
+    score += 50;
+  }
+
+  return score;
 };
 
-const fetchProducts = async (url) => {
-  try {
-    const response = await axios.get(url);
-    return response.data;
-  } catch (error) {
-    throw new Error("Error fetching products from WooCommerce");
+/**
+ * Drop products that don't match the search and order the rest by relevance, then stock
+ * @param {Array} products - WooCommerce products
+ * @param {string} searchString - Search string
+ * @returns {Array} Ranked products
+ */
+const rankProducts = (products, searchString) => {
+  return products
+    .map((product) => ({ product, score: scoreProduct(product, searchString) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || compareStock(a.product, b.product))
+    .map(({ product }) => product);
+};
+
+/**
+ * Order products so those that can be ordered, and have the most stock, come first
+ * @param {Array} products - WooCommerce products
+ * @returns {Array} Sorted products
+ */
+const sortByStock = (products) => [...products].sort(compareStock);
+
+/**
+ * Compare two products by stock status, then quantity (unmanaged stock counts as plenty)
+ * @param {Object} a - WooCommerce product
+ * @param {Object} b - WooCommerce product
+ * @returns {number} Sort order
+ */
+const compareStock = (a, b) => {
+  const statusDiff = (STOCK_STATUS_RANK[b.stock_status] ?? 0) - (STOCK_STATUS_RANK[a.stock_status] ?? 0);
+  if (statusDiff !== 0) {
+    return statusDiff;
   }
+
+  const quantity = (product) => (product.manage_stock ? product.stock_quantity || 0 : Infinity);
+  const quantityDiff = quantity(b) - quantity(a);
+
+  return Number.isNaN(quantityDiff) ? 0 : quantityDiff;
 };
 
+const stripHtml = (html) => html.replace(/<[^>]*>/g, " ");
+
 module.exports = {
   searchByItem,
-  searchByCity,
-  generateDownloadableCatalog,
 };
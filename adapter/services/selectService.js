@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { ApiError } = require('../utils/errorHandler');
+const callbackHandler = require('../utils/callbackHandler');
+const quoteService = require('./quoteService');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+
+/**
+ * Process ONDC select request
+ * @param {Object} request - ONDC select request payload
+ * @returns {Promise<Object>} ONDC on_select response
+ */
+const processSelect = async (request) => {
+  const { context, message } = request;
+  const order = message.order;
+
+  try {
+    logger.info('Starting to process select request', {
+      transactionId: context.transaction_id,
+      messageId: context.message_id,
+      itemCount: order.items.length
+    });
+
+    // Price the cart against live WooCommerce stock, prices, tax and shipping
+    const { quote, lines, fulfillmentId, error } = await quoteService.computeQuote(order, context.transaction_id);
+
+    if (error) {
+      logger.warn('Select request has unavailable items', {
+        transactionId: context.transaction_id,
+        errorCode: error.code,
+        itemErrors: error.message
+      });
+    }
+
+    return {
+      context: {
+        ...context,
+        action: 'on_select',
+        timestamp: new Date().toISOString()
+      },
+      message: {
+        order: {
+          provider: order.provider,
+          items: lines.map(line => ({
+            id: line.itemId,
+            fulfillment_id: fulfillmentId,
+            ...(line.locationId && { location_id: line.locationId }),
+            ...(line.parentItemId && { parent_item_id: line.parentItemId }),
+            ...(line.customizationGroupId && {
+              tags: [
+                {
+                  code: 'type',
+                  list: [{ code: 'type', value: 'customization' }]
+                },
+                {
+                  code: 'parent',
+                  list: [{ code: 'id', value: line.customizationGroupId }]
+                }
+              ]
+            })
+          })),
+          fulfillments: buildSelectFulfillments(fulfillmentId),
+          quote
+        }
+      },
+      ...(error && { error })
+    };
+  } catch (error) {
+    logger.error('Error in select service', {
+      transactionId: context?.transaction_id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.response && error.response.data) {
+      throw new ApiError(`WooCommerce API error: ${error.response.status}`, error.response.status);
+    }
+
+    throw new ApiError(error.message, error.status || 500);
+  }
+};
+
+/**
+ * Build fulfillments array for on_select response
+ * @param {string} fulfillmentId - Fulfillment ID
+ * @returns {Array} ONDC fulfillments array
+ */
+const buildSelectFulfillments = (fulfillmentId) => {
+  return [
+    {
+      id: fulfillmentId,
+      '@ondc/org/provider_name': getCurrentProvider().store.name || 'Store',
+      tracking: config.fulfillment.trackingEnabled,
+      '@ondc/org/category': 'Immediate Delivery',
+      '@ondc/org/TAT': config.quote.fulfillmentTAT,
+      state: {
+        descriptor: {
+          code: 'Serviceable'
+        }
+      }
+    }
+  ];
+};
+
+/**
+ * Send on_select callback to BAP
+ * @param {Object} ondcResponse - ONDC on_select response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOnSelectCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+
+  try {
+    logger.info('Sending on_select callback to BAP', {
+      transactionId,
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_select`,
+      ondcResponse,
+      transactionId,
+      'on_select'
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error('Error sending on_select callback', {
+      transactionId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  processSelect,
+  sendOnSelectCallback
+};
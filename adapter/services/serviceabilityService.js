@@ -0,0 +1,153 @@
+const logger = require('../utils/logger');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+
+// ONDC RET serviceability types
+const SERVICEABILITY_TYPES = {
+  HYPERLOCAL: '10',
+  INTERCITY: '11',
+  POLYGON: '12',
+  PINCODE: '13'
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Get the current provider's locations that can deliver to the buyer's fulfillment end location
+ * @param {Object} [endLocation] - intent.fulfillment.end.location (gps, address.area_code)
+ * @returns {Array<string>} Serviceable location IDs
+ */
+const getServiceableLocationIds = (endLocation) => {
+  return getCurrentProvider().locations
+    .filter(location => isServiceable(endLocation, location))
+    .map(location => location.id);
+};
+
+/**
+ * Check whether the provider's serviceability rule covers a buyer location from one of its locations
+ * A rule that needs data the buyer didn't send (e.g. radius without gps) doesn't exclude the store.
+ * @param {Object} [endLocation] - Buyer location (gps, area_code or address.area_code)
+ * @param {Object} [location] - Provider location, defaults to the first
+ * @returns {boolean} Whether the store can serve the location
+ */
+const isServiceable = (endLocation, location = getCurrentProvider().locations[0]) => {
+  if (!endLocation) {
+    return true;
+  }
+
+  const gps = parseGps(endLocation.gps);
+  const areaCode = endLocation.area_code || endLocation.address?.area_code;
+  const { type, radiusKm, pincodes, polygon } = getCurrentProvider().serviceability;
+
+  switch (type) {
+    case SERVICEABILITY_TYPES.HYPERLOCAL:
+      return !gps || distanceKm(parseGps(location.gps), gps) <= radiusKm;
+    case SERVICEABILITY_TYPES.POLYGON:
+      return !gps || !polygon || isInPolygon(gps, JSON.parse(polygon));
+    case SERVICEABILITY_TYPES.PINCODE:
+      return !areaCode || pincodes.includes(areaCode);
+    case SERVICEABILITY_TYPES.INTERCITY:
+      return true;
+    default:
+      logger.warn('Unknown serviceability type, treating store as serviceable', { type });
+      return true;
+  }
+};
+
+/**
+ * Build the provider serviceability tags ONDC RET expects in the catalog, one per location
+ * @param {Array<string>} [locationIds] - Locations to tag, defaults to all of the provider's
+ * @returns {Array} ONDC tag groups
+ */
+const buildServiceabilityTags = (locationIds = getCurrentProvider().locations.map(location => location.id)) => {
+  const { type, category, radiusKm, pincodes, polygon } = getCurrentProvider().serviceability;
+  const [val, unit] = {
+    [SERVICEABILITY_TYPES.HYPERLOCAL]: [String(radiusKm), 'km'],
+    [SERVICEABILITY_TYPES.INTERCITY]: ['IND', 'country'],
+    [SERVICEABILITY_TYPES.POLYGON]: [polygon, 'geojson'],
+    [SERVICEABILITY_TYPES.PINCODE]: [pincodes.join(','), 'pincode']
+  }[type] || [String(radiusKm), 'km'];
+
+  return locationIds.map(locationId => ({
+    code: 'serviceability',
+    list: [
+      { code: 'location', value: locationId },
+      { code: 'category', value: category },
+      { code: 'type', value: type },
+      { code: 'val', value: val },
+      { code: 'unit', value: unit }
+    ]
+  }));
+};
+
+/**
+ * Parse an ONDC "lat,lng" string
+ * @param {string} gps - GPS string
+ * @returns {Object|null} { lat, lng } or null if missing or malformed
+ */
+const parseGps = (gps) => {
+  const [lat, lng] = (gps || '').split(',').map(value => parseFloat(value));
+
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in km
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a point lies inside a GeoJSON Polygon or MultiPolygon
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry ([lng, lat] coordinates)
+ * @returns {boolean} Whether the point is inside
+ */
+const isInPolygon = (point, geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  // Inside the outer ring and outside every hole
+  return polygons.some(([outer, ...holes]) =>
+    isInRing(point, outer) && !holes.some(hole => isInRing(point, hole))
+  );
+};
+
+/**
+ * Ray-casting test against a single ring
+ * @param {Object} point - { lat, lng }
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {boolean} Whether the point is inside the ring
+ */
+const isInRing = (point, ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+
+    const crosses = (latI > point.lat) !== (latJ > point.lat) &&
+      point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+module.exports = {
+  SERVICEABILITY_TYPES,
+  getServiceableLocationIds,
+  isServiceable,
+  buildServiceabilityTags
+};
@@ -0,0 +1,271 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const callbackHandler = require('../utils/callbackHandler');
+const confirmService = require('./confirmService');
+const transactionService = require('./transactionService');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+
+// ONDC retail fulfillment states for a forward (delivery) fulfillment, in order of progress
+const FULFILLMENT_STATES = [
+  'Pending',
+  'Packed',
+  'Agent-assigned',
+  'Order-picked-up',
+  'Out-for-delivery',
+  'Order-delivered'
+];
+
+// Fulfillment state implied by the WooCommerce order status when no explicit state is recorded
+const WOO_STATUS_FULFILLMENT_STATES = {
+  'pending': 'Pending',
+  'on-hold': 'Pending',
+  'processing': 'Pending',
+  // Custom statuses registered by common order-status/shipment plugins
+  'packed': 'Packed',
+  'shipped': 'Order-picked-up',
+  'out-for-delivery': 'Out-for-delivery',
+  'delivered': 'Order-delivered',
+  'completed': 'Order-delivered',
+  'cancelled': 'Cancelled',
+  'refunded': 'Cancelled',
+  'failed': 'Cancelled'
+};
+
+/**
+ * Process ONDC status request
+ * @param {Object} request - ONDC status request payload
+ * @returns {Promise<Object>} ONDC on_status response
+ */
+const processStatus = async (request) => {
+  const { context, message } = request;
+  const orderId = message.order_id;
+
+  logger.info('Starting to process status request', {
+    transactionId: context.transaction_id,
+    messageId: context.message_id,
+    orderId
+  });
+
+  const order = await findBuyerOrder(orderId, context);
+
+  if (!order) {
+    // 30018: invalid order
+    throw new ApiError(`Order ${orderId} not found`, 404, '30018');
+  }
+
+  return buildOnStatusResponse(order, context);
+};
+
+/**
+ * Find WooCommerce order by ONDC order ID
+ * @param {string} orderId - ONDC order ID
+ * @returns {Promise<Object|null>} WooCommerce order or null
+ */
+const findOrderByOndcId = (orderId) => transactionService.findOrderByOndcId(orderId);
+
+/**
+ * Check whether an order was placed through the buyer app making a request
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {Object} context - ONDC context of the request
+ * @returns {boolean} Whether the order's buyer app is the requester
+ */
+const isBuyerOrder = (wooOrder, context) =>
+  wooOrder.meta_data.find(meta => meta.key === 'ondc_bap_id')?.value === context.bap_id;
+
+/**
+ * Find the WooCommerce order of an ONDC order on behalf of a buyer app
+ * Orders placed through another buyer app are reported as not found, so a BAP guessing order IDs can't
+ * read another buyer's details or act on their order.
+ * @param {string} orderId - ONDC order ID
+ * @param {Object} context - ONDC context of the request
+ * @returns {Promise<Object|null>} WooCommerce order, or null if unknown or placed through another buyer app
+ */
+const findBuyerOrder = async (orderId, context) => {
+  const order = await findOrderByOndcId(orderId);
+
+  if (order && !isBuyerOrder(order, context)) {
+    logger.warn('Rejecting request for an order placed through another buyer app', {
+      transactionId: context.transaction_id,
+      orderId,
+      bapId: context.bap_id
+    });
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * Get the current ONDC state of a fulfillment
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {string} fulfillmentId - Fulfillment ID
+ * @returns {string} ONDC fulfillment state code
+ */
+const getFulfillmentState = (wooOrder, fulfillmentId) => {
+  const findMeta = (key) => wooOrder.meta_data.find(meta => meta.key === key)?.value;
+
+  // A cancelled order overrides whatever was last recorded for its fulfillments
+  if (['cancelled', 'refunded', 'failed'].includes(wooOrder.status)) {
+    return 'Cancelled';
+  }
+
+  return findMeta(`ondc_fulfillment_${fulfillmentId}_state`) ||
+    findMeta('ondc_fulfillment_state') ||
+    WOO_STATUS_FULFILLMENT_STATES[wooOrder.status] ||
+    'Pending';
+};
+
+/**
+ * Derive the ONDC order state from the WooCommerce status and fulfillment states
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {Array<string>} fulfillmentStates - Current fulfillment state codes
+ * @returns {string} ONDC order state
+ */
+const getOrderState = (wooOrder, fulfillmentStates) => {
+  if (fulfillmentStates.length > 0 && fulfillmentStates.every(state => state === 'Cancelled')) {
+    return 'Cancelled';
+  }
+
+  if (fulfillmentStates.length > 0 && fulfillmentStates.every(state => state === 'Order-delivered' || state === 'Cancelled')) {
+    return 'Completed';
+  }
+
+  if (fulfillmentStates.some(state => state !== 'Pending' && state !== 'Cancelled')) {
+    return 'In-progress';
+  }
+
+  if (wooOrder.status === 'pending') {
+    return 'Created';
+  }
+
+  return 'Accepted';
+};
+
+/**
+ * Build fulfillments array with current states and milestone timestamps
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Array} ONDC fulfillments array
+ */
+const buildStatusFulfillments = (wooOrder) => {
+  const findMeta = (key) => wooOrder.meta_data.find(meta => meta.key === key)?.value;
+
+  return confirmService.buildFulfillmentsArray(wooOrder).map(fulfillment => {
+    const state = getFulfillmentState(wooOrder, fulfillment.id);
+    const pickedUpAt = findMeta(`ondc_fulfillment_${fulfillment.id}_picked_up_at`);
+    const deliveredAt = findMeta(`ondc_fulfillment_${fulfillment.id}_delivered_at`);
+
+    return {
+      ...fulfillment,
+      state: {
+        descriptor: {
+          code: state
+        }
+      },
+      start: {
+        ...fulfillment.start,
+        time: {
+          ...fulfillment.start.time,
+          ...(pickedUpAt && { timestamp: pickedUpAt })
+        }
+      },
+      end: {
+        ...fulfillment.end,
+        time: {
+          ...fulfillment.end.time,
+          ...(deliveredAt && { timestamp: deliveredAt })
+        }
+      }
+    };
+  });
+};
+
+/**
+ * Build ONDC on_status response for a WooCommerce order
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {Object} context - ONDC context
+ * @returns {Object} ONDC on_status response
+ */
+const buildOnStatusResponse = (wooOrder, context) => {
+  const ondcOrderId = wooOrder.meta_data.find(meta => meta.key === 'ondc_order_id')?.value || String(wooOrder.id);
+  const fulfillments = buildStatusFulfillments(wooOrder);
+  const state = getOrderState(wooOrder, fulfillments.map(fulfillment => fulfillment.state.descriptor.code));
+
+  return {
+    context: {
+      ...context,
+      action: 'on_status',
+      timestamp: new Date().toISOString()
+    },
+    message: {
+      order: {
+        id: ondcOrderId,
+        state,
+        provider: {
+          id: getCurrentProvider().id,
+          locations: [
+            {
+              id: getCurrentProvider().locations[0].id
+            }
+          ]
+        },
+        items: confirmService.buildItemsArray(wooOrder),
+        billing: confirmService.buildBilling(wooOrder),
+        fulfillments,
+        quote: confirmService.buildQuote(wooOrder),
+        payment: confirmService.buildPayment(wooOrder),
+        created_at: wooOrder.date_created,
+        updated_at: wooOrder.date_modified || new Date().toISOString()
+      }
+    }
+  };
+};
+
+/**
+ * Send on_status callback to BAP
+ * @param {Object} ondcResponse - ONDC on_status response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOnStatusCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+  const orderId = ondcResponse.message.order.id;
+
+  try {
+    logger.info('Sending on_status callback to BAP', {
+      transactionId,
+      orderId,
+      orderState: ondcResponse.message.order.state,
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_status`,
+      ondcResponse,
+      transactionId,
+      'on_status'
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error('Error sending on_status callback', {
+      transactionId,
+      orderId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  FULFILLMENT_STATES,
+  processStatus,
+  findOrderByOndcId,
+  findBuyerOrder,
+  isBuyerOrder,
+  getFulfillmentState,
+  getOrderState,
+  buildStatusFulfillments,
+  buildOnStatusResponse,
+  sendOnStatusCallback
+};
@@ -0,0 +1,152 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// ONDC statutory fields, each read from the product meta key or attribute named in
+// config.statutory.fieldSources, or by default from meta `ondc_<field>`
+const STATUTORY_GROUPS = {
+  packaged_commodities: {
+    key: '@ondc/org/statutory_reqs_packaged_commodities',
+    mandatory: [
+      'manufacturer_or_packer_name',
+      'manufacturer_or_packer_address',
+      'common_or_generic_name_of_commodity',
+      'net_quantity_or_measure_of_commodity_in_pkg',
+      'month_year_of_manufacture_packing_import'
+    ],
+    optional: ['imported_product_country_of_origin']
+  },
+  prepackaged_food: {
+    key: '@ondc/org/statutory_reqs_prepackaged_food',
+    mandatory: [
+      'nutritional_info',
+      'additives_info',
+      'brand_owner_FSSAI_license_no'
+    ],
+    optional: ['other_FSSAI_license_no', 'importer_FSSAI_license_no']
+  }
+};
+
+// Statutory requirements enforced per ONDC retail domain (veg_nonveg is the food type tag)
+const DOMAIN_REQUIREMENTS = {
+  'ONDC:RET10': ['packaged_commodities', 'prepackaged_food', 'veg_nonveg'],
+  'ONDC:RET11': ['prepackaged_food', 'veg_nonveg'],
+  'ONDC:RET12': ['packaged_commodities'],
+  'ONDC:RET13': ['packaged_commodities'],
+  'ONDC:RET14': ['packaged_commodities'],
+  'ONDC:RET15': ['packaged_commodities'],
+  'ONDC:RET16': ['packaged_commodities']
+};
+
+// Accepted spellings of the veg_nonveg source value
+const FOOD_TYPES = {
+  veg: 'veg',
+  vegetarian: 'veg',
+  non_veg: 'non_veg',
+  'non-veg': 'non_veg',
+  nonveg: 'non_veg',
+  egg: 'egg'
+};
+
+/**
+ * Read a statutory field from product meta or attributes
+ * @param {Object} product - WooCommerce product
+ * @param {string} field - ONDC statutory field
+ * @returns {string|null} Field value
+ */
+const getFieldValue = (product, field) => {
+  const source = config.statutory.fieldSources[field] || `ondc_${field}`;
+
+  const meta = product.meta_data?.find(entry => entry.key === source);
+  if (meta && meta.value !== '' && meta.value !== null && meta.value !== undefined) {
+    return String(meta.value);
+  }
+
+  const attribute = product.attributes?.find(entry => entry.name?.toLowerCase() === source.toLowerCase());
+  if (attribute?.options?.length) {
+    return attribute.options.join(', ');
+  }
+
+  return null;
+};
+
+/**
+ * Build the statutory requirements of a product and list the mandatory fields it is missing
+ * @param {Object} product - WooCommerce product
+ * @param {string} [domain] - ONDC domain, defaults to config.ondc.domain
+ * @returns {Object} Item fields, item tags and missing mandatory fields
+ */
+const buildStatutoryRequirements = (product, domain = config.ondc.domain) => {
+  const required = DOMAIN_REQUIREMENTS[domain] || [];
+  const fields = {};
+  const tags = [];
+  const missing = [];
+
+  Object.entries(STATUTORY_GROUPS).forEach(([group, { key, mandatory, optional }]) => {
+    const values = {};
+
+    [...mandatory, ...optional].forEach(field => {
+      const value = getFieldValue(product, field);
+      if (value) {
+        values[field] = value;
+      }
+    });
+
+    if (Object.keys(values).length > 0) {
+      fields[key] = values;
+    }
+
+    if (required.includes(group)) {
+      missing.push(...mandatory.filter(field => !values[field]).map(field => `${key}.${field}`));
+    }
+  });
+
+  const foodType = FOOD_TYPES[getFieldValue(product, 'veg_nonveg')?.toLowerCase()];
+  if (foodType) {
+    tags.push({
+      code: 'veg_nonveg',
+      list: [{ code: foodType, value: 'yes' }]
+    });
+  } else if (required.includes('veg_nonveg')) {
+    missing.push('veg_nonveg');
+  }
+
+  return { fields, tags, missing };
+};
+
+/**
+ * Add statutory requirements to a catalog item, dropping it when mandatory fields are missing
+ * and config.statutory.missingAction is 'drop'
+ * @param {Object} item - ONDC item
+ * @param {Object} product - WooCommerce product
+ * @returns {Object|null} Item with statutory fields, or null if it was dropped
+ */
+const applyStatutoryRequirements = (item, product) => {
+  const { fields, tags, missing } = buildStatutoryRequirements(product);
+
+  if (missing.length > 0) {
+    const drop = config.statutory.missingAction === 'drop';
+
+    logger.warn(drop
+      ? 'Dropping catalog item missing mandatory statutory fields'
+      : 'Catalog item missing mandatory statutory fields', {
+      productId: product.id,
+      domain: config.ondc.domain,
+      missing
+    });
+
+    if (drop) {
+      return null;
+    }
+  }
+
+  return {
+    ...item,
+    ...fields,
+    ...(tags.length > 0 && { tags: [...(item.tags || []), ...tags] })
+  };
+};
+
+module.exports = {
+  buildStatutoryRequirements,
+  applyStatutoryRequirements
+};
@@ -0,0 +1,192 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { createJsonStore } = require('../utils/jsonStore');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+
+// Temporary closures set by the merchant, keyed by provider ID (whole store) or providerId/locationId
+const closureStore = createJsonStore('store_closures');
+
+// ONDC business error, used when the store isn't taking orders
+const STORE_CLOSED_ERROR_CODE = '40000';
+
+/**
+ * Build the closure store key of the current provider or one of its locations
+ * @param {string} [locationId] - Provider location ID, omitted for the whole store
+ * @returns {string} Store key
+ */
+const buildClosureKey = (locationId) => {
+  const providerId = getCurrentProvider().id;
+  return locationId ? `${providerId}/${locationId}` : providerId;
+};
+
+/**
+ * Get the closure in force for the current provider or one of its locations
+ * Closures with an until time stop applying once it has passed.
+ * @param {string} [locationId] - Provider location ID, omitted for the whole store
+ * @param {Date} [at] - Time to check, defaults to now
+ * @returns {Object|null} Closure record or null when open
+ */
+const getClosure = (locationId, at = new Date()) => {
+  const closure = closureStore.get(buildClosureKey(locationId));
+
+  if (!closure || (closure.until && Date.parse(closure.until) <= at.getTime())) {
+    return null;
+  }
+
+  return closure;
+};
+
+/**
+ * Close or reopen the current provider's store, or one of its locations
+ * @param {Object} change - Closure change
+ * @param {boolean} change.closed - Whether to close (true) or reopen (false)
+ * @param {string} [change.location_id] - Location to close, omitted for the whole store
+ * @param {string} [change.reason] - Why the store is closed
+ * @param {string} [change.until] - When the closure ends on its own (ISO 8601)
+ * @returns {Object} Store status after the change
+ */
+const setClosure = ({ closed, location_id: locationId, reason, until }) => {
+  const provider = getCurrentProvider();
+
+  if (locationId && !provider.locations.some(location => location.id === locationId)) {
+    throw new ApiError(`Location ${locationId} not found for provider ${provider.id}`, 404);
+  }
+
+  if (closed) {
+    closureStore.set(buildClosureKey(locationId), {
+      provider_id: provider.id,
+      location_id: locationId || null,
+      reason: reason || null,
+      until: until || null,
+      closed_at: new Date().toISOString()
+    });
+  } else {
+    closureStore.remove(buildClosureKey(locationId));
+  }
+
+  logger.info(closed ? 'Closed store' : 'Reopened store', {
+    providerId: provider.id,
+    locationId,
+    reason,
+    until
+  });
+
+  return getStoreStatus();
+};
+
+/**
+ * Get the date, ISO weekday and HHMM time at a moment in a time zone
+ * @param {Date} at - Moment
+ * @param {string} timezone - IANA time zone
+ * @returns {Object} date (YYYY-MM-DD), day (1 = Monday) and time (HHMM)
+ */
+const getLocalTime = (at, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday) + 1,
+    time: `${parts.hour}${parts.minute}`
+  };
+};
+
+/**
+ * Check whether a location's opening hours cover a moment, holidays excluded
+ * Hours that close before they open run past midnight into the next day.
+ * @param {Object} location - Provider location
+ * @param {Date} [at] - Time to check, defaults to now
+ * @returns {boolean} Whether the location is open by its schedule
+ */
+const isWithinSchedule = (location, at = new Date()) => {
+  const { date, day, time } = getLocalTime(at, getCurrentProvider().store.timezone);
+  const days = location.days.split(',').map(value => parseInt(value));
+
+  if ((location.holidays || []).includes(date)) {
+    return false;
+  }
+
+  if (location.openTime <= location.closeTime) {
+    return days.includes(day) && time >= location.openTime && time <= location.closeTime;
+  }
+
+  const previousDay = day === 1 ? 7 : day - 1;
+  return (days.includes(day) && time >= location.openTime) ||
+    (days.includes(previousDay) && time <= location.closeTime);
+};
+
+/**
+ * Work out why a location can't take an order right now
+ * @param {Object} location - Provider location
+ * @param {Date} [at] - Time to check, defaults to now
+ * @returns {string|null} Reason, or null when the location is taking orders
+ */
+const getUnavailableReason = (location, at = new Date()) => {
+  const closure = getClosure(null, at) || getClosure(location.id, at);
+
+  if (closure) {
+    return closure.reason ? `Store is temporarily closed: ${closure.reason}` : 'Store is temporarily closed';
+  }
+
+  if (!isWithinSchedule(location, at)) {
+    return 'Store is outside its operating hours';
+  }
+
+  return null;
+};
+
+/**
+ * Reject an order the current provider can't take because it is closed or outside its operating hours
+ * @param {Object} order - ONDC order from init or confirm
+ * @throws {ApiError} When the order's location isn't taking orders
+ */
+const assertAcceptingOrders = (order) => {
+  const provider = getCurrentProvider();
+  const locationId = order.provider?.locations?.[0]?.id;
+  const location = provider.locations.find(candidate => candidate.id === locationId) || provider.locations[0];
+  const reason = getUnavailableReason(location);
+
+  if (reason) {
+    logger.warn('Rejecting order, store not taking orders', {
+      providerId: provider.id,
+      locationId: location.id,
+      reason
+    });
+    throw new ApiError(reason, 400, STORE_CLOSED_ERROR_CODE);
+  }
+};
+
+/**
+ * Get the open/closed status of the current provider and each of its locations
+ * @returns {Object} Store status
+ */
+const getStoreStatus = () => {
+  const provider = getCurrentProvider();
+
+  return {
+    provider_id: provider.id,
+    closure: getClosure(),
+    locations: provider.locations.map(location => ({
+      id: location.id,
+      open: !getUnavailableReason(location),
+      within_schedule: isWithinSchedule(location),
+      closure: getClosure(location.id)
+    }))
+  };
+};
+
+module.exports = {
+  getClosure,
+  setClosure,
+  isWithinSchedule,
+  assertAcceptingOrders,
+  getStoreStatus
+};
@@ -0,0 +1,131 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { ApiError } = require('../utils/errorHandler');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const statusService = require('./statusService');
+const itemMappingService = require('./itemMappingService');
+const { getProvider, getCurrentProvider } = require('../utils/providerRegistry');
+
+/**
+ * Process ONDC support request
+ * @param {Object} request - ONDC support request payload
+ * @returns {Promise<Object>} ONDC on_support response
+ * @throws {ApiError} If the reference can't be resolved
+ */
+const processSupport = async (request) => {
+  const { context, message } = request;
+  const refId = message.ref_id;
+
+  logger.info('Starting to process support request', {
+    transactionId: context.transaction_id,
+    messageId: context.message_id,
+    refId
+  });
+
+  const providerId = await resolveProviderId(refId, context);
+
+  if (!providerId) {
+    // 30018: invalid order
+    throw new ApiError(`Support reference ${refId} not found`, 404, '30018');
+  }
+
+  const contacts = getSupportContacts(providerId);
+
+  return {
+    context: {
+      ...context,
+      action: 'on_support',
+      timestamp: new Date().toISOString()
+    },
+    message: {
+      phone: contacts.phone,
+      email: contacts.email,
+      ...(contacts.url && { uri: contacts.url })
+    }
+  };
+};
+
+/**
+ * Resolve a support ref_id (order, provider or item) to the provider responsible for it
+ * @param {string} refId - ONDC order, provider or item ID
+ * @param {Object} context - ONDC context
+ * @returns {Promise<string|null>} Provider ID or null if nothing matches
+ */
+const resolveProviderId = async (refId, context) => {
+  if (refId === context.bpp_id || getProvider(refId) || config.support.providerOverrides[refId]) {
+    return refId;
+  }
+
+  const order = await statusService.findBuyerOrder(refId, context);
+  if (order) {
+    return order.meta_data.find(meta => meta.key === 'ondc_provider_id')?.value || getCurrentProvider().id;
+  }
+
+  const { productId } = itemMappingService.resolveOndcItemId(refId) || {};
+  if (productId) {
+    try {
+      await wooCommerceAPI.getProductById(productId);
+      return getCurrentProvider().id;
+    } catch (error) {
+      logger.debug('Support reference is not a known product', { refId, error: error.message });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get support contact details for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Object} Support phone, email and URL
+ */
+const getSupportContacts = (providerId) => {
+  const overrides = config.support.providerOverrides[providerId] || {};
+  const { support, store } = getProvider(providerId) || getCurrentProvider();
+
+  return {
+    phone: overrides.phone || support.phone || store.phone,
+    email: overrides.email || support.email || store.email,
+    url: overrides.url || support.url
+  };
+};
+
+/**
+ * Send on_support callback to BAP
+ * @param {Object} ondcResponse - ONDC on_support response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOnSupportCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+
+  try {
+    logger.info('Sending on_support callback to BAP', {
+      transactionId,
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_support`,
+      ondcResponse,
+      transactionId,
+      'on_support'
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error('Error sending on_support callback', {
+      transactionId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  processSupport,
+  getSupportContacts,
+  sendOnSupportCallback
+};
@@ -0,0 +1,185 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const confirmService = require('./confirmService');
+const statusService = require('./statusService');
+
+// Tracking only makes sense once an agent has been assigned to the fulfillment
+const TRACKABLE_STATES = statusService.FULFILLMENT_STATES.slice(
+  statusService.FULFILLMENT_STATES.indexOf('Agent-assigned')
+);
+
+/**
+ * Process ONDC track request
+ * @param {Object} request - ONDC track request payload
+ * @returns {Promise<Object>} ONDC on_track response
+ * @throws {ApiError} If the order can't be tracked
+ */
+const processTrack = async (request) => {
+  const { context, message } = request;
+  const orderId = message.order_id;
+
+  logger.info('Starting to process track request', {
+    transactionId: context.transaction_id,
+    messageId: context.message_id,
+    orderId
+  });
+
+  const order = await statusService.findBuyerOrder(orderId, context);
+
+  if (!order) {
+    // 30018: invalid order
+    throw new ApiError(`Order ${orderId} not found`, 404, '30018');
+  }
+
+  const fulfillment = confirmService.buildFulfillmentsArray(order)[0];
+
+  if (!fulfillment.tracking) {
+    // 40005: tracking not enabled
+    throw new ApiError(`Tracking is not enabled for fulfillment ${fulfillment.id}`, 400, '40005');
+  }
+
+  const state = statusService.getFulfillmentState(order, fulfillment.id);
+  if (!TRACKABLE_STATES.includes(state)) {
+    throw new ApiError(`Tracking is not available for fulfillment in state ${state}`, 400, '40005');
+  }
+
+  return {
+    context: {
+      ...context,
+      action: 'on_track',
+      timestamp: new Date().toISOString()
+    },
+    message: {
+      tracking: buildTracking(order, orderId, fulfillment.id, state)
+    }
+  };
+};
+
+/**
+ * Build ONDC tracking object from the tracking details stored on the order
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {string} orderId - ONDC order ID
+ * @param {string} fulfillmentId - Fulfillment ID
+ * @param {string} state - Current fulfillment state
+ * @returns {Object} ONDC tracking object
+ */
+const buildTracking = (wooOrder, orderId, fulfillmentId, state) => {
+  const findMeta = (key) => wooOrder.meta_data.find(meta => meta.key === key)?.value;
+
+  const url = findMeta(`ondc_fulfillment_${fulfillmentId}_tracking_url`);
+  const gps = findMeta(`ondc_fulfillment_${fulfillmentId}_gps`);
+  const gpsUpdatedAt = findMeta(`ondc_fulfillment_${fulfillmentId}_gps_updated_at`);
+
+  // Nothing left to follow once the order has arrived, and nothing to show until someone reports a position
+  const active = state !== 'Order-delivered' && Boolean(url || gps);
+
+  return {
+    id: fulfillmentId,
+    ...(url && { url }),
+    ...(gps && {
+      location: {
+        gps,
+        time: {
+          timestamp: gpsUpdatedAt
+        },
+        updated_at: gpsUpdatedAt
+      }
+    }),
+    status: active ? 'active' : 'inactive',
+    tags: [
+      {
+        code: 'order',
+        list: [
+          {
+            code: 'id',
+            value: orderId
+          }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Store tracking details reported by the merchant or logistics partner
+ * @param {string} orderId - ONDC order ID
+ * @param {Object} update - Tracking update (fulfillment_id, tracking, url, gps, timestamp)
+ * @returns {Promise<Object>} Updated WooCommerce order
+ * @throws {ApiError} If the order doesn't exist
+ */
+const updateTracking = async (orderId, update) => {
+  const order = await statusService.findOrderByOndcId(orderId);
+
+  if (!order) {
+    throw new ApiError(`Order ${orderId} not found`, 404);
+  }
+
+  const prefix = `ondc_fulfillment_${update.fulfillment_id}`;
+  const meta_data = [];
+
+  // Reporting a URL or position implies the partner supports tracking unless told otherwise
+  const trackingEnabled = update.tracking ?? Boolean(update.url || update.gps);
+  meta_data.push({ key: `${prefix}_tracking`, value: String(trackingEnabled) });
+
+  if (update.url) {
+    meta_data.push({ key: `${prefix}_tracking_url`, value: update.url });
+  }
+
+  if (update.gps) {
+    meta_data.push({ key: `${prefix}_gps`, value: update.gps.replace(/\s/g, '') });
+    meta_data.push({ key: `${prefix}_gps_updated_at`, value: update.timestamp || new Date().toISOString() });
+  }
+
+  const updatedOrder = await wooCommerceAPI.updateOrder(order.id, { meta_data });
+
+  logger.info('Updated fulfillment tracking details', {
+    orderId: order.id,
+    ondcOrderId: orderId,
+    fulfillmentId: update.fulfillment_id,
+    trackingEnabled
+  });
+
+  return updatedOrder;
+};
+
+/**
+ * Send on_track callback to BAP
+ * @param {Object} ondcResponse - ONDC on_track response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOnTrackCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+
+  try {
+    logger.info('Sending on_track callback to BAP', {
+      transactionId,
+      trackingStatus: ondcResponse.message.tracking.status,
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_track`,
+      ondcResponse,
+      transactionId,
+      'on_track'
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error('Error sending on_track callback', {
+      transactionId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  processTrack,
+  updateTracking,
+  sendOnTrackCallback
+};
@@ -0,0 +1,97 @@
+const logger = require('../utils/logger');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const transactionStore = require('../utils/transactionStore');
+
+/**
+ * Fetch a WooCommerce order by ID, treating a missing order as none
+ * @param {number} wooOrderId - WooCommerce order ID
+ * @param {string} transactionId - ONDC transaction ID for logging
+ * @returns {Promise<Object|null>} WooCommerce order or null
+ */
+const fetchOrder = async (wooOrderId, transactionId) => {
+  try {
+    return await wooCommerceAPI.getOrder(wooOrderId);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      logger.warn('Order linked to transaction no longer exists in WooCommerce', { transactionId, wooOrderId });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find a confirmed order by its meta, for orders placed before transactions were stored locally, and link
+ * it to its transaction so the next lookup doesn't need the (unindexed) meta query
+ * @param {string} metaKey - Meta key to query, ondc_order_id or ondc_transaction_id
+ * @param {string} metaValue - Meta value to match
+ * @returns {Promise<Object|null>} WooCommerce order or null
+ */
+const findLegacyOrder = async (metaKey, metaValue) => {
+  const orders = await wooCommerceAPI.getOrders({
+    meta_key: metaKey,
+    meta_value: metaValue
+  });
+
+  // The init draft shares the transaction ID, only the confirmed order has an ONDC order ID
+  const findMeta = (wooOrder, key) => wooOrder.meta_data?.find(meta => meta.key === key)?.value;
+  const order = (orders || []).find(wooOrder => findMeta(wooOrder, 'ondc_order_id')) || null;
+  const transactionId = order && findMeta(order, 'ondc_transaction_id');
+
+  if (transactionId && await transactionStore.getTransaction(transactionId)) {
+    await transactionStore.linkOrder(transactionId, {
+      woo_order_id: order.id,
+      order_id: findMeta(order, 'ondc_order_id')
+    });
+  }
+
+  return order;
+};
+
+/**
+ * Find the WooCommerce order confirmed in a transaction
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Object|null>} WooCommerce order or null
+ */
+const findOrderByTransactionId = async (transactionId) => {
+  const transaction = await transactionStore.getTransaction(transactionId);
+
+  if (transaction?.woo_order_id) {
+    return fetchOrder(transaction.woo_order_id, transactionId);
+  }
+
+  // Orders of a transaction whose init came through the store are always linked
+  const initRecorded = (transaction?.actions || []).includes('init');
+  return initRecorded ? null : findLegacyOrder('ondc_transaction_id', transactionId);
+};
+
+/**
+ * Find the WooCommerce draft order created at init for a transaction
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Object|null>} WooCommerce order or null
+ */
+const findInitOrder = async (transactionId) => {
+  const transaction = await transactionStore.getTransaction(transactionId);
+  return transaction?.init_order_id ? fetchOrder(transaction.init_order_id, transactionId) : null;
+};
+
+/**
+ * Find the WooCommerce order of an ONDC order
+ * @param {string} orderId - ONDC order ID
+ * @returns {Promise<Object|null>} WooCommerce order or null
+ */
+const findOrderByOndcId = async (orderId) => {
+  const transaction = await transactionStore.getTransactionByOrderId(orderId);
+
+  if (transaction?.woo_order_id) {
+    return fetchOrder(transaction.woo_order_id, transaction.transaction_id);
+  }
+
+  return findLegacyOrder('ondc_order_id', orderId);
+};
+
+module.exports = {
+  findOrderByTransactionId,
+  findInitOrder,
+  findOrderByOndcId
+};
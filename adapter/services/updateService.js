@@ -0,0 +1,933 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const confirmService = require('./confirmService');
+const quoteService = require('./quoteService');
+const statusService = require('./statusService');
+const cancelService = require('./cancelService');
+const webhookService = require('./webhookService');
+const itemMappingService = require('./itemMappingService');
+const { getCurrentProvider } = require('../utils/providerRegistry');
+
+// Each return is stored as JSON in order meta under this prefix followed by the return fulfillment ID
+const RETURN_META_PREFIX = 'ondc_return_';
+
+// Each seller part cancellation is stored as JSON in order meta under this prefix followed by the Cancel fulfillment ID
+const PART_CANCEL_META_PREFIX = 'ondc_part_cancel_';
+
+// Part cancellation is only possible until the agent has picked the order up
+const PART_CANCELLABLE_STATES = ['Pending', 'Packed', 'Agent-assigned'];
+
+// ONDC return reason codes a buyer can raise
+const RETURN_REASONS = {
+  '001': 'Buyer does not want product any more',
+  '002': 'Product available at lower than order price',
+  '003': 'Product damaged or not in usable state',
+  '004': 'Product is of incorrect quantity or size',
+  '005': 'Product delivered is different from what was shown and ordered'
+};
+
+// Return fulfillment states the merchant can move a return to from each state
+const RETURN_STATE_TRANSITIONS = {
+  'Return_Initiated': ['Return_Approved', 'Return_Rejected'],
+  'Return_Approved': ['Return_Picked'],
+  'Return_Picked': ['Return_Delivered']
+};
+
+// Reverse QC happens at pickup, so the buyer is refunded as soon as the item is picked up
+const REFUNDED_RETURN_STATES = ['Return_Picked', 'Return_Delivered'];
+
+/**
+ * Process ONDC update request raising item returns
+ * @param {Object} request - ONDC update request payload
+ * @returns {Promise<Object>} ONDC on_update response
+ * @throws {ApiError} If the return can't be accepted
+ */
+const processUpdate = async (request) => {
+  const { context, message } = request;
+  const orderId = message.order.id;
+
+  logger.info('Starting to process update request', {
+    transactionId: context.transaction_id,
+    messageId: context.message_id,
+    orderId,
+    updateTarget: message.update_target
+  });
+
+  const order = await statusService.findBuyerOrder(orderId, context);
+
+  if (!order) {
+    // 30018: invalid order
+    throw new ApiError(`Order ${orderId} not found`, 404, '30018');
+  }
+
+  const now = new Date().toISOString();
+  const newReturns = [];
+
+  message.order.fulfillments.forEach(fulfillment => {
+    const returnRequest = parseReturnRequest(fulfillment);
+
+    // Validate against returns already on the order and earlier ones in this request
+    validateReturnRequest(order, returnRequest, [...getReturns(order), ...newReturns]);
+
+    newReturns.push({
+      ...returnRequest,
+      state: 'Return_Initiated',
+      initiated_by: context.bap_id,
+      created_at: now,
+      updated_at: now
+    });
+  });
+
+  const updatedOrder = await wooCommerceAPI.updateOrder(order.id, {
+    meta_data: newReturns.map(returnRecord => ({
+      key: `${RETURN_META_PREFIX}${returnRecord.id}`,
+      value: JSON.stringify(returnRecord)
+    }))
+  });
+
+  logger.info('Return initiated for order items', {
+    orderId: order.id,
+    ondcOrderId: orderId,
+    returns: newReturns.map(returnRecord => ({
+      id: returnRecord.id,
+      itemId: returnRecord.item_id,
+      quantity: returnRecord.quantity,
+      reasonId: returnRecord.reason_id
+    }))
+  });
+
+  return buildOnUpdateResponse(updatedOrder, context);
+};
+
+/**
+ * Extract return details from a Return fulfillment's return_request tags
+ * @param {Object} fulfillment - ONDC Return fulfillment from the update request
+ * @returns {Object} Return request details
+ * @throws {ApiError} If the fulfillment has no return_request tag
+ */
+const parseReturnRequest = (fulfillment) => {
+  const list = (fulfillment.tags || []).find(tag => tag.code === 'return_request')?.list;
+
+  if (!list) {
+    // 50002: updation not possible
+    throw new ApiError('Return fulfillment has no return_request tag', 400, '50002');
+  }
+
+  const findValue = (code) => list.find(entry => entry.code === code)?.value;
+
+  return {
+    id: findValue('id') || `R${crypto.randomUUID().split('-')[0]}`,
+    item_id: findValue('item_id'),
+    quantity: parseInt(findValue('item_quantity'), 10),
+    reason_id: findValue('reason_id'),
+    reason_desc: findValue('reason_desc') || RETURN_REASONS[findValue('reason_id')],
+    images: (findValue('images') || '')
+      .split(',')
+      .map(image => image.trim())
+      .filter(Boolean),
+    ...(findValue('ttl_approval') && { ttl_approval: findValue('ttl_approval') }),
+    ...(findValue('ttl_reverseqc') && { ttl_reverseqc: findValue('ttl_reverseqc') })
+  };
+};
+
+/**
+ * Check a return request against the order
+ * @param {Object} order - WooCommerce order
+ * @param {Object} returnRequest - Parsed return request
+ * @param {Array} existingReturns - Returns already raised on the order
+ * @throws {ApiError} If the return isn't possible
+ */
+const validateReturnRequest = (order, returnRequest, existingReturns) => {
+  if (!RETURN_REASONS[returnRequest.reason_id]) {
+    // 50002: updation not possible
+    throw new ApiError(`Invalid return reason: ${returnRequest.reason_id}`, 400, '50002');
+  }
+
+  const lineItem = findLineItem(order, returnRequest.item_id);
+  if (!lineItem) {
+    // 30004: item not found
+    throw new ApiError(`Item ${returnRequest.item_id} not found in order`, 400, '30004');
+  }
+
+  const fulfillmentId = lineItem.meta_data.find(meta => meta.key === 'ondc_fulfillment_id')?.value || 'F1';
+  const fulfillmentState = statusService.getFulfillmentState(order, fulfillmentId);
+  if (fulfillmentState !== 'Order-delivered') {
+    throw new ApiError(
+      `Item ${returnRequest.item_id} can't be returned before delivery (fulfillment state ${fulfillmentState})`,
+      400,
+      '50002'
+    );
+  }
+
+  if (existingReturns.some(returnRecord => returnRecord.id === returnRequest.id)) {
+    throw new ApiError(`Return ${returnRequest.id} already exists`, 400, '50002');
+  }
+
+  const alreadyReturned = existingReturns
+    .filter(returnRecord => returnRecord.item_id === returnRequest.item_id && returnRecord.state !== 'Return_Rejected')
+    .reduce((sum, returnRecord) => sum + returnRecord.quantity, 0);
+  const returnable = lineItem.quantity - getCancelledQuantity(order, returnRequest.item_id) - alreadyReturned;
+
+  if (!(returnRequest.quantity > 0) || returnRequest.quantity > returnable) {
+    throw new ApiError(
+      `Invalid return quantity ${returnRequest.quantity} for item ${returnRequest.item_id}, ${returnable} returnable`,
+      400,
+      '50002'
+    );
+  }
+};
+
+/**
+ * Move a return to its next state, refunding the buyer once the item is picked up
+ * @param {string} orderId - ONDC order ID
+ * @param {string} returnId - Return fulfillment ID
+ * @param {Object} update - State update (state, reason)
+ * @returns {Promise<Object>} Updated return and whether the on_update callback was delivered
+ * @throws {ApiError} If the order or return doesn't exist or the transition isn't allowed
+ */
+const updateReturnState = async (orderId, returnId, update) => {
+  const order = await statusService.findOrderByOndcId(orderId);
+
+  if (!order) {
+    throw new ApiError(`Order ${orderId} not found`, 404);
+  }
+
+  const returnRecord = getReturns(order).find(record => record.id === returnId);
+  if (!returnRecord) {
+    throw new ApiError(`Return ${returnId} not found on order ${orderId}`, 404);
+  }
+
+  // A refund that failed is retried by moving the return to the state it is already in
+  const allowedStates = RETURN_STATE_TRANSITIONS[returnRecord.state] || [];
+  const retryingRefund = update.state === returnRecord.state && isRefundPending(returnRecord);
+  if (!allowedStates.includes(update.state) && !retryingRefund) {
+    throw new ApiError(`Cannot move return ${returnId} from ${returnRecord.state} to ${update.state}`, 409);
+  }
+
+  const context = webhookService.buildUnsolicitedContext(order, 'on_update');
+  const updatedRecord = {
+    ...returnRecord,
+    state: update.state,
+    ...(update.reason && { state_reason: update.reason }),
+    updated_at: new Date().toISOString()
+  };
+
+  if (REFUNDED_RETURN_STATES.includes(update.state) && !returnRecord.refund_id) {
+    Object.assign(updatedRecord, await refundReturn(order, returnRecord, context));
+  }
+
+  const updatedOrder = await wooCommerceAPI.updateOrder(order.id, {
+    meta_data: [
+      { key: `${RETURN_META_PREFIX}${returnId}`, value: JSON.stringify(updatedRecord) }
+    ]
+  });
+
+  logger.info('Return state updated', {
+    orderId: order.id,
+    ondcOrderId: orderId,
+    returnId,
+    from: returnRecord.state,
+    to: update.state
+  });
+
+  if (!context.bap_uri) {
+    logger.warn('Cannot push on_update, order has no stored bap_uri', { orderId: order.id, returnId });
+    return { return: updatedRecord, callbackSuccess: false };
+  }
+
+  const callbackSuccess = await sendOnUpdateCallback(buildOnUpdateResponse(updatedOrder, context));
+
+  return { return: updatedRecord, callbackSuccess };
+};
+
+/**
+ * Check whether a return reached a refunded state without its refund going through
+ * @param {Object} returnRecord - Return record
+ * @returns {boolean} Whether the refund still has to be made
+ */
+const isRefundPending = (returnRecord) =>
+  REFUNDED_RETURN_STATES.includes(returnRecord.state) && !returnRecord.refund_id;
+
+/**
+ * Refund the returned quantity of an item through the cancellation refund path
+ * A failed refund stores no amount, so the quote doesn't show it and the refund can be retried.
+ * @param {Object} order - WooCommerce order
+ * @param {Object} returnRecord - Return being refunded
+ * @param {Object} context - ONDC context
+ * @returns {Promise<Object>} Refund details to store on the return
+ */
+const refundReturn = async (order, returnRecord, context) => {
+  const lineItem = findLineItem(order, returnRecord.item_id);
+  const unitTotal = parseFloat(lineItem.total) / lineItem.quantity;
+  const unitTax = parseFloat(lineItem.total_tax || 0) / lineItem.quantity;
+  const amount = Math.round((unitTotal + unitTax) * returnRecord.quantity * 100) / 100;
+
+  const refund = await cancelService.processRefund(order.id, amount, returnRecord.reason_id, context, {
+    reason: `Return ${returnRecord.id}: ${RETURN_REASONS[returnRecord.reason_id]}`,
+    lineItems: [
+      {
+        id: lineItem.id,
+        quantity: returnRecord.quantity,
+        refund_total: (unitTotal * returnRecord.quantity).toFixed(2)
+      }
+    ]
+  });
+
+  if (!refund) {
+    logger.warn('Return refund failed, retry by moving the return to its current state again', {
+      orderId: order.id,
+      returnId: returnRecord.id,
+      amount
+    });
+
+    return {
+      refund_amount: null,
+      refund_id: null,
+      refund_failed_at: new Date().toISOString()
+    };
+  }
+
+  return {
+    refund_amount: amount.toFixed(2),
+    refund_id: refund.id,
+    refund_failed_at: null
+  };
+};
+
+/**
+ * Cancel some item quantities on the seller's side and notify the buyer app with an unsolicited on_update
+ * The WooCommerce line items keep their quantities: the refund records the cancelled quantities against
+ * them, as WooCommerce does for any refunded item, and the remaining quantities are worked out from the
+ * part cancellations. Reducing the line items as well would count the cancelled units twice.
+ * @param {string} orderId - ONDC order ID
+ * @param {Object} cancellation - Part cancellation (reason_id, items with id and quantity)
+ * @returns {Promise<Object>} Part cancellation record and whether the on_update callback was delivered
+ * @throws {ApiError} If the order or items can't be part-cancelled
+ */
+const cancelItems = async (orderId, cancellation) => {
+  const order = await statusService.findOrderByOndcId(orderId);
+
+  if (!order) {
+    throw new ApiError(`Order ${orderId} not found`, 404);
+  }
+
+  const lineItems = validatePartCancellation(order, cancellation.items);
+  const context = webhookService.buildUnsolicitedContext(order, 'on_update');
+  const cancelId = `C${getPartCancellations(order).length + 1}`;
+
+  const quote = confirmService.buildQuote(order);
+  const { quote: revisedQuote, quoteTrail } = reviseQuoteForCancellation(quote, cancellation.items);
+
+  const cancelledLines = priceCancelledLines(lineItems, cancellation.items, cancelId);
+  const cancelledTotal = cancelledLines.reduce((sum, line) =>
+    sum + parseFloat(line.total) + parseFloat(line.total_tax), 0
+  );
+
+  const refundDue = await cancelService.calculateRefundAmount(
+    { ...order, total: cancelledTotal.toFixed(2), line_items: cancelledLines },
+    cancellation.reason_id,
+    cancelId
+  );
+
+  const record = {
+    id: cancelId,
+    reason_id: cancellation.reason_id,
+    initiated_by: context.bpp_id,
+    items: cancellation.items,
+    quote_trail: quoteTrail,
+    refund_due: refundDue.toFixed(2),
+    refund_amount: refundDue > 0 ? null : refundDue.toFixed(2),
+    refund_id: null,
+    created_at: new Date().toISOString()
+  };
+
+  if (refundDue > 0) {
+    Object.assign(record, await refundCancellation(order, record, cancelledLines, context));
+  }
+
+  const updatedOrder = await wooCommerceAPI.updateOrder(order.id, {
+    meta_data: [
+      { key: `${PART_CANCEL_META_PREFIX}${cancelId}`, value: JSON.stringify(record) },
+      quoteService.buildQuoteMeta(revisedQuote)
+    ]
+  });
+
+  logger.info('Order items part-cancelled by seller', {
+    orderId: order.id,
+    ondcOrderId: orderId,
+    cancelId,
+    reasonId: cancellation.reason_id,
+    items: cancellation.items,
+    refundDue
+  });
+
+  if (!context.bap_uri) {
+    logger.warn('Cannot push on_update, order has no stored bap_uri', { orderId: order.id, cancelId });
+    return { cancellation: record, callbackSuccess: false };
+  }
+
+  const callbackSuccess = await sendOnUpdateCallback(buildOnUpdateResponse(updatedOrder, context));
+
+  return { cancellation: record, callbackSuccess };
+};
+
+/**
+ * Retry the refund of a part cancellation whose refund failed, and notify the buyer app once it is made
+ * @param {string} orderId - ONDC order ID
+ * @param {string} cancelId - Cancel fulfillment ID
+ * @returns {Promise<Object>} Updated part cancellation record and whether the on_update callback was delivered
+ * @throws {ApiError} If the order or part cancellation doesn't exist or has no refund pending
+ */
+const retryCancellationRefund = async (orderId, cancelId) => {
+  const order = await statusService.findOrderByOndcId(orderId);
+
+  if (!order) {
+    throw new ApiError(`Order ${orderId} not found`, 404);
+  }
+
+  const record = getPartCancellations(order).find(cancellation => cancellation.id === cancelId);
+  if (!record) {
+    throw new ApiError(`Part cancellation ${cancelId} not found on order ${orderId}`, 404);
+  }
+
+  if (!isCancellationRefundPending(record)) {
+    throw new ApiError(`Part cancellation ${cancelId} has no refund pending`, 409);
+  }
+
+  const context = webhookService.buildUnsolicitedContext(order, 'on_update');
+  const lineItems = record.items.map(entry => findLineItem(order, entry.id));
+  const updatedRecord = {
+    ...record,
+    ...await refundCancellation(order, record, priceCancelledLines(lineItems, record.items, cancelId), context)
+  };
+
+  const updatedOrder = await wooCommerceAPI.updateOrder(order.id, {
+    meta_data: [
+      { key: `${PART_CANCEL_META_PREFIX}${cancelId}`, value: JSON.stringify(updatedRecord) }
+    ]
+  });
+
+  logger.info('Part cancellation refund retried', {
+    orderId: order.id,
+    ondcOrderId: orderId,
+    cancelId,
+    refunded: Boolean(updatedRecord.refund_id)
+  });
+
+  if (!context.bap_uri) {
+    logger.warn('Cannot push on_update, order has no stored bap_uri', { orderId: order.id, cancelId });
+    return { cancellation: updatedRecord, callbackSuccess: false };
+  }
+
+  const callbackSuccess = await sendOnUpdateCallback(buildOnUpdateResponse(updatedOrder, context));
+
+  return { cancellation: updatedRecord, callbackSuccess };
+};
+
+/**
+ * Price just the cancelled quantities of line items, as if they were their own fulfillment
+ * @param {Array} lineItems - WooCommerce line items, in the order of the cancelled items
+ * @param {Array} items - Cancelled items (id, quantity)
+ * @param {string} cancelId - Cancel fulfillment ID
+ * @returns {Array} Line items holding the cancelled quantities
+ */
+const priceCancelledLines = (lineItems, items, cancelId) => {
+  return items.map((entry, index) => {
+    const lineItem = lineItems[index];
+
+    return {
+      ...lineItem,
+      quantity: entry.quantity,
+      total: (parseFloat(lineItem.total) / lineItem.quantity * entry.quantity).toFixed(2),
+      total_tax: (parseFloat(lineItem.total_tax || 0) / lineItem.quantity * entry.quantity).toFixed(2),
+      meta_data: [{ key: 'ondc_fulfillment_id', value: cancelId }]
+    };
+  });
+};
+
+/**
+ * Check whether a part cancellation owes the buyer a refund that hasn't gone through
+ * @param {Object} record - Part cancellation record
+ * @returns {boolean} Whether the refund still has to be made
+ */
+const isCancellationRefundPending = (record) => parseFloat(record.refund_due) > 0 && !record.refund_id;
+
+/**
+ * Refund the cancelled quantities of a part cancellation through the cancellation refund path
+ * A failed refund stores no amount, so on_update reports it as pending and the refund can be retried.
+ * @param {Object} order - WooCommerce order
+ * @param {Object} record - Part cancellation being refunded
+ * @param {Array} cancelledLines - Line items holding the cancelled quantities
+ * @param {Object} context - ONDC context
+ * @returns {Promise<Object>} Refund details to store on the part cancellation
+ */
+const refundCancellation = async (order, record, cancelledLines, context) => {
+  const amount = parseFloat(record.refund_due);
+
+  const refund = await cancelService.processRefund(order.id, amount, record.reason_id, context, {
+    lineItems: cancelledLines.map(line => ({
+      id: line.id,
+      quantity: line.quantity,
+      refund_total: line.total
+    }))
+  });
+
+  if (!refund) {
+    logger.warn('Part cancellation refund failed, retry it through the part cancellation refund endpoint', {
+      orderId: order.id,
+      cancelId: record.id,
+      amount
+    });
+
+    return {
+      refund_amount: null,
+      refund_id: null,
+      refund_failed_at: new Date().toISOString()
+    };
+  }
+
+  return {
+    refund_amount: amount.toFixed(2),
+    refund_id: refund.id,
+    refund_failed_at: null
+  };
+};
+
+/**
+ * Check that the requested item quantities can still be cancelled
+ * @param {Object} order - WooCommerce order
+ * @param {Array} items - Items to cancel (id, quantity)
+ * @returns {Array} Matching WooCommerce line items, in request order
+ * @throws {ApiError} If an item can't be part-cancelled
+ */
+const validatePartCancellation = (order, items) => {
+  const lineItems = items.map(entry => {
+    const lineItem = findLineItem(order, entry.id);
+    if (!lineItem) {
+      throw new ApiError(`Item ${entry.id} not found in order`, 400);
+    }
+
+    const fulfillmentId = lineItem.meta_data.find(meta => meta.key === 'ondc_fulfillment_id')?.value || 'F1';
+    const fulfillmentState = statusService.getFulfillmentState(order, fulfillmentId);
+    if (!PART_CANCELLABLE_STATES.includes(fulfillmentState)) {
+      throw new ApiError(`Item ${entry.id} can't be cancelled in fulfillment state ${fulfillmentState}`, 409);
+    }
+
+    const remaining = lineItem.quantity - getCancelledQuantity(order, entry.id);
+    const requested = items
+      .filter(other => other.id === entry.id)
+      .reduce((sum, other) => sum + other.quantity, 0);
+    if (requested > remaining) {
+      throw new ApiError(`Cannot cancel ${requested} of item ${entry.id}, ${remaining} remaining`, 400);
+    }
+
+    return lineItem;
+  });
+
+  const remainingAfter = order.line_items.reduce((sum, lineItem) => {
+    const ondcItemId = itemMappingService.getLineItemOndcId(lineItem);
+    const requested = items
+      .filter(entry => entry.id === ondcItemId)
+      .reduce((total, entry) => total + entry.quantity, 0);
+
+    return sum + lineItem.quantity - getCancelledQuantity(order, ondcItemId) - requested;
+  }, 0);
+
+  if (remainingAfter === 0) {
+    throw new ApiError('Part cancellation would cancel every item, cancel the whole order instead', 400);
+  }
+
+  return lineItems;
+};
+
+/**
+ * Take cancelled quantities out of a quote and describe the change as quote_trail entries
+ * @param {Object} quote - Current ONDC quote
+ * @param {Array} items - Cancelled items (id, quantity)
+ * @returns {Object} Revised quote and quote_trail entries
+ */
+const reviseQuoteForCancellation = (quote, items) => {
+  const breakup = quote.breakup.map(entry => ({ ...entry }));
+  const quoteTrail = [];
+  let reduction = 0;
+
+  items.forEach(cancelled => {
+    const itemEntry = breakup.find(entry =>
+      entry['@ondc/org/title_type'] === 'item' && entry['@ondc/org/item_id'] === cancelled.id
+    );
+    if (!itemEntry) {
+      return;
+    }
+
+    const count = itemEntry['@ondc/org/item_quantity'].count;
+
+    // Tax follows the item it applies to, proportionally to the quantity taken out
+    breakup
+      .filter(entry => entry['@ondc/org/item_id'] === cancelled.id)
+      .forEach(entry => {
+        const value = parseFloat(entry.price.value);
+        const delta = Math.round(value / count * cancelled.quantity * 100) / 100;
+
+        entry.price = { ...entry.price, value: (value - delta).toFixed(2) };
+        reduction += delta;
+        quoteTrail.push({
+          type: entry['@ondc/org/title_type'],
+          id: cancelled.id,
+          currency: entry.price.currency,
+          value: (-delta).toFixed(2)
+        });
+      });
+
+    itemEntry['@ondc/org/item_quantity'] = { count: count - cancelled.quantity };
+  });
+
+  return {
+    quote: {
+      ...quote,
+      price: {
+        ...quote.price,
+        value: (parseFloat(quote.price.value) - reduction).toFixed(2)
+      },
+      breakup
+    },
+    quoteTrail
+  };
+};
+
+/**
+ * Get the seller part cancellations recorded on an order
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Array} Part cancellation records
+ */
+const getPartCancellations = (wooOrder) => {
+  return wooOrder.meta_data
+    .filter(meta => meta.key.startsWith(PART_CANCEL_META_PREFIX))
+    .map(meta => (typeof meta.value === 'string' ? JSON.parse(meta.value) : meta.value));
+};
+
+/**
+ * Get how many units of an item the seller has already cancelled
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {string} itemId - ONDC item ID
+ * @returns {number} Cancelled quantity
+ */
+const getCancelledQuantity = (wooOrder, itemId) => {
+  return getPartCancellations(wooOrder)
+    .flatMap(record => record.items)
+    .filter(entry => entry.id === itemId)
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+};
+
+/**
+ * Get the returns raised on an order
+ * @param {Object} wooOrder - WooCommerce order
+ * @returns {Array} Return records
+ */
+const getReturns = (wooOrder) => {
+  return wooOrder.meta_data
+    .filter(meta => meta.key.startsWith(RETURN_META_PREFIX))
+    .map(meta => (typeof meta.value === 'string' ? JSON.parse(meta.value) : meta.value));
+};
+
+/**
+ * Find the order line item for an ONDC item ID
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {string} itemId - ONDC item ID
+ * @returns {Object|undefined} WooCommerce line item
+ */
+const findLineItem = (wooOrder, itemId) => {
+  return wooOrder.line_items.find(item => {
+    const ondcItemId = itemMappingService.getLineItemOndcId(item);
+    return ondcItemId === itemId;
+  });
+};
+
+/**
+ * Build ONDC on_update response for a WooCommerce order with its returns
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {Object} context - ONDC context
+ * @returns {Object} ONDC on_update response
+ */
+const buildOnUpdateResponse = (wooOrder, context) => {
+  const ondcOrderId = wooOrder.meta_data.find(meta => meta.key === 'ondc_order_id')?.value || String(wooOrder.id);
+  const returns = getReturns(wooOrder);
+  const partCancellations = getPartCancellations(wooOrder);
+  const deliveryFulfillments = statusService.buildStatusFulfillments(wooOrder);
+  const state = statusService.getOrderState(
+    wooOrder,
+    deliveryFulfillments.map(fulfillment => fulfillment.state.descriptor.code)
+  );
+
+  return {
+    context: {
+      ...context,
+      action: 'on_update',
+      timestamp: new Date().toISOString()
+    },
+    message: {
+      order: {
+        id: ondcOrderId,
+        state,
+        provider: {
+          id: getCurrentProvider().id,
+          locations: [
+            {
+              id: getCurrentProvider().locations[0].id
+            }
+          ]
+        },
+        items: buildUpdateItems(wooOrder, returns, partCancellations),
+        billing: confirmService.buildBilling(wooOrder),
+        fulfillments: [
+          ...deliveryFulfillments,
+          ...partCancellations.map(buildCancelFulfillment),
+          ...returns.map(buildReturnFulfillment)
+        ],
+        quote: buildUpdateQuote(wooOrder, returns),
+        payment: confirmService.buildPayment(wooOrder),
+        created_at: wooOrder.date_created,
+        updated_at: wooOrder.date_modified || new Date().toISOString()
+      }
+    }
+  };
+};
+
+/**
+ * Build items array with cancelled and returned quantities moved to their own fulfillments
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {Array} returns - Return records
+ * @param {Array} partCancellations - Part cancellation records
+ * @returns {Array} ONDC items array
+ */
+const buildUpdateItems = (wooOrder, returns, partCancellations) => {
+  const items = confirmService.buildItemsArray(wooOrder);
+
+  const splits = [
+    ...partCancellations.flatMap(record =>
+      record.items.map(entry => ({ itemId: entry.id, fulfillmentId: record.id, quantity: entry.quantity }))
+    ),
+    ...returns
+      .filter(returnRecord => returnRecord.state !== 'Return_Rejected')
+      .map(returnRecord => ({
+        itemId: returnRecord.item_id,
+        fulfillmentId: returnRecord.id,
+        quantity: returnRecord.quantity
+      }))
+  ];
+
+  splits.forEach(split => {
+    const item = items.find(entry => entry.id === split.itemId);
+    if (item) {
+      item.quantity = { count: item.quantity.count - split.quantity };
+    }
+
+    items.push({
+      id: split.itemId,
+      fulfillment_id: split.fulfillmentId,
+      quantity: {
+        count: split.quantity
+      }
+    });
+  });
+
+  return items;
+};
+
+/**
+ * Build ONDC Cancel fulfillment for a seller part cancellation
+ * A refund tag says whether the buyer has been refunded for the cancelled items yet.
+ * @param {Object} record - Part cancellation record
+ * @returns {Object} ONDC fulfillment object
+ */
+const buildCancelFulfillment = (record) => {
+  return {
+    id: record.id,
+    type: 'Cancel',
+    state: {
+      descriptor: {
+        code: 'Cancelled'
+      }
+    },
+    tags: [
+      {
+        code: 'cancel_request',
+        list: [
+          {
+            code: 'reason_id',
+            value: record.reason_id
+          },
+          {
+            code: 'initiated_by',
+            value: record.initiated_by
+          }
+        ]
+      },
+      ...(parseFloat(record.refund_due) > 0 ? [
+        {
+          code: 'refund',
+          list: [
+            {
+              code: 'status',
+              value: record.refund_id ? 'Refunded' : 'Pending'
+            },
+            {
+              code: 'amount',
+              value: record.refund_due
+            }
+          ]
+        }
+      ] : []),
+      ...record.quote_trail.map(trail => ({
+        code: 'quote_trail',
+        list: [
+          {
+            code: 'type',
+            value: trail.type
+          },
+          {
+            code: 'id',
+            value: trail.id
+          },
+          {
+            code: 'currency',
+            value: trail.currency
+          },
+          {
+            code: 'value',
+            value: trail.value
+          }
+        ]
+      }))
+    ]
+  };
+};
+
+/**
+ * Build ONDC Return fulfillment
+ * @param {Object} returnRecord - Return record
+ * @returns {Object} ONDC fulfillment object
+ */
+const buildReturnFulfillment = (returnRecord) => {
+  const details = [
+    ['id', returnRecord.id],
+    ['item_id', returnRecord.item_id],
+    ['item_quantity', String(returnRecord.quantity)],
+    ['reason_id', returnRecord.reason_id],
+    ['reason_desc', returnRecord.reason_desc],
+    ['images', returnRecord.images.join(',')],
+    ['ttl_approval', returnRecord.ttl_approval],
+    ['ttl_reverseqc', returnRecord.ttl_reverseqc],
+    ['initiated_by', returnRecord.initiated_by]
+  ];
+
+  return {
+    id: returnRecord.id,
+    type: 'Return',
+    state: {
+      descriptor: {
+        code: returnRecord.state
+      }
+    },
+    tags: [
+      {
+        code: 'return_request',
+        list: details
+          .filter(([, value]) => value)
+          .map(([code, value]) => ({ code, value }))
+      }
+    ]
+  };
+};
+
+/**
+ * Build quote with refund lines for returns that have been refunded
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {Array} returns - Return records
+ * @returns {Object} ONDC quote object
+ */
+const buildUpdateQuote = (wooOrder, returns) => {
+  const quote = confirmService.buildQuote(wooOrder);
+  const refunded = returns.filter(returnRecord =>
+    REFUNDED_RETURN_STATES.includes(returnRecord.state) && returnRecord.refund_id
+  );
+
+  if (refunded.length === 0) {
+    return quote;
+  }
+
+  const refundTotal = refunded.reduce((sum, returnRecord) => sum + parseFloat(returnRecord.refund_amount), 0);
+
+  return {
+    ...quote,
+    price: {
+      ...quote.price,
+      value: (parseFloat(quote.price.value) - refundTotal).toFixed(2)
+    },
+    breakup: [
+      ...quote.breakup,
+      ...refunded.map(returnRecord => ({
+        '@ondc/org/item_id': returnRecord.item_id,
+        '@ondc/org/item_quantity': {
+          count: returnRecord.quantity
+        },
+        title: 'Refund',
+        '@ondc/org/title_type': 'refund',
+        price: {
+          currency: quote.price.currency,
+          value: (-parseFloat(returnRecord.refund_amount)).toFixed(2)
+        }
+      }))
+    ]
+  };
+};
+
+/**
+ * Send on_update callback to BAP
+ * @param {Object} ondcResponse - ONDC on_update response
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOnUpdateCallback = async (ondcResponse) => {
+  const { context } = ondcResponse;
+  const transactionId = context.transaction_id;
+  const orderId = ondcResponse.message.order.id;
+
+  try {
+    logger.info('Sending on_update callback to BAP', {
+      transactionId,
+      orderId,
+      orderState: ondcResponse.message.order.state,
+      bapUri: context.bap_uri
+    });
+
+    const result = await callbackHandler.sendCallback(
+      `${context.bap_uri}/on_update`,
+      ondcResponse,
+      transactionId,
+      'on_update'
+    );
+
+    return result.success;
+  } catch (error) {
+    logger.error('Error sending on_update callback', {
+      transactionId,
+      orderId,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+module.exports = {
+  processUpdate,
+  updateReturnState,
+  cancelItems,
+  retryCancellationRefund,
+  getReturns,
+  findLineItem,
+  buildOnUpdateResponse,
+  sendOnUpdateCallback
+};
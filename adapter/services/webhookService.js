@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const statusService = require('./statusService');
+
+/**
+ * Handle a WooCommerce order.updated webhook by pushing an unsolicited on_status to the buyer app
+ * @param {Object} wooOrder - WooCommerce order from the webhook payload
+ * @returns {Promise<Object>} Result describing whether a callback was sent
+ */
+const processOrderUpdated = async (wooOrder) => {
+  const findMeta = (key) => wooOrder.meta_data?.find(meta => meta.key === key)?.value;
+
+  const ondcOrderId = findMeta('ondc_order_id');
+  if (!ondcOrderId) {
+    // Not an ONDC order (or an init draft that was never confirmed)
+    return { sent: false, reason: 'not_ondc_order' };
+  }
+
+  const context = buildUnsolicitedContext(wooOrder, 'on_status');
+  if (!context.bap_uri) {
+    logger.warn('Cannot push on_status, order has no stored bap_uri', {
+      orderId: wooOrder.id,
+      ondcOrderId
+    });
+    return { sent: false, reason: 'missing_bap_uri' };
+  }
+
+  const ondcResponse = statusService.buildOnStatusResponse(wooOrder, context);
+
+  // order.updated fires on every save, including our own meta updates, so only push real state changes
+  const stateSignature = buildStateSignature(ondcResponse);
+  if (stateSignature === findMeta('ondc_last_notified_status')) {
+    logger.debug('Order state unchanged since last on_status, skipping', {
+      orderId: wooOrder.id,
+      stateSignature
+    });
+    return { sent: false, reason: 'unchanged' };
+  }
+
+  logger.info('Pushing unsolicited on_status for order update', {
+    orderId: wooOrder.id,
+    ondcOrderId,
+    transactionId: context.transaction_id,
+    orderState: ondcResponse.message.order.state,
+    wooStatus: wooOrder.status
+  });
+
+  // Store the signature before notifying: recording the callback status saves the order again, and the
+  // order.updated that fires must already see this state as notified. The outbox retries a failed callback.
+  await wooCommerceAPI.updateOrder(wooOrder.id, {
+    meta_data: [
+      { key: 'ondc_last_notified_status', value: stateSignature },
+      { key: 'ondc_last_notified_at', value: new Date().toISOString() }
+    ]
+  });
+
+  // The merchant's WooCommerce status stays as it is whatever the callback outcome
+  const result = await callbackHandler.sendCallback(
+    `${context.bap_uri}/on_status`,
+    ondcResponse,
+    context.transaction_id,
+    'on_status'
+  );
+
+  return { sent: true, success: result.success };
+};
+
+/**
+ * Build the context for a callback the BPP sends on its own initiative
+ * @param {Object} wooOrder - WooCommerce order
+ * @param {string} action - ONDC action (e.g. 'on_status')
+ * @returns {Object} ONDC context
+ */
+const buildUnsolicitedContext = (wooOrder, action) => {
+  const findMeta = (key) => wooOrder.meta_data?.find(meta => meta.key === key)?.value;
+
+  return {
+    domain: findMeta('ondc_domain') || config.ondc.domain,
+    country: findMeta('ondc_country') || config.ondc.country,
+    city: findMeta('ondc_city') || config.ondc.city,
+    action,
+    core_version: findMeta('ondc_core_version') || '1.2.0',
+    bap_id: findMeta('ondc_bap_id'),
+    bap_uri: findMeta('ondc_bap_uri'),
+    bpp_id: config.ondc.bppId,
+    bpp_uri: config.ondc.bppUri,
+    transaction_id: findMeta('ondc_transaction_id'),
+    // Unsolicited callbacks start a new message within the original transaction
+    message_id: crypto.randomUUID(),
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Summarise order and fulfillment states so repeated webhooks for the same state can be ignored
+ * @param {Object} ondcResponse - ONDC on_status response
+ * @returns {string} State signature
+ */
+const buildStateSignature = (ondcResponse) => {
+  const { order } = ondcResponse.message;
+  const fulfillmentStates = order.fulfillments
+    .map(fulfillment => `${fulfillment.id}:${fulfillment.state.descriptor.code}`)
+    .join(',');
+
+  return `${order.state}|${fulfillmentStates}`;
+};
+
+module.exports = {
+  processOrderUpdated,
+  buildUnsolicitedContext
+};
@@ -0,0 +1,165 @@
+const { after, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeDataDir } = require('./helpers');
+const config = require('../utils/config');
+const authRequestClient = require('../auth/authRequestClient');
+const callbackOutbox = require('../utils/callbackOutbox');
+
+const RETRY_DELAY = 40;
+const MAX_RETRY_DELAY = 160;
+
+// Timers on a busy machine fire late, never early
+const TIMER_SLACK = 100;
+
+let outcomes;
+let attemptTimes;
+
+const FAILURE = { success: false, error: 'connect ECONNREFUSED', retryable: true };
+const NACK = {
+  success: false,
+  status: 400,
+  data: { error: { code: '30016', message: 'Invalid signature' } },
+  error: 'Request failed with status code 400',
+  retryable: false
+};
+
+before(() => {
+  config.ondc.callbackRetryDelay = RETRY_DELAY;
+  config.ondc.callbackMaxRetryDelay = MAX_RETRY_DELAY;
+
+  // Each attempt takes the next planned outcome, then keeps failing
+  authRequestClient.attemptCallback = async () => {
+    attemptTimes.push(Date.now());
+    return outcomes.shift() || FAILURE;
+  };
+});
+
+beforeEach(() => {
+  outcomes = [];
+  attemptTimes = [];
+  callbackOutbox.purgeDeadLetters();
+});
+
+after(removeDataDir);
+
+/**
+ * Add a callback to the outbox
+ * @param {Object} [options] - Outbox options (expiresAt)
+ * @param {string} [ttl] - ttl of the callback's context
+ * @returns {Object} Outbox record
+ */
+const enqueueCallback = (options = {}, ttl = 'PT30S') => callbackOutbox.enqueue(
+  'http://bap.example.com/on_confirm',
+  { context: { transaction_id: 'T1', action: 'on_confirm', ttl }, message: {} },
+  'T1',
+  'on_confirm',
+  options
+);
+
+describe('deliver', () => {
+  it('retries failures until the callback goes through', async () => {
+    outcomes = [FAILURE, FAILURE, { success: true }];
+    const record = enqueueCallback();
+
+    const result = await callbackOutbox.deliver(record);
+
+    assert.equal(result.success, true);
+    assert.equal(record.attempts, 3);
+    assert.deepEqual(callbackOutbox.listPending(), []);
+    assert.deepEqual(callbackOutbox.listDeadLetters(), []);
+  });
+
+  it('backs off exponentially with jitter, up to the cap', async () => {
+    outcomes = [FAILURE, FAILURE, FAILURE, FAILURE, { success: true }];
+    await callbackOutbox.deliver(enqueueCallback());
+
+    const gaps = attemptTimes.slice(1).map((time, index) => time - attemptTimes[index]);
+    const ceilings = [RETRY_DELAY, RETRY_DELAY * 2, RETRY_DELAY * 4, MAX_RETRY_DELAY];
+
+    assert.equal(gaps.length, ceilings.length);
+    gaps.forEach((gap, index) => {
+      const message = `attempt ${index + 2} came ${gap}ms after the last, expected ${ceilings[index] / 2}-${ceilings[index]}ms`;
+      assert.ok(gap >= ceilings[index] / 2 - 1, message);
+      assert.ok(gap <= ceilings[index] + TIMER_SLACK, message);
+    });
+  });
+
+  it('dead-letters a NACK without retrying', async () => {
+    outcomes = [NACK];
+    const record = enqueueCallback();
+
+    const result = await callbackOutbox.deliver(record);
+
+    assert.equal(result.success, false);
+    assert.equal(attemptTimes.length, 1);
+    assert.deepEqual(callbackOutbox.listPending(), []);
+
+    const [deadLetter] = callbackOutbox.listDeadLetters();
+    assert.equal(deadLetter.id, record.id);
+    assert.equal(deadLetter.last_status, 400);
+    assert.deepEqual(deadLetter.last_response, NACK.data);
+  });
+});
+
+describe('expiry', () => {
+  it('takes the retry window from the callback ttl', async () => {
+    const start = Date.now();
+    const record = enqueueCallback({}, 'PT2S');
+
+    assert.ok(Date.parse(record.expires_at) >= start + 2000);
+    assert.ok(Date.parse(record.expires_at) <= Date.now() + 2000);
+
+    outcomes = [{ success: true }];
+    await callbackOutbox.deliver(record);
+  });
+
+  it('stops retrying and dead-letters once the callback expires', async () => {
+    const expiresAt = Date.now() + 300;
+    const record = enqueueCallback({ expiresAt });
+
+    const result = await callbackOutbox.deliver(record);
+
+    assert.equal(result.success, false);
+    assert.ok(attemptTimes.length > 1);
+    assert.ok(attemptTimes.every(time => time <= expiresAt));
+    assert.deepEqual(callbackOutbox.listPending(), []);
+    assert.equal(callbackOutbox.listDeadLetters()[0].id, record.id);
+  });
+
+  it('dead-letters unsent a callback that expired before its first attempt', async () => {
+    const record = enqueueCallback({ expiresAt: Date.now() - 1000 });
+
+    const result = await callbackOutbox.deliver(record);
+
+    assert.equal(result.success, false);
+    assert.equal(attemptTimes.length, 0);
+    assert.equal(record.attempts, 0);
+
+    const [deadLetter] = callbackOutbox.listDeadLetters();
+    assert.equal(deadLetter.id, record.id);
+    assert.equal(deadLetter.last_error, 'Callback expired before it could be delivered');
+  });
+});
+
+describe('requeueDeadLetter', () => {
+  it('moves a dead letter back to the outbox with a fresh window', async () => {
+    outcomes = [NACK];
+    const record = enqueueCallback();
+    await callbackOutbox.deliver(record);
+
+    const requeued = callbackOutbox.requeueDeadLetter(record.id);
+
+    assert.equal(requeued.id, record.id);
+    assert.ok(Date.parse(requeued.expires_at) > Date.now());
+    assert.deepEqual(callbackOutbox.listPending().map(pending => pending.id), [record.id]);
+    assert.deepEqual(callbackOutbox.listDeadLetters(), []);
+
+    outcomes = [{ success: true }];
+    assert.equal((await callbackOutbox.deliver(requeued)).success, true);
+    assert.deepEqual(callbackOutbox.listPending(), []);
+  });
+
+  it('returns null for an unknown callback', () => {
+    assert.equal(callbackOutbox.requeueDeadLetter('missing'), null);
+  });
+});
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the stores of a test run out of the real data directory; set before config is first loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'woocommerce-adaptor-test-'));
+process.env.DATA_DIR = dataDir;
+
+// Tests exercise failure paths on purpose, keep them out of the console and log files
+require('../utils/logger').silent = true;
+
+/**
+ * Remove the test run's data directory
+ */
+const removeDataDir = () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+};
+
+module.exports = {
+  dataDir,
+  removeDataDir
+};
@@ -0,0 +1,116 @@
+const { after, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeDataDir } = require('./helpers');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const statusService = require('../services/statusService');
+const cancelService = require('../services/cancelService');
+const issueService = require('../services/issueService');
+
+let cancellations;
+let refunds;
+let refundsFail;
+
+const CANCEL_RESOLUTION = {
+  respondent_action: 'RESOLVED',
+  short_desc: 'Order cancelled',
+  resolution: { short_desc: 'Order cancelled and refunded', action_triggered: 'CANCEL' }
+};
+
+/**
+ * Raise an issue on WooCommerce order 5
+ * @param {string} issueId - Issue ID
+ * @returns {Promise<Object>} ONDC on_issue response
+ */
+const raiseIssue = (issueId) => issueService.processIssue({
+  context: { transaction_id: `T-${issueId}`, bap_id: 'bap.example.com', bap_uri: 'http://bap.example.com', bpp_id: 'bpp.example.com' },
+  message: {
+    issue: {
+      id: issueId,
+      issue_type: 'ISSUE',
+      category: 'ITEM',
+      sub_category: 'ITM02',
+      order_details: { id: 'O1' },
+      issue_actions: { complainant_actions: [] },
+      created_at: '2026-10-01T10:00:00.000Z'
+    }
+  }
+});
+
+/**
+ * Get a stored issue
+ * @param {string} issueId - Issue ID
+ * @returns {Object|undefined} Issue record
+ */
+const getIssue = (issueId) => issueService.listIssues().find(record => record.id === issueId);
+
+beforeEach(() => {
+  cancellations = 0;
+  refunds = [];
+  refundsFail = false;
+
+  statusService.findBuyerOrder = async () => ({ id: 5, status: 'processing', total: '117.00', meta_data: [] });
+
+  wooCommerceAPI.getOrder = async (id) => ({ id, status: 'processing', total: '117.00', meta_data: [] });
+  wooCommerceAPI.updateOrder = async (id, data) => {
+    if (data.status === 'cancelled') {
+      cancellations += 1;
+    }
+    return { id };
+  };
+  cancelService.processRefund = async (orderId, amount) => {
+    if (refundsFail) {
+      return null;
+    }
+    refunds.push(amount);
+    return { id: 900 + refunds.length, amount: amount.toFixed(2) };
+  };
+  callbackHandler.sendCallback = async () => ({ success: true });
+});
+
+after(removeDataDir);
+
+describe('CANCEL resolution', () => {
+  it('refunds the order total when no refund amount is given', async () => {
+    await raiseIssue('I1');
+    const { issue } = await issueService.recordRespondentAction('I1', CANCEL_RESOLUTION);
+
+    assert.equal(cancellations, 1);
+    assert.deepEqual(refunds, [117]);
+    assert.equal(issue.resolution.refund_amount, '117.00');
+    assert.equal(issue.resolution.refund_id, 901);
+  });
+
+  it('keeps a cancelled order whose refund failed and only retries the refund', async () => {
+    await raiseIssue('I2');
+    refundsFail = true;
+    await assert.rejects(
+      issueService.recordRespondentAction('I2', CANCEL_RESOLUTION),
+      error => error.status === 502
+    );
+
+    const stored = getIssue('I2');
+    assert.equal(cancellations, 1);
+    assert.equal(stored.pending_resolution.action_triggered, 'CANCEL');
+    assert.equal(stored.pending_resolution.refund_amount, 117);
+    assert.equal(stored.resolution, null);
+    assert.equal(stored.respondent_actions.some(action => action.respondent_action === 'RESOLVED'), false);
+
+    await assert.rejects(
+      issueService.recordRespondentAction('I2', {
+        ...CANCEL_RESOLUTION,
+        resolution: { short_desc: 'Nothing to do', action_triggered: 'NO-ACTION' }
+      }),
+      error => error.status === 409
+    );
+
+    refundsFail = false;
+    const { issue } = await issueService.recordRespondentAction('I2', CANCEL_RESOLUTION);
+
+    assert.equal(cancellations, 1);
+    assert.deepEqual(refunds, [117]);
+    assert.equal(issue.resolution.refund_id, 901);
+    assert.equal(issue.pending_resolution, undefined);
+    assert.equal(issue.respondent_actions[issue.respondent_actions.length - 1].respondent_action, 'RESOLVED');
+  });
+});
@@ -0,0 +1,152 @@
+const { after, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeDataDir } = require('./helpers');
+const config = require('../utils/config');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const itemMappingService = require('../services/itemMappingService');
+const quoteService = require('../services/quoteService');
+
+let products;
+
+beforeEach(() => {
+  products = {
+    1: {
+      id: 1,
+      name: 'Apple',
+      type: 'simple',
+      price: '40',
+      manage_stock: true,
+      stock_quantity: 10,
+      tax_status: 'taxable',
+      tax_class: ''
+    }
+  };
+
+  wooCommerceAPI.getProductById = async (id) => {
+    if (!products[id]) {
+      throw Object.assign(new Error('Not found'), { response: { status: 404 } });
+    }
+    return products[id];
+  };
+  wooCommerceAPI.getTaxRates = async () => [{ country: 'IN', postcodes: [], rate: '5.0000' }];
+  wooCommerceAPI.getShippingZones = async () => [{ id: 0, order: 0 }, { id: 1, order: 1 }];
+  wooCommerceAPI.getShippingZoneLocations = async () => [{ type: 'postcode', code: '5600*' }];
+  wooCommerceAPI.getShippingZoneMethods = async () => [
+    { enabled: true, method_id: 'free_shipping', settings: { min_amount: { value: '500' } } },
+    { enabled: true, method_id: 'flat_rate', settings: { cost: { value: '30' } } }
+  ];
+});
+
+after(removeDataDir);
+
+/**
+ * Build an ONDC order for a cart
+ * @param {Array} items - Item ID and count pairs
+ * @param {string} [areaCode] - Delivery postcode
+ * @returns {Object} ONDC order
+ */
+const buildOrder = (items, areaCode = '560076') => ({
+  items: items.map(([id, count]) => ({ id, quantity: { count } })),
+  fulfillments: [{ id: 'F1', end: { location: { address: { area_code: areaCode, country: 'IND' } } } }]
+});
+
+/**
+ * Find a quote breakup entry
+ * @param {Object} quote - ONDC quote
+ * @param {string} titleType - Breakup title type
+ * @returns {Object|undefined} Breakup entry
+ */
+const findEntry = (quote, titleType) => quote.breakup.find(entry => entry['@ondc/org/title_type'] === titleType);
+
+describe('computeQuote', () => {
+  it('prices items, tax, delivery and packing from WooCommerce', async () => {
+    const itemId = itemMappingService.getOndcItemId(1);
+    const { quote, error } = await quoteService.computeQuote(buildOrder([[itemId, 3]]));
+
+    assert.equal(error, null);
+    assert.equal(findEntry(quote, 'item').price.value, '120.00');
+    assert.equal(findEntry(quote, 'item')['@ondc/org/item_quantity'].count, 3);
+    assert.equal(findEntry(quote, 'tax').price.value, '6.00');
+    assert.equal(findEntry(quote, 'delivery').price.value, '30.00');
+    assert.equal(findEntry(quote, 'packing').price.value, config.quote.packingCharge.toFixed(2));
+    assert.equal(quote.price.value, (156 + config.quote.packingCharge).toFixed(2));
+  });
+
+  it('applies free shipping above the zone threshold', async () => {
+    const itemId = itemMappingService.getOndcItemId(1);
+    products[1].stock_quantity = 20;
+    const { quote } = await quoteService.computeQuote(buildOrder([[itemId, 15]]));
+
+    assert.equal(findEntry(quote, 'delivery').price.value, '0.00');
+  });
+
+  it('caps the count at the stock and reports 40002', async () => {
+    const itemId = itemMappingService.getOndcItemId(1);
+    products[1].stock_quantity = 2;
+    const { quote, error } = await quoteService.computeQuote(buildOrder([[itemId, 5]]));
+
+    assert.equal(findEntry(quote, 'item')['@ondc/org/item_quantity'].count, 2);
+    assert.equal(error.code, '40002');
+    assert.deepEqual(JSON.parse(error.message), [{ item_id: itemId, error: '40002' }]);
+  });
+
+  it('reports 30004 for item IDs that were never listed', async () => {
+    const { error } = await quoteService.computeQuote(buildOrder([['I999', 1]]));
+
+    assert.equal(error.code, '30004');
+  });
+
+  it('resolves the bare product IDs of earlier catalogs', async () => {
+    itemMappingService.getOndcItemId(1);
+    const { quote, error } = await quoteService.computeQuote(buildOrder([['1', 1]]));
+
+    assert.equal(error, null);
+    assert.equal(findEntry(quote, 'item').price.value, '40.00');
+  });
+});
+
+describe('quotesMatch', () => {
+  it('matches the same cart quoted twice', async () => {
+    const order = buildOrder([[itemMappingService.getOndcItemId(1), 2]]);
+    const first = await quoteService.computeQuote(order);
+    const second = await quoteService.computeQuote(order);
+
+    assert.ok(quoteService.quotesMatch(first.quote, second.quote));
+  });
+
+  it('ignores breakup order and number formatting', async () => {
+    const { quote } = await quoteService.computeQuote(buildOrder([[itemMappingService.getOndcItemId(1), 2]]));
+    const echoed = structuredClone(quote);
+    echoed.breakup.reverse();
+    echoed.price.value = String(parseFloat(echoed.price.value));
+
+    assert.ok(quoteService.quotesMatch(quote, echoed));
+  });
+
+  it('rejects a changed line price, quantity or total', async () => {
+    const { quote } = await quoteService.computeQuote(buildOrder([[itemMappingService.getOndcItemId(1), 2]]));
+
+    const linePrice = structuredClone(quote);
+    findEntry(linePrice, 'item').price.value = '1.00';
+    assert.equal(quoteService.quotesMatch(quote, linePrice), false);
+
+    const quantity = structuredClone(quote);
+    findEntry(quantity, 'item')['@ondc/org/item_quantity'].count = 1;
+    assert.equal(quoteService.quotesMatch(quote, quantity), false);
+
+    const total = structuredClone(quote);
+    total.price.value = '0.00';
+    assert.equal(quoteService.quotesMatch(quote, total), false);
+  });
+
+  it('rejects a missing quote', () => {
+    assert.equal(quoteService.quotesMatch({ price: { value: '0' }, breakup: [] }, null), false);
+  });
+
+  it('matches the quote stored on an order', async () => {
+    const { quote } = await quoteService.computeQuote(buildOrder([[itemMappingService.getOndcItemId(1), 2]]));
+    const wooOrder = { id: 5, meta_data: [quoteService.buildQuoteMeta(quote)] };
+
+    assert.ok(quoteService.quotesMatch(quoteService.getStoredQuote(wooOrder), quote));
+  });
+});
@@ -0,0 +1,130 @@
+const { after, afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { removeDataDir } = require('./helpers');
+const config = require('../utils/config');
+const { parseDuration } = require('../utils/duration');
+const reservationService = require('../services/reservationService');
+
+const HOLD_MS = 60000;
+
+/**
+ * Build a resolved quote line, as quoteService.computeQuote returns them
+ * @param {number} count - Quoted count
+ * @param {number} stock - WooCommerce stock
+ * @param {Object} [overrides] - Other line fields
+ * @returns {Object} Quote line
+ */
+const buildLine = (count, stock, overrides = {}) => ({
+  itemId: 'I1',
+  productId: 1,
+  variationId: null,
+  stockTracked: true,
+  count,
+  stock,
+  ...overrides
+});
+
+afterEach(() => {
+  ['T1', 'T2', 'T3'].forEach(transactionId => reservationService.release(transactionId, 'test'));
+});
+
+after(removeDataDir);
+
+describe('reserve', () => {
+  it('holds stock against other transactions but not its own', () => {
+    reservationService.reserve('T1', [buildLine(3, 5)], HOLD_MS);
+
+    assert.equal(reservationService.getReservedCount(1, null, 'T2'), 3);
+    assert.equal(reservationService.getReservedCount(1, null, 'T1'), 0);
+    assert.equal(reservationService.getReservedCount(2, null, 'T2'), 0);
+  });
+
+  it('rejects with 40002 once other transactions hold the stock', () => {
+    reservationService.reserve('T1', [buildLine(3, 5)], HOLD_MS);
+
+    assert.throws(
+      () => reservationService.reserve('T2', [buildLine(3, 5)], HOLD_MS),
+      error => error.code === '40002' && JSON.parse(error.message)[0].item_id === 'I1'
+    );
+    assert.equal(reservationService.getActiveReservation('T2'), null);
+
+    reservationService.reserve('T2', [buildLine(2, 5)], HOLD_MS);
+    assert.equal(reservationService.getReservedCount(1, null, 'T3'), 5);
+  });
+
+  it('replaces what the transaction held before', () => {
+    reservationService.reserve('T1', [buildLine(3, 5)], HOLD_MS);
+    reservationService.reserve('T1', [buildLine(1, 5)], HOLD_MS);
+
+    assert.equal(reservationService.getReservedCount(1, null, 'T2'), 1);
+  });
+
+  it('only holds stock-tracked lines', () => {
+    const reservation = reservationService.reserve('T1', [
+      buildLine(3, 5),
+      buildLine(2, 99, { itemId: 'I2', productId: 2, stockTracked: false })
+    ], HOLD_MS);
+
+    assert.deepEqual(reservation.items.map(item => item.ondc_item_id), ['I1']);
+  });
+
+  it('keeps variations of a product apart', () => {
+    reservationService.reserve('T1', [buildLine(2, 2, { itemId: 'I1V7', variationId: 7 })], HOLD_MS);
+
+    assert.equal(reservationService.getReservedCount(1, 7, 'T2'), 2);
+    assert.equal(reservationService.getReservedCount(1, null, 'T2'), 0);
+  });
+});
+
+describe('expiry', () => {
+  it('stops counting a lapsed hold', async () => {
+    reservationService.reserve('T1', [buildLine(5, 5)], 20);
+    await sleep(40);
+
+    assert.equal(reservationService.getActiveReservation('T1'), null);
+    assert.equal(reservationService.getReservedCount(1, null, 'T2'), 0);
+    assert.doesNotThrow(() => reservationService.reserve('T2', [buildLine(5, 5)], HOLD_MS));
+  });
+});
+
+describe('coversLines', () => {
+  it('covers the lines the transaction reserved', () => {
+    reservationService.reserve('T1', [buildLine(3, 5)], HOLD_MS);
+
+    assert.ok(reservationService.coversLines('T1', [buildLine(3, 5)]));
+    assert.ok(reservationService.coversLines('T1', [buildLine(3, 5), buildLine(4, 99, { itemId: 'I2', stockTracked: false })]));
+  });
+
+  it('does not cover more than was reserved or other items', () => {
+    reservationService.reserve('T1', [buildLine(3, 5)], HOLD_MS);
+
+    assert.equal(reservationService.coversLines('T1', [buildLine(4, 5)]), false);
+    assert.equal(reservationService.coversLines('T1', [buildLine(1, 5, { itemId: 'I2', productId: 2 })]), false);
+  });
+
+  it('does not cover anything once the hold lapsed or was released', async () => {
+    reservationService.reserve('T1', [buildLine(3, 5)], 20);
+    await sleep(40);
+    assert.equal(reservationService.coversLines('T1', [buildLine(3, 5)]), false);
+
+    reservationService.reserve('T2', [buildLine(3, 5)], HOLD_MS);
+    assert.ok(reservationService.release('T2', 'test'));
+    assert.equal(reservationService.coversLines('T2', [buildLine(3, 5)]), false);
+  });
+});
+
+describe('getHoldDuration', () => {
+  it('uses the configured window, else the quote ttl', (t) => {
+    const { reservationTtl } = config.inventory;
+    t.after(() => {
+      config.inventory.reservationTtl = reservationTtl;
+    });
+
+    config.inventory.reservationTtl = 'PT10M';
+    assert.equal(reservationService.getHoldDuration(), 600000);
+
+    config.inventory.reservationTtl = undefined;
+    assert.equal(reservationService.getHoldDuration(), parseDuration(config.quote.ttl));
+  });
+});
@@ -0,0 +1,268 @@
+const { after, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeDataDir } = require('./helpers');
+const wooCommerceAPI = require('../utils/wooCommerceAPI');
+const callbackHandler = require('../utils/callbackHandler');
+const cancelService = require('../services/cancelService');
+const quoteService = require('../services/quoteService');
+const updateService = require('../services/updateService');
+
+const { processRefund } = cancelService;
+
+let wooOrder;
+let callbacks;
+let refunds;
+
+/**
+ * Build an ONDC quote breakup entry
+ * @param {string} itemId - Item or fulfillment ID
+ * @param {string} titleType - Breakup title type
+ * @param {string} value - Price
+ * @param {number} [count] - Item quantity, for item lines
+ * @returns {Object} Breakup entry
+ */
+const buildEntry = (itemId, titleType, value, count) => ({
+  '@ondc/org/item_id': itemId,
+  ...(count !== undefined && { '@ondc/org/item_quantity': { count } }),
+  title: titleType,
+  '@ondc/org/title_type': titleType,
+  price: { currency: 'INR', value }
+});
+
+/**
+ * Build a confirmed WooCommerce order with three units of one item, 20 each plus 1 tax per unit
+ * @param {string} status - WooCommerce order status
+ * @returns {Object} WooCommerce order
+ */
+const buildWooOrder = (status) => {
+  const quote = {
+    price: { currency: 'INR', value: '117.00' },
+    breakup: [
+      buildEntry('I1', 'item', '60.00', 3),
+      buildEntry('I1', 'tax', '3.00'),
+      buildEntry('F1', 'delivery', '54.00')
+    ],
+    ttl: 'PT1H'
+  };
+
+  return {
+    id: 5,
+    status,
+    total: '117.00',
+    date_created: '2026-10-01T10:00:00',
+    billing: { first_name: 'A', last_name: 'B', address_1: 'Street 1', city: 'Bengaluru' },
+    shipping: { first_name: 'A', last_name: 'B', address_1: 'Street 1', city: 'Bengaluru' },
+    line_items: [
+      {
+        id: 77,
+        product_id: 1,
+        name: 'Apple',
+        quantity: 3,
+        price: '20',
+        total: '60.00',
+        total_tax: '3.00',
+        meta_data: [
+          { key: 'ondc_item_id', value: 'I1' },
+          { key: 'ondc_fulfillment_id', value: 'F1' }
+        ]
+      }
+    ],
+    shipping_lines: [{ total: '54.00', meta_data: [] }],
+    fee_lines: [],
+    meta_data: [
+      { key: 'ondc_order_id', value: 'O1' },
+      { key: 'ondc_transaction_id', value: 'T1' },
+      { key: 'ondc_bap_uri', value: 'http://bap.example.com' },
+      quoteService.buildQuoteMeta(quote)
+    ]
+  };
+};
+
+/**
+ * Add a return to the order
+ * @param {Object} returnRecord - Return record fields
+ */
+const addReturn = (returnRecord) => {
+  wooOrder.meta_data.push({
+    key: `ondc_return_${returnRecord.id}`,
+    value: JSON.stringify({ item_id: 'I1', reason_id: '001', images: [], ...returnRecord })
+  });
+};
+
+/**
+ * Get the quote of the last on_update sent
+ * @returns {Object} ONDC quote
+ */
+const lastQuote = () => callbacks[callbacks.length - 1].message.order.quote;
+
+beforeEach(() => {
+  callbacks = [];
+  refunds = [];
+  cancelService.processRefund = processRefund;
+
+  wooCommerceAPI.getOrders = async () => [wooOrder];
+  wooCommerceAPI.updateOrder = async (id, data) => {
+    (data.meta_data || []).forEach(entry => {
+      const existing = wooOrder.meta_data.find(meta => meta.key === entry.key);
+      if (existing) {
+        existing.value = entry.value;
+      } else {
+        wooOrder.meta_data.push({ ...entry });
+      }
+    });
+    return wooOrder;
+  };
+  wooCommerceAPI.createRefund = async (id, data) => {
+    refunds.push(data);
+    return { id: 900 + refunds.length, amount: data.amount };
+  };
+  callbackHandler.sendCallback = async (url, payload) => {
+    callbacks.push(payload);
+    return { success: true };
+  };
+});
+
+after(removeDataDir);
+
+describe('return refunds', () => {
+  beforeEach(() => {
+    wooOrder = buildWooOrder('completed');
+    addReturn({ id: 'R1', quantity: 1, state: 'Return_Approved' });
+  });
+
+  it('refunds the returned quantity and shows it in the quote', async () => {
+    const { return: returnRecord } = await updateService.updateReturnState('O1', 'R1', { state: 'Return_Picked' });
+
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].amount, '21.00');
+    assert.equal(returnRecord.refund_amount, '21.00');
+    assert.ok(returnRecord.refund_id);
+
+    const quote = lastQuote();
+    const refundLine = quote.breakup.find(entry => entry['@ondc/org/title_type'] === 'refund');
+    assert.equal(refundLine['@ondc/org/item_id'], 'I1');
+    assert.equal(refundLine['@ondc/org/item_quantity'].count, 1);
+    assert.equal(refundLine.price.value, '-21.00');
+    assert.equal(quote.price.value, '96.00');
+  });
+
+  it('keeps a failed refund out of the quote and lets it be retried', async () => {
+    cancelService.processRefund = async () => null;
+    const { return: failed } = await updateService.updateReturnState('O1', 'R1', { state: 'Return_Picked' });
+
+    assert.equal(failed.refund_id, null);
+    assert.equal(failed.refund_amount, null);
+    assert.ok(failed.refund_failed_at);
+    assert.equal(lastQuote().breakup.some(entry => entry['@ondc/org/title_type'] === 'refund'), false);
+    assert.equal(lastQuote().price.value, '117.00');
+
+    cancelService.processRefund = async () => ({ id: 950, amount: '21.00' });
+    const { return: retried } = await updateService.updateReturnState('O1', 'R1', { state: 'Return_Picked' });
+
+    assert.equal(retried.refund_id, 950);
+    assert.equal(retried.refund_amount, '21.00');
+    assert.equal(lastQuote().price.value, '96.00');
+
+    await assert.rejects(
+      updateService.updateReturnState('O1', 'R1', { state: 'Return_Picked' }),
+      error => error.status === 409
+    );
+  });
+
+  it('leaves rejected returns out of the quote', async () => {
+    addReturn({ id: 'R2', quantity: 1, state: 'Return_Initiated' });
+    await updateService.updateReturnState('O1', 'R2', { state: 'Return_Rejected' });
+
+    assert.equal(refunds.length, 0);
+    assert.equal(lastQuote().price.value, '117.00');
+  });
+});
+
+describe('part cancellation', () => {
+  beforeEach(() => {
+    wooOrder = buildWooOrder('processing');
+  });
+
+  it('takes the cancelled quantity and its tax out of the quote', async () => {
+    const { cancellation } = await updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 1 }] });
+
+    assert.deepEqual(cancellation.quote_trail, [
+      { type: 'item', id: 'I1', currency: 'INR', value: '-20.00' },
+      { type: 'tax', id: 'I1', currency: 'INR', value: '-1.00' }
+    ]);
+
+    const quote = lastQuote();
+    const itemLine = quote.breakup.find(entry => entry['@ondc/org/title_type'] === 'item');
+    assert.equal(itemLine['@ondc/org/item_quantity'].count, 2);
+    assert.equal(itemLine.price.value, '40.00');
+    assert.equal(quote.breakup.find(entry => entry['@ondc/org/title_type'] === 'tax').price.value, '2.00');
+    assert.equal(quote.price.value, '96.00');
+
+    const cancelFulfillment = callbacks[0].message.order.fulfillments.find(fulfillment => fulfillment.type === 'Cancel');
+    assert.equal(cancelFulfillment.id, cancellation.id);
+    assert.equal(cancelFulfillment.tags.filter(tag => tag.code === 'quote_trail').length, 2);
+  });
+
+  it('reports a failed refund as pending and lets it be retried', async () => {
+    /**
+     * Get the refund tag of the Cancel fulfillment in the last on_update sent
+     * @returns {Object} Refund tag values by code
+     */
+    const lastRefundTag = () => {
+      const cancelFulfillment = callbacks[callbacks.length - 1].message.order.fulfillments
+        .find(fulfillment => fulfillment.type === 'Cancel');
+      const tag = cancelFulfillment.tags.find(entry => entry.code === 'refund');
+      return Object.fromEntries(tag.list.map(entry => [entry.code, entry.value]));
+    };
+
+    cancelService.processRefund = async () => null;
+    const { cancellation: failed } = await updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 1 }] });
+
+    assert.equal(failed.refund_id, null);
+    assert.equal(failed.refund_amount, null);
+    assert.equal(failed.refund_due, '21.00');
+    assert.ok(failed.refund_failed_at);
+    assert.deepEqual(lastRefundTag(), { status: 'Pending', amount: '21.00' });
+
+    cancelService.processRefund = async (orderId, amount, reasonId, context, options) => {
+      refunds.push({ amount, ...options });
+      return { id: 960, amount: amount.toFixed(2) };
+    };
+    const { cancellation: retried } = await updateService.retryCancellationRefund('O1', failed.id);
+
+    assert.equal(retried.refund_id, 960);
+    assert.equal(retried.refund_amount, '21.00');
+    assert.deepEqual(refunds[0].lineItems, [{ id: 77, quantity: 1, refund_total: '20.00' }]);
+    assert.deepEqual(lastRefundTag(), { status: 'Refunded', amount: '21.00' });
+    assert.equal(lastQuote().price.value, '96.00');
+
+    await assert.rejects(
+      updateService.retryCancellationRefund('O1', failed.id),
+      error => error.status === 409
+    );
+  });
+
+  it('revises the revised quote on a second cancellation', async () => {
+    await updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 1 }] });
+    await updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 1 }] });
+
+    const quote = lastQuote();
+    assert.equal(quote.breakup.find(entry => entry['@ondc/org/title_type'] === 'item').price.value, '20.00');
+    assert.equal(quote.price.value, '75.00');
+  });
+
+  it('refuses to cancel every remaining item or more than is left', async () => {
+    await assert.rejects(
+      updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 3 }] }),
+      error => error.status === 400
+    );
+
+    await updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 2 }] });
+
+    await assert.rejects(
+      updateService.cancelItems('O1', { reason_id: '002', items: [{ id: 'I1', quantity: 2 }] }),
+      error => error.status === 400
+    );
+    assert.equal(lastQuote().price.value, '75.00');
+  });
+});
@@ -1,25 +1,103 @@
 const logger = require('./logger');
-const authRequestClient = require('../auth/authRequestClient');
+const callbackOutbox = require('./callbackOutbox');
+const transactionStore = require('./transactionStore');
 const wooCommerceAPI = require('./wooCommerceAPI');
 
 /**
  * Send callback to BAP with retry logic and authentication
+ * The callback goes through the persistent outbox: it is retried with backoff until its ttl runs out, then
+ * dead-lettered, and a callback still pending when the process stops is resumed on the next start.
  * @param {string} url - Callback URL
  * @param {Object} payload - Callback payload
  * @param {string} transactionId - ONDC transaction ID for logging
  * @param {string} type - Callback type (e.g., 'on_init', 'on_confirm')
+ * @param {Object} [options] - Optional expiresAt (ms) to stop retrying at, instead of the callback's ttl
  * @returns {Promise<Object>} Result with success status
  */
-const sendCallback = async (url, payload, transactionId, type) => {
-  // Use the authenticated request client for sending callbacks
-  const result = await authRequestClient.sendAuthenticatedCallback(url, payload, transactionId, type);
+const sendCallback = async (url, payload, transactionId, type, options = {}) => {
+  const record = callbackOutbox.enqueue(url, payload, transactionId, type, options);
+  return deliverRecord(record);
+};
+
+/**
+ * Deliver an outbox record and record the outcome on the transaction and order
+ * @param {Object} record - Outbox record
+ * @returns {Promise<Object>} Result with success status
+ */
+const deliverRecord = async (record) => {
+  const result = await callbackOutbox.deliver(record);
+  
+  await transactionStore.recordMessage(record.payload, 'sent', record.provider_id, result);
   
   // Record callback status in order metadata
-  await recordCallbackStatus(transactionId, type, result.success, result.error);
+  await recordCallbackStatus(record.transaction_id, record.type, result.success, result.error);
   
   return result;
 };
 
+/**
+ * Resume callbacks left in the outbox by a previous run, in the background
+ * Follow-up work the original request did after its callback (e.g. accepting a confirmed order) isn't
+ * resumed, only the delivery itself.
+ * @returns {number} Number of callbacks resumed
+ */
+const resumePendingCallbacks = () => {
+  const pending = callbackOutbox.listPending();
+  
+  if (pending.length > 0) {
+    logger.info('Resuming pending callbacks from the outbox', { count: pending.length });
+  }
+  
+  pending.forEach(record => {
+    callbackOutbox.runForRecord(record, () => deliverRecord(record))
+      .catch(error => {
+        logger.error('Error resuming pending callback', {
+          transactionId: record.transaction_id,
+          callbackId: record.id,
+          error: error.message
+        });
+      });
+  });
+  
+  return pending.length;
+};
+
+/**
+ * Put a dead-lettered callback back in the outbox and deliver it in the background
+ * A callback that fails again goes back to the dead-letter queue.
+ * @param {string} callbackId - Callback ID
+ * @returns {Object|null} Outbox record, or null if there is no such dead letter
+ */
+const replayDeadLetter = (callbackId) => {
+  const record = callbackOutbox.requeueDeadLetter(callbackId);
+  
+  if (!record) {
+    return null;
+  }
+  
+  callbackOutbox.runForRecord(record, () => deliverRecord(record))
+    .catch(error => {
+      logger.error('Error replaying dead-lettered callback', {
+        transactionId: record.transaction_id,
+        callbackId,
+        error: error.message
+      });
+    });
+  
+  return record;
+};
+
+/**
+ * Get the WooCommerce order a transaction's callbacks are recorded on: the confirmed order, or the init
+ * draft before confirm
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<number|null>} WooCommerce order ID, or null when the transaction has no order yet
+ */
+const getTransactionOrderId = async (transactionId) => {
+  const transaction = await transactionStore.getTransaction(transactionId);
+  return transaction?.woo_order_id || transaction?.init_order_id || null;
+};
+
 /**
  * Record callback status in order metadata
  * @param {string} transactionId - ONDC transaction ID
@@ -30,21 +108,17 @@ const sendCallback = async (url, payload, transactionId, type) => {
  */
 const recordCallbackStatus = async (transactionId, callbackType, success, errorMessage = '') => {
   try {
-    // Find order by transaction ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
+    const orderId = await getTransactionOrderId(transactionId);
     
-    if (!orders || orders.length === 0) {
-      logger.warn('Could not find order for recording callback status', {
+    // Callbacks before init (on_search, on_select) have no order to record on
+    if (!orderId) {
+      logger.debug('Could not find order for recording callback status', {
         transactionId,
         callbackType
       });
       return;
     }
     
-    const order = orders[0];
     const timestamp = new Date().toISOString();
     
     // Prepare metadata for callback status
@@ -68,11 +142,11 @@ const recordCallbackStatus = async (transactionId, callbackType, success, errorM
     }
     
     // Update order with callback status
-    await wooCommerceAPI.updateOrder(order.id, { meta_data });
+    await wooCommerceAPI.updateOrder(orderId, { meta_data });
     
     logger.info(`Recorded ${callbackType} callback status`, {
       transactionId,
-      orderId: order.id,
+      orderId,
       status: success ? 'success' : 'failed'
     });
   } catch (error) {
@@ -146,18 +220,13 @@ const sendCallbackAndUpdateStatus = async (url, payload, transactionId, type, st
   const mapping = { ...defaultMapping, ...statusMapping };
   
   try {
-    // Find order by transaction ID
-    const orders = await wooCommerceAPI.getOrders({
-      meta_key: 'ondc_transaction_id',
-      meta_value: transactionId
-    });
+    const orderId = await getTransactionOrderId(transactionId);
     
-    if (orders && orders.length > 0) {
-      const order = orders[0];
+    if (orderId) {
       const newStatus = result.success ? mapping.success : mapping.failure;
       
       // Update order status
-      await wooCommerceAPI.updateOrder(order.id, {
+      await wooCommerceAPI.updateOrder(orderId, {
         status: newStatus,
         meta_data: [
           {
@@ -169,7 +238,7 @@ const sendCallbackAndUpdateStatus = async (url, payload, transactionId, type, st
       
       logger.info(`Updated order status after ${type} callback`, {
         transactionId,
-        orderId: order.id,
+        orderId,
         newStatus
       });
     }
@@ -183,9 +252,41 @@ const sendCallbackAndUpdateStatus = async (url, payload, transactionId, type, st
   return result;
 };
 
+/**
+ * Send an ONDC error callback for a request that failed after it was ACKed
+ * @param {Object} context - ONDC context of the original request
+ * @param {string} type - Callback type (e.g., 'on_init', 'on_confirm')
+ * @param {Object} error - Error carrying an ONDC error code
+ * @returns {Promise<Object>} Result with success status
+ */
+const sendErrorCallback = async (context, type, error) => {
+  const payload = {
+    context: {
+      ...context,
+      action: type,
+      timestamp: new Date().toISOString()
+    },
+    error: {
+      type: 'DOMAIN-ERROR',
+      code: String(error.code),
+      message: error.message
+    }
+  };
+  
+  logger.info(`Sending ${type} error callback`, {
+    transactionId: context.transaction_id,
+    errorCode: payload.error.code
+  });
+  
+  return sendCallback(`${context.bap_uri}/${type}`, payload, context.transaction_id, type);
+};
+
 module.exports = {
   sendCallback,
   recordCallbackStatus,
   sendMultipleCallbacks,
-  sendCallbackAndUpdateStatus
+  sendCallbackAndUpdateStatus,
+  sendErrorCallback,
+  resumePendingCallbacks,
+  replayDeadLetter
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const authRequestClient = require('../auth/authRequestClient');
+const { createJsonStore } = require('./jsonStore');
+const { parseDuration } = require('./duration');
+const { getProvider, getCurrentProvider, runWithProvider } = require('./providerRegistry');
+
+// Callbacks waiting to be delivered, persisted before the first attempt so a restart doesn't lose them
+const outboxStore = createJsonStore('callback_outbox');
+
+// Callbacks that failed for good: NACKed, or still undelivered when their ttl ran out
+const deadLetterStore = createJsonStore('callback_dead_letters');
+
+/**
+ * Add a callback to the outbox
+ * @param {string} url - Callback URL
+ * @param {Object} payload - Callback payload
+ * @param {string} transactionId - ONDC transaction ID
+ * @param {string} type - Callback type (e.g., 'on_init', 'on_confirm')
+ * @param {Object} [options] - Optional expiresAt (ms), when the request the callback answers runs out
+ * @returns {Object} Outbox record
+ */
+const enqueue = (url, payload, transactionId, type, options = {}) => {
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    url,
+    payload,
+    transaction_id: transactionId,
+    type,
+    provider_id: getCurrentProvider().id,
+    attempts: 0,
+    created_at: new Date(now).toISOString(),
+    next_attempt_at: new Date(now).toISOString(),
+    expires_at: new Date(options.expiresAt || now + getRetryWindow(payload)).toISOString(),
+    last_error: null
+  };
+
+  outboxStore.set(record.id, record);
+  return record;
+};
+
+/**
+ * How long a callback may be retried: the ttl of its context, or the configured retry window
+ * @param {Object} payload - Callback payload
+ * @returns {number} Retry window in ms
+ */
+const getRetryWindow = (payload) => {
+  const ttl = payload?.context?.ttl ? parseDuration(payload.context.ttl) : null;
+  return ttl || parseDuration(config.ondc.callbackRetryWindow);
+};
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, so BAPs coming back up aren't hit by
+ * every queued callback at once
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+const getBackoffDelay = (attempts) => {
+  const delay = Math.min(
+    config.ondc.callbackRetryDelay * 2 ** (attempts - 1),
+    config.ondc.callbackMaxRetryDelay
+  );
+
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Deliver an outbox record, retrying until it succeeds, is NACKed or runs out of time
+ * A record whose time ran out before an attempt, e.g. one resumed after downtime, is dead-lettered unsent.
+ * @param {Object} record - Outbox record
+ * @returns {Promise<Object>} Result of the last attempt
+ */
+const deliver = async (record) => {
+  while (true) {
+    const wait = Date.parse(record.next_attempt_at) - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    if (Date.now() > Date.parse(record.expires_at)) {
+      const result = {
+        success: false,
+        error: 'Callback expired before it could be delivered',
+        retryable: true
+      };
+
+      record.last_error = record.last_error || result.error;
+      moveToDeadLetters(record, result);
+      return result;
+    }
+
+    record.attempts++;
+    logger.info(`Sending ${record.type} callback (attempt ${record.attempts})`, {
+      transactionId: record.transaction_id,
+      callbackId: record.id,
+      url: record.url
+    });
+
+    const result = await authRequestClient.attemptCallback(record.url, record.payload, record.transaction_id, record.type);
+
+    if (result.success) {
+      outboxStore.remove(record.id);
+      return result;
+    }
+
+    record.last_error = result.error;
+    record.next_attempt_at = new Date(Date.now() + getBackoffDelay(record.attempts)).toISOString();
+
+    logger.error(`${record.type} callback failed (attempt ${record.attempts})`, {
+      transactionId: record.transaction_id,
+      callbackId: record.id,
+      error: result.error,
+      statusCode: result.status,
+      responseData: result.data
+    });
+
+    if (!result.retryable || Date.parse(record.next_attempt_at) > Date.parse(record.expires_at)) {
+      moveToDeadLetters(record, result);
+      return result;
+    }
+
+    outboxStore.set(record.id, record);
+  }
+};
+
+/**
+ * Move a callback that can't be delivered from the outbox to the dead-letter queue
+ * @param {Object} record - Outbox record
+ * @param {Object} result - Result of the last attempt
+ */
+const moveToDeadLetters = (record, result) => {
+  deadLetterStore.set(record.id, {
+    ...record,
+    next_attempt_at: null,
+    last_status: result.status || null,
+    last_response: result.data || null,
+    dead_lettered_at: new Date().toISOString()
+  });
+  outboxStore.remove(record.id);
+
+  logger.error(`Moved ${record.type} callback to dead-letter queue`, {
+    transactionId: record.transaction_id,
+    callbackId: record.id,
+    attempts: record.attempts,
+    retryable: result.retryable
+  });
+};
+
+/**
+ * Run a function in the context of the provider a callback was sent for
+ * @param {Object} record - Outbox or dead-letter record
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+const runForRecord = (record, fn) => (getProvider(record.provider_id) ? runWithProvider(record.provider_id, fn) : fn());
+
+/**
+ * List callbacks left in the outbox, e.g. by a restart
+ * @returns {Array} Outbox records, oldest first
+ */
+const listPending = () => outboxStore.list()
+  .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+/**
+ * List dead-lettered callbacks
+ * @param {Object} [filters] - Optional transaction_id, type and provider_id filters
+ * @returns {Array} Dead-letter records, newest first
+ */
+const listDeadLetters = (filters = {}) => deadLetterStore
+  .list(record =>
+    (!filters.transaction_id || record.transaction_id === filters.transaction_id) &&
+    (!filters.type || record.type === filters.type) &&
+    (!filters.provider_id || record.provider_id === filters.provider_id))
+  .sort((a, b) => Date.parse(b.dead_lettered_at) - Date.parse(a.dead_lettered_at));
+
+/**
+ * Get a dead-lettered callback
+ * @param {string} id - Callback ID
+ * @returns {Object|null} Dead-letter record or null
+ */
+const getDeadLetter = (id) => deadLetterStore.get(id);
+
+/**
+ * Put a dead-lettered callback back in the outbox with a fresh retry window
+ * @param {string} id - Callback ID
+ * @returns {Object|null} Outbox record, or null if there is no such dead letter
+ */
+const requeueDeadLetter = (id) => {
+  const deadLetter = deadLetterStore.get(id);
+  if (!deadLetter) {
+    return null;
+  }
+
+  const now = Date.now();
+  const { dead_lettered_at: deadLetteredAt, last_status: lastStatus, last_response: lastResponse, ...record } = deadLetter;
+  const requeued = {
+    ...record,
+    next_attempt_at: new Date(now).toISOString(),
+    expires_at: new Date(now + parseDuration(config.ondc.callbackRetryWindow)).toISOString(),
+    replayed_at: new Date(now).toISOString()
+  };
+
+  outboxStore.set(id, requeued);
+  deadLetterStore.remove(id);
+
+  logger.info(`Replaying dead-lettered ${record.type} callback`, {
+    transactionId: record.transaction_id,
+    callbackId: id,
+    deadLetteredAt,
+    lastStatus
+  });
+
+  return requeued;
+};
+
+/**
+ * Purge dead-lettered callbacks
+ * @param {Object} [filters] - Optional id, or a before timestamp to keep newer dead letters
+ * @returns {number} Number of dead letters purged
+ */
+const purgeDeadLetters = (filters = {}) => {
+  const purged = deadLetterStore.list(record =>
+    (!filters.id || record.id === filters.id) &&
+    (!filters.before || Date.parse(record.dead_lettered_at) < Date.parse(filters.before)));
+
+  purged.forEach(record => deadLetterStore.remove(record.id));
+
+  logger.info('Purged dead-lettered callbacks', { count: purged.length, ...filters });
+  return purged.length;
+};
+
+module.exports = {
+  enqueue,
+  deliver,
+  runForRecord,
+  listPending,
+  listDeadLetters,
+  getDeadLetter,
+  requeueDeadLetter,
+  purgeDeadLetters
+};
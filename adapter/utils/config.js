@@ -4,14 +4,16 @@ module.exports = {
   server: {
     port: process.env.PORT || 3000,
     bodyLimit: process.env.BODY_LIMIT || '1mb',
-    enableAuthentication: process.env.ENABLE_AUTH !== 'false' // Enable auth by default
+    enableAuthentication: process.env.ENABLE_AUTH !== 'false', // Enable auth by default
+    internalApiKey: process.env.INTERNAL_API_KEY // Required by /internal/ merchant and logistics endpoints
   },
   woocommerce: {
     url: process.env.WOO_BASE_URL,
     consumerKey: process.env.WOO_CONSUMER_KEY,
     consumerSecret: process.env.WOO_CONSUMER_SECRET,
     version: process.env.WOO_API_VERSION || 'wc/v3',
-    timeout: parseInt(process.env.WOO_API_TIMEOUT || '30000')
+    timeout: parseInt(process.env.WOO_API_TIMEOUT || '30000'),
+    webhookSecret: process.env.WOO_WEBHOOK_SECRET
   },
   ondc: {
     authToken: process.env.ONDC_AUTH_TOKEN,
@@ -21,6 +23,10 @@ module.exports = {
     bppUri: process.env.ONDC_BPP_URI,
     callbackRetryCount: parseInt(process.env.ONDC_CALLBACK_RETRY_COUNT || '3'),
     callbackRetryDelay: parseInt(process.env.ONDC_CALLBACK_RETRY_DELAY || '5000'),
+    // Callback outbox: backoff doubles from callbackRetryDelay up to this cap (ms), and callbacks whose
+    // context has no ttl are dead-lettered after the retry window (ISO 8601 duration)
+    callbackMaxRetryDelay: parseInt(process.env.ONDC_CALLBACK_MAX_RETRY_DELAY || '60000'),
+    callbackRetryWindow: process.env.ONDC_CALLBACK_RETRY_WINDOW || 'PT15M',
     
     // ONDC Registry configuration
     registryUrl: process.env.ONDC_REGISTRY_URL || 'https://registry.ondc.org',
@@ -36,6 +42,8 @@ module.exports = {
     ukId: process.env.ONDC_UK_ID || 'UKID1'
   },
   store: {
+    providerId: process.env.STORE_PROVIDER_ID || 'WooCommerce_Store',
+    locationId: process.env.STORE_LOCATION_ID || 'L1',
     name: process.env.STORE_NAME || 'WooCommerce Store',
     gps: process.env.STORE_GPS || '12.956399,77.636803',
     locality: process.env.STORE_LOCALITY || 'Main Street',
@@ -46,7 +54,108 @@ module.exports = {
     email: process.env.STORE_EMAIL || 'store@example.com',
     jurisdiction: process.env.STORE_JURISDICTION || 'Bengaluru',
     gstNumber: process.env.STORE_GST_NUMBER || 'GST_NUMBER',
-    panNumber: process.env.STORE_PAN_NUMBER || 'PAN_NUMBER'
+    panNumber: process.env.STORE_PAN_NUMBER || 'PAN_NUMBER',
+    street: process.env.STORE_STREET,
+    symbol: process.env.STORE_SYMBOL, // Logo URL
+    shortDesc: process.env.STORE_SHORT_DESC,
+    longDesc: process.env.STORE_LONG_DESC,
+    // Opening hours: ISO weekdays (1 = Monday) and HHMM times
+    days: process.env.STORE_DAYS || '1,2,3,4,5,6,7',
+    openTime: process.env.STORE_OPEN_TIME || '0000',
+    closeTime: process.env.STORE_CLOSE_TIME || '2359',
+    // Dates the store is shut (YYYY-MM-DD, comma separated)
+    holidays: (process.env.STORE_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean),
+    // Time zone the opening hours are in
+    timezone: process.env.STORE_TIMEZONE || 'Asia/Kolkata'
+  },
+  catalog: {
+    // Seller app descriptor (bpp/descriptor)
+    bppName: process.env.CATALOG_BPP_NAME || process.env.STORE_NAME || 'WooCommerce Store',
+    bppSymbol: process.env.CATALOG_BPP_SYMBOL,
+    bppShortDesc: process.env.CATALOG_BPP_SHORT_DESC,
+    bppLongDesc: process.env.CATALOG_BPP_LONG_DESC,
+    fulfillmentId: process.env.CATALOG_FULFILLMENT_ID || 'F1',
+    fulfillmentType: process.env.CATALOG_FULFILLMENT_TYPE || 'Delivery',
+    // ONDC category codes per WooCommerce category ID or slug as JSON, e.g. {"fruits":"Fruits and Vegetables","42":"Masala & Seasoning"}
+    categoryMapping: JSON.parse(process.env.CATALOG_CATEGORY_MAPPING || '{}'),
+    // Item defaults, overridable per product with ondc_* meta (e.g. ondc_category_id, ondc_returnable)
+    categoryId: process.env.CATALOG_CATEGORY_ID || 'Grocery',
+    returnable: process.env.CATALOG_RETURNABLE !== 'false',
+    cancellable: process.env.CATALOG_CANCELLABLE !== 'false',
+    returnWindow: process.env.CATALOG_RETURN_WINDOW || 'P7D',
+    timeToShip: process.env.CATALOG_TIME_TO_SHIP || 'PT45M',
+    availableOnCod: process.env.CATALOG_AVAILABLE_ON_COD === 'true'
+  },
+  statutory: {
+    // Product meta key or attribute name per statutory field as JSON, e.g. {"manufacturer_or_packer_name":"Brand"};
+    // unlisted fields are read from meta ondc_<field>
+    fieldSources: JSON.parse(process.env.STATUTORY_FIELD_SOURCES || '{}'),
+    // What to do with items missing fields mandatory for the domain: 'warn' or 'drop'
+    missingAction: process.env.STATUTORY_MISSING_ACTION || 'warn'
+  },
+  serviceability: {
+    // ONDC serviceability type for the store location: 10 hyperlocal radius, 11 pan-India, 12 polygon, 13 pincode list
+    type: process.env.SERVICEABILITY_TYPE || '10',
+    category: process.env.SERVICEABILITY_CATEGORY || 'Grocery',
+    radiusKm: parseFloat(process.env.SERVICEABILITY_RADIUS_KM || '3'),
+    pincodes: (process.env.SERVICEABILITY_PINCODES || '').split(',').map(code => code.trim()).filter(Boolean),
+    polygon: process.env.SERVICEABILITY_POLYGON // GeoJSON Polygon or MultiPolygon
+  },
+  quote: {
+    currency: process.env.QUOTE_CURRENCY || 'INR',
+    deliveryCharge: parseFloat(process.env.QUOTE_DELIVERY_CHARGE || '50'),
+    packingCharge: parseFloat(process.env.QUOTE_PACKING_CHARGE || '25'),
+    taxRate: parseFloat(process.env.QUOTE_TAX_RATE || '0'), // Percentage applied to taxable items
+    maxOrderQuantity: parseInt(process.env.QUOTE_MAX_ORDER_QUANTITY || '99'),
+    ttl: process.env.QUOTE_TTL || 'PT1H',
+    fulfillmentTAT: process.env.QUOTE_FULFILLMENT_TAT || 'PT60M'
+  },
+  inventory: {
+    // How long stock is held for an order between init and confirm (ISO 8601 duration); unset uses the quote ttl
+    reservationTtl: process.env.INVENTORY_RESERVATION_TTL
+  },
+  fulfillment: {
+    // Whether the logistics partner can share live tracking; can be overridden per fulfillment in order meta
+    trackingEnabled: process.env.FULFILLMENT_TRACKING_ENABLED === 'true'
+  },
+  providers: {
+    // JSON array of providers hosted by this BPP, each with its own WooCommerce credentials, store details,
+    // locations, settlement and serviceability; without it the single store configured here is the only provider
+    file: process.env.PROVIDERS_FILE
+  },
+  transactions: {
+    // How long transactions that never led to a confirmed order (searches, abandoned carts) are kept
+    retention: process.env.TRANSACTION_RETENTION || 'P30D',
+    purgeInterval: parseInt(process.env.TRANSACTION_PURGE_INTERVAL || '86400000') // ms
+  },
+  storage: {
+    // Local JSON stores (issues, ...) are kept here, relative to the working directory like logs/
+    dataDir: process.env.DATA_DIR || 'data'
+  },
+  igm: {
+    // Defaults when the complainant doesn't state expected times (ISO 8601 durations)
+    expectedResponseTime: process.env.IGM_EXPECTED_RESPONSE_TIME || 'PT1H',
+    expectedResolutionTime: process.env.IGM_EXPECTED_RESOLUTION_TIME || 'P1D',
+    overdueCheckInterval: parseInt(process.env.IGM_OVERDUE_CHECK_INTERVAL || '300000'),
+    respondentName: process.env.IGM_RESPONDENT_NAME || process.env.STORE_NAME || 'WooCommerce Store',
+    chatLink: process.env.IGM_CHAT_LINK,
+    // Grievance Redressal Officer, mandatory in ONDC IGM
+    groName: process.env.IGM_GRO_NAME || 'Grievance Officer',
+    groPhone: process.env.IGM_GRO_PHONE,
+    groEmail: process.env.IGM_GRO_EMAIL
+  },
+  support: {
+    // Unset fields fall back to the store phone/email shared in fulfillment contacts
+    phone: process.env.SUPPORT_PHONE,
+    email: process.env.SUPPORT_EMAIL,
+    url: process.env.SUPPORT_URL,
+    // Per-provider overrides as JSON, e.g. {"P2":{"phone":"...","email":"...","url":"..."}}
+    providerOverrides: JSON.parse(process.env.SUPPORT_PROVIDER_OVERRIDES || '{}')
+  },
+  rating: {
+    // Form offered in on_rating when a buyer leaves a low rating without feedback
+    feedbackFormUrl: process.env.RATING_FEEDBACK_FORM_URL,
+    feedbackThreshold: parseInt(process.env.RATING_FEEDBACK_THRESHOLD || '2')
   },
   settlement: {
     beneficiaryName: process.env.SETTLEMENT_BENEFICIARY_NAME || 'Store',
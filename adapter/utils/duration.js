@@ -0,0 +1,54 @@
+const logger = require('./logger');
+
+/**
+ * Parse an ISO 8601 duration (TAT, ttl) to milliseconds
+ * @param {string} durationString - Duration string (e.g., "PT60M")
+ * @returns {number|null} Duration in milliseconds or null if invalid
+ */
+const parseDuration = (durationString) => {
+  try {
+    // Simple parser for ISO 8601 duration format
+    // This is a simplified version - a full library might be better for production
+    if (durationString.startsWith('PT')) {
+      // Remove the PT prefix
+      const duration = durationString.substring(2);
+      
+      let totalMilliseconds = 0;
+      
+      // Hours
+      const hoursMatch = duration.match(/(\d+)H/);
+      if (hoursMatch) {
+        totalMilliseconds += parseInt(hoursMatch[1]) * 60 * 60 * 1000;
+      }
+      
+      // Minutes
+      const minutesMatch = duration.match(/(\d+)M/);
+      if (minutesMatch) {
+        totalMilliseconds += parseInt(minutesMatch[1]) * 60 * 1000;
+      }
+      
+      // Seconds
+      const secondsMatch = duration.match(/(\d+)S/);
+      if (secondsMatch) {
+        totalMilliseconds += parseInt(secondsMatch[1]) * 1000;
+      }
+      
+      return totalMilliseconds;
+    }
+    
+    // Handle days (P1D format)
+    if (durationString.startsWith('P') && durationString.endsWith('D')) {
+      const days = parseInt(durationString.substring(1, durationString.length - 1));
+      return days * 24 * 60 * 60 * 1000;
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error('Error parsing duration', { error: error.message, durationString });
+    return null;
+  }
+};
+
+module.exports = {
+  parseDuration
+};
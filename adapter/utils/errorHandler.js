@@ -1,10 +1,11 @@
 const logger = require('./logger');
 
 class ApiError extends Error {
-  constructor(message, status = 500) {
+  constructor(message, status = 500, code = null) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
+    this.code = code; // ONDC error code, when the failure maps to one
   }
 }
 
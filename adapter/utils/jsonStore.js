@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Create a key/value store persisted as a JSON file in the data directory
+ * Records are cached in memory and the file is rewritten atomically on every change. Callers
+ * get copies, so a record only changes once it is passed back to set.
+ * @param {string} name - Store name, used as the file name
+ * @returns {Object} Store with get, set, setMany, remove and list
+ */
+const createJsonStore = (name) => {
+  const filePath = path.join(config.storage.dataDir, `${name}.json`);
+  let records = null;
+
+  /**
+   * Load records from disk on first use
+   * @returns {Object} Records keyed by ID
+   */
+  const load = () => {
+    if (records) {
+      return records;
+    }
+
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading JSON store', { store: name, filePath, error: error.message });
+        throw error;
+      }
+
+      records = {};
+    }
+
+    return records;
+  };
+
+  /**
+   * Write records to disk, replacing the file in one step so a crash can't leave it half-written
+   */
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    /**
+     * Get a record by key
+     * @param {string} key - Record key
+     * @returns {Object|null} Record or null
+     */
+    get: (key) => (key in load() ? structuredClone(records[key]) : null),
+
+    /**
+     * Create or replace a record
+     * @param {string} key - Record key
+     * @param {Object} value - Record
+     * @returns {Object} Stored record
+     */
+    set: (key, value) => {
+      load()[key] = structuredClone(value);
+      save();
+      return value;
+    },
+
+    /**
+     * Create or replace several records with a single write
+     * @param {Object} entries - Records keyed by key
+     * @returns {number} Number of records written
+     */
+    setMany: (entries) => {
+      const keys = Object.keys(entries);
+      if (keys.length === 0) {
+        return 0;
+      }
+
+      const current = load();
+      keys.forEach(key => {
+        current[key] = structuredClone(entries[key]);
+      });
+      save();
+      return keys.length;
+    },
+
+    /**
+     * Remove a record
+     * @param {string} key - Record key
+     * @returns {boolean} Whether a record was removed
+     */
+    remove: (key) => {
+      if (!(key in load())) {
+        return false;
+      }
+
+      delete records[key];
+      save();
+      return true;
+    },
+
+    /**
+     * List records, optionally filtered
+     * @param {Function} [predicate] - Filter applied to each record
+     * @returns {Array} Matching records
+     */
+    list: (predicate = () => true) => Object.values(load()).map(record => structuredClone(record)).filter(predicate)
+  };
+};
+
+module.exports = {
+  createJsonStore
+};
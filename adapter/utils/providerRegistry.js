@@ -0,0 +1,236 @@
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+const logger = require('./logger');
+const transactionStore = require('./transactionStore');
+
+// Provider whose WooCommerce store and details the current request works with
+const providerContext = new AsyncLocalStorage();
+
+let providers = null;
+
+/**
+ * Build a provider from the single-store settings in config
+ * @returns {Object} Provider
+ */
+const buildDefaultProvider = () => ({
+  id: config.store.providerId,
+  woocommerce: { ...config.woocommerce },
+  store: { ...config.store },
+  settlement: { ...config.settlement },
+  serviceability: { ...config.serviceability },
+  support: {
+    phone: config.support.phone,
+    email: config.support.email,
+    url: config.support.url
+  }
+});
+
+/**
+ * Fill in a provider from the providers file with the shared defaults from config
+ * Every provider needs its own WooCommerce credentials; other sections only list what differs.
+ * @param {Object} entry - Provider entry from the providers file
+ * @returns {Object} Provider
+ */
+const buildProvider = (entry) => {
+  const defaults = buildDefaultProvider();
+
+  if (!entry.id || !entry.woocommerce?.url || !entry.woocommerce?.consumerKey || !entry.woocommerce?.consumerSecret) {
+    throw new Error(`Provider ${entry.id || '(no id)'} needs an id and WooCommerce url, consumerKey and consumerSecret`);
+  }
+
+  return {
+    id: entry.id,
+    woocommerce: {
+      version: config.woocommerce.version,
+      timeout: config.woocommerce.timeout,
+      ...entry.woocommerce
+    },
+    store: { ...defaults.store, ...entry.store, providerId: entry.id },
+    settlement: { ...defaults.settlement, ...entry.settlement },
+    serviceability: { ...defaults.serviceability, ...entry.serviceability },
+    support: { ...defaults.support, ...entry.support },
+    ...(entry.locations && { locations: entry.locations })
+  };
+};
+
+/**
+ * Add the location list every provider has, defaulting to the single store location
+ * @param {Object} provider - Provider
+ * @returns {Object} Provider with locations
+ */
+const withLocations = (provider) => ({
+  ...provider,
+  locations: (provider.locations || [{}]).map((location, index) => ({
+    id: location.id || (index === 0 ? provider.store.locationId : `L${index + 1}`),
+    gps: location.gps || provider.store.gps,
+    street: location.street ?? provider.store.street,
+    locality: location.locality || provider.store.locality,
+    city: location.city || provider.store.city,
+    state: location.state || provider.store.state,
+    areaCode: location.areaCode || provider.store.areaCode,
+    days: location.days || provider.store.days,
+    openTime: location.openTime || provider.store.openTime,
+    closeTime: location.closeTime || provider.store.closeTime,
+    holidays: location.holidays || provider.store.holidays
+  }))
+});
+
+/**
+ * Load providers from the providers file, or the single store in config when there is none
+ * @returns {Array} Providers
+ */
+const loadProviders = () => {
+  if (providers) {
+    return providers;
+  }
+
+  const filePath = config.providers.file;
+
+  if (filePath && fs.existsSync(filePath)) {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    providers = entries.map(buildProvider).map(withLocations);
+    logger.info('Loaded provider registry', { filePath, providers: providers.map(provider => provider.id) });
+  } else {
+    providers = [withLocations(buildDefaultProvider())];
+  }
+
+  return providers;
+};
+
+/**
+ * List every provider hosted by this BPP
+ * @returns {Array} Providers
+ */
+const listProviders = () => loadProviders();
+
+/**
+ * Get a provider by ID
+ * @param {string} providerId - ONDC provider ID
+ * @returns {Object|null} Provider or null
+ */
+const getProvider = (providerId) => loadProviders().find(provider => provider.id === providerId) || null;
+
+/**
+ * Find the provider whose WooCommerce store is at a URL, e.g. a webhook's X-WC-Webhook-Source
+ * @param {string} storeUrl - WooCommerce store URL
+ * @returns {Object|null} Provider or null
+ */
+const findProviderByStoreUrl = (storeUrl) => {
+  const normalize = (url) => (url || '').replace(/\/+$/, '').toLowerCase();
+  return loadProviders().find(provider => normalize(provider.woocommerce.url) === normalize(storeUrl)) || null;
+};
+
+/**
+ * Get the provider of the current request, the first provider outside of one
+ * @returns {Object} Provider
+ */
+const getCurrentProvider = () => providerContext.getStore() || loadProviders()[0];
+
+/**
+ * Run a function with a provider as the current provider
+ * @param {string} providerId - ONDC provider ID
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+const runWithProvider = (providerId, fn) => {
+  const provider = getProvider(providerId);
+
+  if (!provider) {
+    throw new Error(`Unknown provider ${providerId}`);
+  }
+
+  return providerContext.run(provider, fn);
+};
+
+/**
+ * Work out which provider an incoming ONDC request is for
+ * @param {Object} body - ONDC request body
+ * @returns {Promise<string|null>} Provider ID, or null when the request doesn't say
+ */
+const resolveRequestProvider = async (body) => {
+  const message = body?.message || {};
+  const named = message.order?.provider?.id ||
+    message.issue?.order_details?.provider_id ||
+    message.intent?.provider?.id;
+
+  if (named && getProvider(named)) {
+    return named;
+  }
+
+  // IGM issues come in a transaction of their own and needn't name the provider, so they go to the one the
+  // order was confirmed with
+  const issueOrderId = message.issue?.order_details?.id;
+  if (issueOrderId) {
+    const orderProvider = (await transactionStore.getTransactionByOrderId(issueOrderId))?.provider_id;
+    if (orderProvider && getProvider(orderProvider)) {
+      return orderProvider;
+    }
+  }
+
+  // Calls after select (status, cancel, update, ...) don't name the provider, so they go to the one the
+  // transaction was recorded for
+  return (await transactionStore.getTransaction(body?.context?.transaction_id))?.provider_id || null;
+};
+
+/**
+ * Express middleware running the rest of an ONDC request in its provider's context
+ * The provider comes only from the payload and the transaction it belongs to, so a caller can't route a
+ * transaction to another merchant's store. Requests that don't say go to the first provider. Requests are
+ * recorded in the transaction store on the way in.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const providerMiddleware = async (req, res, next) => {
+  const resolved = await resolveRequestProvider(req.body);
+
+  // Not awaited: the store queues the write ahead of later reads of the transaction, the request needn't wait
+  if (req.body?.context?.transaction_id && req.body.context.action) {
+    transactionStore.recordMessage(req.body, 'received', resolved);
+  }
+
+  const providerId = resolved || loadProviders()[0].id;
+
+  runWithProvider(providerId, next);
+};
+
+/**
+ * Get the provider an internal request asks for
+ * @param {Object} req - Express request object
+ * @returns {string|null} Provider ID from the X-Provider-Id header or provider_id query parameter, or null
+ */
+const getRequestedProvider = (req) => req.headers['x-provider-id'] || req.query?.provider_id || null;
+
+/**
+ * Express middleware running the rest of an internal (merchant) request in its provider's context
+ * Internal requests are routed by the X-Provider-Id header or provider_id query parameter, and go to the
+ * first provider when they don't say.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const internalProviderMiddleware = (req, res, next) => {
+  const requested = getRequestedProvider(req);
+
+  if (requested && !getProvider(requested)) {
+    return res.status(404).json({
+      error: {
+        message: `Unknown provider ${requested}`
+      }
+    });
+  }
+
+  runWithProvider(requested || loadProviders()[0].id, next);
+};
+
+module.exports = {
+  listProviders,
+  getProvider,
+  findProviderByStoreUrl,
+  getCurrentProvider,
+  runWithProvider,
+  providerMiddleware,
+  getRequestedProvider,
+  internalProviderMiddleware
+};
@@ -1,5 +1,6 @@
 const logger = require('./logger');
 const wooCommerceAPI = require('./wooCommerceAPI');
+const { getCurrentProvider } = require('./providerRegistry');
 
 /**
  * Handle RTO cancellation
@@ -177,24 +178,25 @@ const getDeliveryLocation = (order) => {
  * @returns {Object} Location object
  */
 const getOriginLocation = (order, fulfillmentId) => {
+  const provider = getCurrentProvider();
+
   // Try to get from order metadata
   const locationId = order.meta_data.find(meta => 
     meta.key === `ondc_fulfillment_${fulfillmentId}_start_location_id`
-  )?.value || 'L1';
+  )?.value;
+  const location = provider.locations.find(candidate => candidate.id === locationId) || provider.locations[0];
   
-  // In a real implementation, you'd fetch store location from configuration or database
-  // This is a simplified version
   return {
-    id: locationId,
+    id: location.id,
     descriptor: {
-      name: 'Store Location'
+      name: provider.store.name || 'Store Location'
     },
-    gps: order.meta_data.find(meta => meta.key === 'ondc_store_gps')?.value || '12.956399,77.636803',
+    gps: order.meta_data.find(meta => meta.key === 'ondc_store_gps')?.value || location.gps,
     address: {
-      locality: 'Jayanagar',
-      city: 'Bengaluru',
-      area_code: '560076',
-      state: 'KA'
+      locality: location.locality,
+      city: location.city,
+      area_code: location.areaCode,
+      state: location.state
     }
   };
 };
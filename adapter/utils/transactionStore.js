@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { parseDuration } = require('./duration');
+
+// Every ONDC transaction this BPP has seen: the provider serving it, its WooCommerce orders, the ONDC order
+// state and a log of the messages received and sent. WooCommerce order meta only mirrors this, so lookups
+// don't need an (unindexed) meta query or an order to exist yet.
+// Each transaction is its own small file, written asynchronously, with messages appended to a log next to
+// it, so recording a message costs the same however many transactions are kept.
+const transactionDir = path.join(config.storage.dataDir, 'transactions');
+
+// ONDC order IDs to the transaction that confirmed them, one file per order
+const orderIndexDir = path.join(config.storage.dataDir, 'transaction_orders');
+
+// Recently used transactions, so a request and its callbacks don't read the same file over and over
+const CACHE_SIZE = 1000;
+const cache = new Map();
+
+// Pending work per transaction: reads and writes of one transaction run in order, others don't wait
+const queues = new Map();
+
+let directoriesReady = null;
+
+/**
+ * Build the file name of a transaction or order ID; IDs come from buyer apps, so they are hashed rather
+ * than trusted as paths
+ * @param {string} id - Transaction or order ID
+ * @returns {string} File name without extension
+ */
+const toFileName = (id) => crypto.createHash('sha256').update(String(id)).digest('hex');
+
+/**
+ * Create the store directories on first use
+ * @returns {Promise<void>}
+ */
+const ensureDirectories = () => {
+  directoriesReady = directoriesReady || Promise.all([
+    fs.mkdir(transactionDir, { recursive: true }),
+    fs.mkdir(orderIndexDir, { recursive: true })
+  ]).catch(error => {
+    directoriesReady = null;
+    throw error;
+  });
+
+  return directoriesReady;
+};
+
+/**
+ * Run a task once the earlier tasks of the same transaction have finished
+ * @param {string} transactionId - ONDC transaction ID
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} The task's result
+ */
+const enqueue = (transactionId, task) => {
+  const previous = queues.get(transactionId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+
+  queues.set(transactionId, next);
+  next.catch(() => {}).then(() => {
+    if (queues.get(transactionId) === next) {
+      queues.delete(transactionId);
+    }
+  });
+
+  return next;
+};
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} Parsed file, or null if it doesn't exist
+ */
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a JSON file, replacing it in one step so a crash can't leave it half-written
+ * @param {string} filePath - File path
+ * @param {Object} value - Value to write
+ * @returns {Promise<void>}
+ */
+const writeJson = async (filePath, value) => {
+  await ensureDirectories();
+
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(value));
+  await fs.rename(tempPath, filePath);
+};
+
+/**
+ * Keep a transaction in the cache, dropping the least recently used one when it is full
+ * @param {Object} record - Transaction record
+ */
+const cacheRecord = (record) => {
+  cache.delete(record.transaction_id);
+  cache.set(record.transaction_id, record);
+
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+/**
+ * Load a transaction from the cache or its file
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Object|null>} Transaction record or null
+ */
+const load = async (transactionId) => {
+  if (cache.has(transactionId)) {
+    const record = cache.get(transactionId);
+    cacheRecord(record);
+    return record;
+  }
+
+  const record = await readJson(path.join(transactionDir, `${toFileName(transactionId)}.json`));
+  if (record) {
+    cacheRecord(record);
+  }
+
+  return record;
+};
+
+/**
+ * Save a transaction to its file and the cache
+ * @param {Object} record - Transaction record
+ * @returns {Promise<void>}
+ */
+const save = async (record) => {
+  await writeJson(path.join(transactionDir, `${toFileName(record.transaction_id)}.json`), record);
+  cacheRecord(record);
+};
+
+/**
+ * Keep what is worth storing of a payload
+ * Catalogs can run to thousands of items, so on_search only keeps its context and what it listed.
+ * @param {string} action - ONDC action
+ * @param {Object} payload - ONDC payload
+ * @returns {Object} Payload to store
+ */
+const summarizePayload = (action, payload) => {
+  if (action !== 'on_search') {
+    return payload;
+  }
+
+  const providers = payload.message?.catalog?.['bpp/providers'] || [];
+
+  return {
+    context: payload.context,
+    message: {
+      catalog: {
+        providers: providers.map(provider => ({
+          id: provider.id,
+          items: provider.items?.length || 0
+        }))
+      }
+    },
+    ...(payload.error && { error: payload.error })
+  };
+};
+
+/**
+ * Record a message received or sent for a transaction, creating the transaction on its first message
+ * Sent orders also update the transaction's ONDC order state.
+ * Recording is best effort: a failure is logged rather than failing the request or callback.
+ * @param {Object} payload - ONDC payload with a context
+ * @param {string} direction - 'received' or 'sent'
+ * @param {string|null} providerId - Provider serving the transaction, null when the message doesn't say
+ * (e.g. a search sent to every provider)
+ * @param {Object} [outcome] - Delivery outcome of a sent message (success, error)
+ * @returns {Promise<Object|null>} Transaction record, or null when the payload has no transaction ID or
+ * recording failed
+ */
+const recordMessage = (payload, direction, providerId, outcome = {}) => {
+  const context = payload?.context || {};
+  const transactionId = context.transaction_id;
+
+  if (!transactionId) {
+    return Promise.resolve(null);
+  }
+
+  const now = new Date().toISOString();
+  const message = {
+    message_id: context.message_id,
+    action: context.action,
+    direction,
+    payload: summarizePayload(context.action, payload),
+    ...(direction === 'sent' && { success: Boolean(outcome.success) }),
+    ...(outcome.error && { error: outcome.error }),
+    at: now
+  };
+
+  // Serialized now, as the caller may go on to change the payload before the write runs
+  const logLine = `${JSON.stringify(message)}\n`;
+
+  return enqueue(transactionId, async () => {
+    const record = { ...(await load(transactionId)) || {
+      transaction_id: transactionId,
+      provider_id: providerId,
+      bap_id: context.bap_id,
+      bap_uri: context.bap_uri,
+      domain: context.domain,
+      city: context.city,
+      country: context.country,
+      core_version: context.core_version,
+      order_id: null,
+      init_order_id: null,
+      woo_order_id: null,
+      state: null,
+      last_action: null,
+      actions: [],
+      created_at: now
+    } };
+
+    record.provider_id = providerId || record.provider_id;
+    record.last_action = context.action;
+    record.actions = record.actions.includes(context.action) ? record.actions : [...record.actions, context.action];
+    record.updated_at = now;
+
+    const order = payload.message?.order;
+    if (direction === 'sent' && outcome.success && order?.state) {
+      record.state = order.state;
+    }
+
+    await ensureDirectories();
+    await fs.appendFile(path.join(transactionDir, `${toFileName(transactionId)}.log`), logLine);
+    await save(record);
+
+    return record;
+  }).catch(error => {
+    logger.error('Error recording transaction message', {
+      transactionId,
+      action: context.action,
+      direction,
+      error: error.message
+    });
+    return null;
+  });
+};
+
+/**
+ * Link a transaction to its orders
+ * @param {string} transactionId - ONDC transaction ID
+ * @param {Object} links - Any of init_order_id (WooCommerce draft from init), woo_order_id (confirmed
+ * WooCommerce order), order_id (ONDC order ID) and state (ONDC order state)
+ * @returns {Promise<Object|null>} Transaction record, or null if the transaction is unknown
+ */
+const linkOrder = (transactionId, links) => enqueue(transactionId, async () => {
+  const current = await load(transactionId);
+
+  if (!current) {
+    logger.warn('Cannot link order to unknown transaction', { transactionId, ...links });
+    return null;
+  }
+
+  const record = { ...current, ...links, updated_at: new Date().toISOString() };
+
+  if (links.order_id) {
+    await writeJson(path.join(orderIndexDir, `${toFileName(links.order_id)}.json`), {
+      order_id: links.order_id,
+      transaction_id: transactionId
+    });
+  }
+
+  await save(record);
+  return record;
+});
+
+/**
+ * Get a transaction
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Object|null>} Transaction record or null
+ */
+const getTransaction = async (transactionId) => {
+  if (!transactionId) {
+    return null;
+  }
+
+  const record = await enqueue(transactionId, () => load(transactionId));
+  return record ? structuredClone(record) : null;
+};
+
+/**
+ * Get the transaction an ONDC order was confirmed in
+ * @param {string} orderId - ONDC order ID
+ * @returns {Promise<Object|null>} Transaction record or null
+ */
+const getTransactionByOrderId = async (orderId) => {
+  const entry = orderId ? await readJson(path.join(orderIndexDir, `${toFileName(orderId)}.json`)) : null;
+  return entry ? getTransaction(entry.transaction_id) : null;
+};
+
+/**
+ * Get the messages recorded for a transaction, oldest first
+ * @param {string} transactionId - ONDC transaction ID
+ * @returns {Promise<Array>} Message entries (action, direction, payload, outcome)
+ */
+const getMessages = async (transactionId) => {
+  try {
+    const log = await fs.readFile(path.join(transactionDir, `${toFileName(transactionId)}.log`), 'utf8');
+    return log.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Drop transactions untouched for longer than the retention period, except those with a confirmed order
+ * Nothing is dropped when the retention period can't be parsed, rather than treating it as zero and
+ * dropping every transaction still in progress.
+ * @returns {Promise<number>} Number of transactions dropped
+ */
+const purgeStaleTransactions = async () => {
+  const retention = parseDuration(config.transactions.retention);
+
+  if (!(retention > 0)) {
+    logger.error('Invalid transaction retention period, not purging transactions', {
+      retention: config.transactions.retention
+    });
+    return 0;
+  }
+
+  const cutoff = Date.now() - retention;
+  let files;
+
+  try {
+    files = (await fs.readdir(transactionDir)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  let purged = 0;
+
+  // One file at a time, so a large store doesn't hold up requests
+  for (const file of files) {
+    const record = await readJson(path.join(transactionDir, file));
+
+    if (!record || record.order_id || !(Date.parse(record.updated_at) < cutoff)) {
+      continue;
+    }
+
+    const stale = await enqueue(record.transaction_id, async () => {
+      // A message may have come in since the file was read
+      const current = await load(record.transaction_id);
+      if (!current || current.updated_at !== record.updated_at) {
+        return false;
+      }
+
+      const base = path.join(transactionDir, toFileName(record.transaction_id));
+      await fs.rm(`${base}.json`, { force: true });
+      await fs.rm(`${base}.log`, { force: true });
+      cache.delete(record.transaction_id);
+      return true;
+    });
+
+    purged += stale ? 1 : 0;
+  }
+
+  if (purged > 0) {
+    logger.info('Purged stale transactions', { count: purged });
+  }
+
+  return purged;
+};
+
+module.exports = {
+  recordMessage,
+  linkOrder,
+  getTransaction,
+  getTransactionByOrderId,
+  getMessages,
+  purgeStaleTransactions
+};
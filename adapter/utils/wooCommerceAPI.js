@@ -1,15 +1,29 @@
 const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
-const config = require('./config');
 const logger = require('./logger');
+const providerRegistry = require('./providerRegistry');
 
-// Initialize WooCommerce API client
-const wooCommerce = new WooCommerceRestApi({
-  url: config.woocommerce.url,
-  consumerKey: config.woocommerce.consumerKey,
-  consumerSecret: config.woocommerce.consumerSecret,
-  version: config.woocommerce.version,
-  timeout: config.woocommerce.timeout
-});
+// WooCommerce API clients by provider ID, created on first use
+const clients = {};
+
+/**
+ * Get the WooCommerce API client of the current provider's store
+ * @returns {Object} WooCommerce REST API client
+ */
+const getClient = () => {
+  const provider = providerRegistry.getCurrentProvider();
+
+  if (!clients[provider.id]) {
+    clients[provider.id] = new WooCommerceRestApi({
+      url: provider.woocommerce.url,
+      consumerKey: provider.woocommerce.consumerKey,
+      consumerSecret: provider.woocommerce.consumerSecret,
+      version: provider.woocommerce.version,
+      timeout: provider.woocommerce.timeout
+    });
+  }
+
+  return clients[provider.id];
+};
 
 /**
  * Get products from WooCommerce
@@ -18,7 +32,7 @@ const wooCommerce = new WooCommerceRestApi({
  */
 const getProducts = async (params = {}) => {
   try {
-    const response = await wooCommerce.get('products', params);
+    const response = await getClient().get('products', params);
     return response.data;
   } catch (error) {
     logger.error('Error fetching products from WooCommerce', { error: error.message });
@@ -33,7 +47,7 @@ const getProducts = async (params = {}) => {
  */
 const getProductById = async (productId) => {
   try {
-    const response = await wooCommerce.get(`products/${productId}`);
+    const response = await getClient().get(`products/${productId}`);
     return response.data;
   } catch (error) {
     logger.error('Error fetching product by ID from WooCommerce', { 
@@ -47,11 +61,12 @@ const getProductById = async (productId) => {
 /**
  * Get product variations from WooCommerce
  * @param {number} productId - Product ID
+ * @param {Object} params - Query parameters (WooCommerce returns 10 per page by default)
  * @returns {Promise<Object>} WooCommerce product variations
  */
-const getProductVariations = async (productId) => {
+const getProductVariations = async (productId, params = { per_page: 100 }) => {
   try {
-    const response = await wooCommerce.get(`products/${productId}/variations`);
+    const response = await getClient().get(`products/${productId}/variations`, params);
     return response.data;
   } catch (error) {
     logger.error('Error fetching product variations from WooCommerce', { 
@@ -62,6 +77,43 @@ const getProductVariations = async (productId) => {
   }
 };
 
+/**
+ * Create a product review in WooCommerce
+ * @param {Object} reviewData - WooCommerce review data (product_id, review, reviewer, reviewer_email, rating)
+ * @returns {Promise<Object>} Created WooCommerce product review
+ */
+const createProductReview = async (reviewData) => {
+  try {
+    const response = await getClient().post('products/reviews', reviewData);
+    return response.data;
+  } catch (error) {
+    logger.error('Error creating product review in WooCommerce', { 
+      error: error.message,
+      productId: reviewData.product_id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a product review in WooCommerce
+ * @param {number} reviewId - Review ID
+ * @param {Object} reviewData - WooCommerce review data to update
+ * @returns {Promise<Object>} Updated WooCommerce product review
+ */
+const updateProductReview = async (reviewId, reviewData) => {
+  try {
+    const response = await getClient().put(`products/reviews/${reviewId}`, reviewData);
+    return response.data;
+  } catch (error) {
+    logger.error('Error updating product review in WooCommerce', { 
+      error: error.message,
+      reviewId
+    });
+    throw error;
+  }
+};
+
 /**
  * Create a draft order in WooCommerce
  * @param {Object} orderData - WooCommerce order data
@@ -70,7 +122,7 @@ const getProductVariations = async (productId) => {
 const createOrder = async (orderData) => {
   try {
     logger.info('Creating order in WooCommerce', { orderData: { ...orderData, line_items: 'Redacted for logging' } });
-    const response = await wooCommerce.post('orders', orderData);
+    const response = await getClient().post('orders', orderData);
     return response.data;
   } catch (error) {
     logger.error('Error creating order in WooCommerce', { 
@@ -93,7 +145,7 @@ const updateOrder = async (orderId, orderData) => {
       orderId,
       orderData: { ...orderData, line_items: 'Redacted for logging' }
     });
-    const response = await wooCommerce.put(`orders/${orderId}`, orderData);
+    const response = await getClient().put(`orders/${orderId}`, orderData);
     return response.data;
   } catch (error) {
     logger.error('Error updating order in WooCommerce', { 
@@ -112,7 +164,7 @@ const updateOrder = async (orderId, orderData) => {
  */
 const getOrder = async (orderId) => {
   try {
-    const response = await wooCommerce.get(`orders/${orderId}`);
+    const response = await getClient().get(`orders/${orderId}`);
     return response.data;
   } catch (error) {
     logger.error('Error fetching order from WooCommerce', { 
@@ -131,7 +183,7 @@ const getOrder = async (orderId) => {
 const getOrders = async (params = {}) => {
   try {
     logger.info('Fetching orders from WooCommerce', { params });
-    const response = await wooCommerce.get('orders', params);
+    const response = await getClient().get('orders', params);
     logger.info('Successfully fetched orders from WooCommerce', { count: response.data.length });
     return response.data;
   } catch (error) {
@@ -143,6 +195,27 @@ const getOrders = async (params = {}) => {
   }
 };
 
+/**
+ * Create a refund for an order in WooCommerce
+ * @param {number} orderId - Order ID
+ * @param {Object} refundData - WooCommerce refund data (amount, reason, line_items, ...)
+ * @returns {Promise<Object>} Created WooCommerce refund
+ */
+const createRefund = async (orderId, refundData) => {
+  try {
+    logger.info('Creating refund in WooCommerce', { orderId, amount: refundData.amount });
+    const response = await getClient().post(`orders/${orderId}/refunds`, refundData);
+    return response.data;
+  } catch (error) {
+    logger.error('Error creating refund in WooCommerce', { 
+      error: error.message,
+      orderId,
+      amount: refundData.amount
+    });
+    throw error;
+  }
+};
+
 /**
  * Get product categories from WooCommerce
  * @param {Object} params - Query parameters
@@ -151,7 +224,7 @@ const getOrders = async (params = {}) => {
 const getCategories = async (params = {}) => {
   try {
     logger.info('Fetching product categories from WooCommerce', { params });
-    const response = await wooCommerce.get('products/categories', params);
+    const response = await getClient().get('products/categories', params);
     logger.info('Successfully fetched product categories', { count: response.data.length });
     return response.data;
   } catch (error) {
@@ -163,14 +236,89 @@ const getCategories = async (params = {}) => {
   }
 };
 
+/**
+ * Get tax rates from WooCommerce
+ * @param {Object} params - Query parameters (e.g. class, per_page)
+ * @returns {Promise<Array>} Array of WooCommerce tax rates
+ */
+const getTaxRates = async (params = {}) => {
+  try {
+    const response = await getClient().get('taxes', params);
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching tax rates from WooCommerce', { 
+      error: error.message,
+      params 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get shipping zones from WooCommerce
+ * @returns {Promise<Array>} Array of WooCommerce shipping zones
+ */
+const getShippingZones = async () => {
+  try {
+    const response = await getClient().get('shipping/zones');
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching shipping zones from WooCommerce', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get the locations covered by a WooCommerce shipping zone
+ * @param {number} zoneId - Shipping zone ID
+ * @returns {Promise<Array>} Array of zone locations
+ */
+const getShippingZoneLocations = async (zoneId) => {
+  try {
+    const response = await getClient().get(`shipping/zones/${zoneId}/locations`);
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching shipping zone locations from WooCommerce', { 
+      error: error.message,
+      zoneId 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the shipping methods configured for a WooCommerce shipping zone
+ * @param {number} zoneId - Shipping zone ID
+ * @returns {Promise<Array>} Array of zone shipping methods
+ */
+const getShippingZoneMethods = async (zoneId) => {
+  try {
+    const response = await getClient().get(`shipping/zones/${zoneId}/methods`);
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching shipping zone methods from WooCommerce', { 
+      error: error.message,
+      zoneId 
+    });
+    throw error;
+  }
+};
+
 module.exports = {
   getProducts,
   getProductById,
   getProductVariations,
+  createProductReview,
+  updateProductReview,
   createOrder,
   updateOrder,
   getOrder,
   getCategories,
-  getOrders  
+  getOrders,
+  createRefund,
+  getTaxRates,
+  getShippingZones,
+  getShippingZoneLocations,
+  getShippingZoneMethods
 };
 